@@ -215,6 +215,7 @@ controls.panSpeed = 0.8;
 // Initialize PartAnalyzer and PartManager
 const partAnalyzer = new PartAnalyzer();
 const partManager = new PartManager(scene, activeCamera, renderer);
+const bomGenerator = new BomGenerator(partManager, partAnalyzer);
 
 // Video sequences will be loaded after parts are loaded
 
@@ -238,10 +239,31 @@ const ghostMaterial = new THREE.MeshStandardMaterial({
     opacity: 0.3,
     transparent: true
 });
+partManager.ghostMaterial = ghostMaterial;
 
 // Track ghost mode
 let isGhostMode = false;
 
+// Materials authored in the model's MTL libraries, keyed by material name
+const authoredMaterials = new Map();
+
+// When true the settings panel colour/roughness (hdpeMaterial) replaces authored materials
+let materialOverride = localStorage.getItem('materialOverride') === 'true';
+
+// Parts drawn by an instanced batch move to this layer: still pickable, but not rendered on their own
+const INSTANCED_PART_LAYER = 1;
+partManager.raycaster.layers.enable(INSTANCED_PART_LAYER);
+
+// One THREE.InstancedMesh per group of identical parts: { mesh, partIds, batched }
+let instanceBatches = [];
+
+// Comparison with an earlier revision ({ group, changes, ghosts }), null when not comparing
+let revisionDiff = null;
+
+// Assembly centre of gravity marker, shown when the model has closed parts
+let centerOfGravityMarker = null;
+let showCenterOfGravity = localStorage.getItem('showCenterOfGravity') !== 'false';
+
 // Track up-axis and apply scope
 let upAxis = localStorage.getItem('upAxis') || 'Y';
 let applyScope = localStorage.getItem('applyScope') || 'global';
@@ -253,15 +275,17 @@ function toggleGhostMode() {
     const button = document.getElementById('toggleGhostMode');
     button.textContent = isGhostMode ? 'Deaktiver spøkelsesmodus' : 'Aktiver spøkelsesmodus';
 
-    const selectedPart = partManager.getSelectedPart();
+    const selectedPartIds = new Set(partManager.getSelectedPartIds());
     partManager.getAllParts().forEach(part => {
         const mesh = part.mesh;
         if (mesh) {
-            if (isGhostMode && part !== selectedPart) {
+            if (isGhostMode && !selectedPartIds.has(part.partNumber)) {
                 if (!mesh.userData.originalMaterial) {
                     mesh.userData.originalMaterial = mesh.material;
                 }
                 mesh.material = ghostMaterial;
+            } else if (part.isGhosted) {
+                mesh.material = ghostMaterial;
             } else {
                 mesh.material = mesh.userData.originalMaterial || hdpeMaterial;
             }
@@ -272,11 +296,11 @@ function toggleGhostMode() {
 // Function to update ghost mode on part selection
 function updateGhostMode() {
     if (isGhostMode) {
-        const selectedPart = partManager.getSelectedPart();
+        const selectedPartIds = new Set(partManager.getSelectedPartIds());
         partManager.getAllParts().forEach(part => {
             const mesh = part.mesh;
             if (mesh) {
-                if (part === selectedPart || !selectedPart) {
+                if ((selectedPartIds.has(part.partNumber) || selectedPartIds.size === 0) && !part.isGhosted) {
                     mesh.material = mesh.userData.originalMaterial || hdpeMaterial;
                 } else {
                     mesh.material = ghostMaterial;
@@ -286,11 +310,127 @@ function updateGhostMode() {
     }
 }
 
+// Function to build a three.js material from a parsed MTL definition
+function createMaterialFromDefinition(definition) {
+    const material = new THREE.MeshPhongMaterial({
+        name: definition.name,
+        color: new THREE.Color(definition.diffuse.r, definition.diffuse.g, definition.diffuse.b),
+        specular: new THREE.Color(definition.specular.r, definition.specular.g, definition.specular.b),
+        shininess: definition.shininess,
+        opacity: definition.opacity,
+        transparent: definition.opacity < 1
+    });
+
+    if (definition.diffuseMap) {
+        const texture = new THREE.TextureLoader().load(definition.diffuseMap, undefined, undefined, (error) => {
+            console.warn(`⚠️ Could not load texture ${definition.diffuseMap}:`, error);
+        });
+        texture.wrapS = THREE.RepeatWrapping;
+        texture.wrapT = THREE.RepeatWrapping;
+        material.map = texture;
+    }
+
+    return material;
+}
+
+// Function to get the authored material for an MTL material name
+function getAuthoredMaterial(materialName) {
+    return authoredMaterials.get(materialName) || hdpeMaterial;
+}
+
+// Function to get the material a part should currently render with
+function getPartMaterial(mesh) {
+    if (mesh.userData.diffMaterial) {
+        return mesh.userData.diffMaterial;
+    }
+    if (mesh.userData.colorMaterial) {
+        return mesh.userData.colorMaterial;
+    }
+    if (materialOverride) {
+        return hdpeMaterial;
+    }
+    return mesh.userData.authoredMaterial || hdpeMaterial;
+}
+
+// Function to apply authored or override materials to every part
+function applyPartMaterials() {
+    const selectedPartIds = new Set(partManager.getSelectedPartIds());
+    partManager.getAllParts().forEach(part => {
+        const mesh = part.mesh;
+        if (mesh) {
+            const material = getPartMaterial(mesh);
+            mesh.userData.originalMaterial = material;
+            partManager.setOriginalMaterial(part.partNumber, material);
+            if (isGhostMode && selectedPartIds.size > 0 && !selectedPartIds.has(part.partNumber)) {
+                mesh.material = ghostMaterial;
+            }
+        }
+    });
+}
+
+// Function to switch the material override on or off
+function setMaterialOverride(enabled) {
+    materialOverride = enabled;
+    document.getElementById('materialOverride').checked = enabled;
+    applyPartMaterials();
+}
+
 // Override PartManager's selectPart to handle ghost mode
 const originalSelectPart = partManager.selectPart;
 partManager.selectPart = function(partId) {
     originalSelectPart.call(this, partId);
     updateGhostMode();
+    updateMeshHealthView(partId);
+};
+
+// Override PartManager's selectParts to handle ghost mode for multi-selections
+const originalSelectParts = partManager.selectParts;
+partManager.selectParts = function(partIds, options) {
+    originalSelectParts.call(this, partIds, options);
+    updateGhostMode();
+};
+
+// Override PartManager's selectAssembly and deselectAssembly to handle ghost mode
+const originalSelectAssembly = partManager.selectAssembly;
+partManager.selectAssembly = function(path) {
+    originalSelectAssembly.call(this, path);
+    updateGhostMode();
+};
+
+const originalDeselectAssembly = partManager.deselectAssembly;
+partManager.deselectAssembly = function() {
+    originalDeselectAssembly.call(this);
+    updateGhostMode();
+};
+
+// Override PartManager's selectPartGroup and deselectPartGroup to handle ghost mode
+const originalSelectPartGroup = partManager.selectPartGroup;
+partManager.selectPartGroup = function(partIds, label) {
+    originalSelectPartGroup.call(this, partIds, label);
+    updateGhostMode();
+};
+
+const originalDeselectPartGroup = partManager.deselectPartGroup;
+partManager.deselectPartGroup = function() {
+    originalDeselectPartGroup.call(this);
+    updateGhostMode();
+};
+
+// Override PartManager's selectPath to report unconnected parts in the status bar
+const originalSelectPath = partManager.selectPath;
+partManager.selectPath = function(fromId, toId) {
+    const connected = originalSelectPath.call(this, fromId, toId);
+    document.getElementById('status').textContent = connected
+        ? `Korteste vei ${fromId} → ${toId}: ${this.selectedGroup.partIds.length} deler`
+        : `${fromId} og ${toId} henger ikke sammen`;
+    return connected;
+};
+
+// Override PartManager's deselectPart to remove the mesh health edges
+const originalDeselectPart = partManager.deselectPart;
+partManager.deselectPart = function(partId) {
+    originalDeselectPart.call(this, partId);
+    clearMeshHealthEdges();
 };
 
 // Function to apply up-axis orientation (only to modelGroup)
@@ -322,9 +462,9 @@ function applyUpAxis(axis) {
     axisGroup.rotation.copy(modelGroup.rotation);
 }
 
-// Function to fit camera to object
+// Function to fit camera to object (or to a THREE.Box3 in world coordinates)
 function fitCameraToObject(object, offset = 1.5) {
-    const boundingBox = new THREE.Box3().setFromObject(object);
+    const boundingBox = object.isBox3 ? object : new THREE.Box3().setFromObject(object);
     const center = boundingBox.getCenter(new THREE.Vector3());
     const size = boundingBox.getSize(new THREE.Vector3());
     const maxDim = Math.max(size.x, size.y, size.z);
@@ -426,6 +566,8 @@ function loadSettings() {
     const savedUpAxis = localStorage.getItem('upAxis') || 'Y';
     const savedApplyScope = localStorage.getItem('applyScope') || 'global';
     const savedOrthographic = localStorage.getItem('orthographic') === 'true';
+    const savedMaterialOverride = localStorage.getItem('materialOverride') === 'true';
+    const savedShowCenterOfGravity = localStorage.getItem('showCenterOfGravity') !== 'false';
 
     hdpeMaterial.color.set(savedMaterialColor);
     hdpeMaterial.roughness = savedRoughness;
@@ -434,6 +576,8 @@ function loadSettings() {
     directionalLight.shadow.mapSize.height = savedShadowQuality;
     upAxis = savedUpAxis;
     applyScope = savedApplyScope;
+    materialOverride = savedMaterialOverride;
+    setCenterOfGravityVisible(savedShowCenterOfGravity);
     activeCamera = savedOrthographic ? orthographicCamera : perspectiveCamera;
     controls.object = activeCamera;
     partManager.setCamera(activeCamera);
@@ -445,6 +589,8 @@ function loadSettings() {
     document.getElementById('upAxis').value = savedUpAxis;
     document.getElementById('applyScope').value = savedApplyScope;
     document.getElementById('orthographicToggle').checked = savedOrthographic;
+    document.getElementById('materialOverride').checked = savedMaterialOverride;
+    document.getElementById('showCenterOfGravity').checked = savedShowCenterOfGravity;
 
     if (modelGroup) {
         applyUpAxis(upAxis);
@@ -462,6 +608,8 @@ function saveSettings() {
         localStorage.setItem('upAxis', upAxis);
         localStorage.setItem('applyScope', applyScope);
         localStorage.setItem('orthographic', activeCamera === orthographicCamera);
+        localStorage.setItem('materialOverride', materialOverride);
+        localStorage.setItem('showCenterOfGravity', showCenterOfGravity);
     }
 }
 
@@ -475,6 +623,8 @@ function resetSettings() {
     directionalLight.shadow.mapSize.height = 2048;
     upAxis = 'Y';
     applyScope = 'global';
+    materialOverride = false;
+    setCenterOfGravityVisible(true);
     activeCamera = perspectiveCamera;
     controls.object = activeCamera;
     partManager.setCamera(activeCamera);
@@ -486,287 +636,2395 @@ function resetSettings() {
     document.getElementById('upAxis').value = 'Y';
     document.getElementById('applyScope').value = 'global';
     document.getElementById('orthographicToggle').checked = false;
+    document.getElementById('materialOverride').checked = false;
+    document.getElementById('showCenterOfGravity').checked = true;
 
     if (modelGroup) {
         applyUpAxis(upAxis);
         fitCameraToObject(modelGroup);
     }
-    partManager.getAllParts().forEach(part => {
-        const mesh = part.mesh;
-        if (mesh && !isGhostMode) {
-            mesh.material = hdpeMaterial;
-        }
-    });
+    partManager.updateHighlight2Material(hdpeMaterial);
+    applyPartMaterials();
 }
 
-// Load OBJ model
-console.log("Attempting to load PipeAssembly.obj...");
-document.getElementById('status').textContent = "Laster modell...";
+// Function to show a model loading error in the status bar
+function showLoadError(message) {
+    document.getElementById('status').textContent = `Feil: ${message}`;
+    document.getElementById('status').style.color = "red";
+}
 
-fetch('PipeAssembly.obj')
-    .then(response => {
-        console.log("Fetch response received:", response);
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        return response.text();
-    })
-    .then(objContent => {
-        console.log("OBJ content fetched, length:", objContent.length);
-        const parts = partAnalyzer.analyzeOBJ(objContent);
-        console.log("Parts analyzed:", parts.length);
-        
-        const loader = new THREE.OBJLoader();
-        loader.load(
-            'PipeAssembly.obj',
-            (object) => {
-                console.log("✅ Model loaded successfully!", object);
-                document.getElementById('status').textContent = "Modell lastet! Klikk på deler for å interagere.";
-                
-                object.traverse(child => {
-                    if (child.isMesh) {
-                        console.log("Processing mesh:", child.name || "Unnamed");
-                        child.castShadow = true;
-                        child.receiveShadow = true;
-                        child.material = hdpeMaterial;
-                        child.userData.originalMaterial = hdpeMaterial;
-                        
-                        const partData = parts.find(p => p.name === child.name || p.name === child.parent.name) || {
-                            name: child.name || `Part_${partManager.parts.size + 1}`,
-                            partNumber: `P-${(partManager.parts.size + 1).toString().padStart(3, '0')}`,
-                            type: 'Component',
-                            vertices: [],
-                            faces: [],
-                            center: { x: 0, y: 0, z: 0 },
-                            size: { x: 1, y: 1, z: 1 }
-                        };
-                        child.userData.partId = partData.partNumber;
-                        partManager.addPart(partData, child);
-                    }
-                });
-                
-                modelGroup = object;
-                modelGroup.position.set(0, 0, 0); // Fix to world origin
-                sceneGroup.add(modelGroup);
-                applyUpAxis(upAxis);
-                fitCameraToObject(modelGroup);
-                
-                // Load video sequences after all parts are loaded
-                partManager.loadVideoSequences();
-                
-                function animate() {
-                    requestAnimationFrame(animate);
-                    controls.update();
-                    // Update part manager to maintain sectioning isolation
-                    partManager.update();
-                    // Update video panel position to follow camera
-                    partManager.updateVideoPanelPosition();
-                    // Render axis gizmo in bottom-right corner
-                    const viewport = renderer.getViewport(new THREE.Vector4());
-                    renderer.setViewport(window.innerWidth - 160, 10, 150, 150);
-                    renderer.render(scene, axisCamera);
-                    renderer.setViewport(viewport);
-                    renderer.render(scene, activeCamera);
-                }
-                animate();
-            },
-            (xhr) => {
-                const percent = Math.round((xhr.loaded / xhr.total) * 100);
-                document.getElementById('status').textContent = `Laster modell... ${percent}%`;
-                console.log(`Loading progress: ${percent}%`);
-            },
-            (error) => {
-                console.error("❌ Error loading model:", error);
-                document.getElementById('status').textContent = `Feil: ${error.message}`;
-                document.getElementById('status').style.color = "red";
-            }
-        );
-    })
-    .catch(error => {
-        console.error("❌ Error fetching OBJ file:", error);
-        document.getElementById('status').textContent = `Feil: Kunne ikke hente modell - ${error.message}`;
-        document.getElementById('status').style.color = "red";
-    });
+// Function to build a three.js geometry from PartAnalyzer buffers; groupMaterialIndex maps
+// each buffer group to its material slot
+function createGeometryFromBuffers(buffers, groupMaterialIndex = (group, index) => index) {
+    let geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(buffers.positions, 3));
+    if (buffers.uvs) {
+        geometry.setAttribute('uv', new THREE.BufferAttribute(buffers.uvs, 2));
+    }
+    geometry.setIndex(new THREE.BufferAttribute(buffers.indices, 1));
 
-// Handle window resize
-window.addEventListener('resize', () => {
-    const aspect = window.innerWidth / window.innerHeight;
-    perspectiveCamera.aspect = aspect;
-    perspectiveCamera.updateProjectionMatrix();
-    orthographicCamera.left = -10 * aspect;
-    orthographicCamera.right = 10 * aspect;
-    orthographicCamera.top = 10;
-    orthographicCamera.bottom = -10;
-    orthographicCamera.updateProjectionMatrix();
-    renderer.setSize(window.innerWidth, window.innerHeight);
-});
+    if (buffers.groups.length > 1) {
+        buffers.groups.forEach((group, index) => geometry.addGroup(group.start, group.count, groupMaterialIndex(group, index)));
+    }
 
-// Handle isolate and show all buttons
-document.getElementById('isolatePart').addEventListener('click', () => {
-    const selectedPart = partManager.getSelectedPart();
-    if (selectedPart) {
-        partManager.isolatePart(selectedPart.partNumber);
-        fitCameraToObject(selectedPart.mesh);
+    if (buffers.normals) {
+        geometry.setAttribute('normal', new THREE.BufferAttribute(buffers.normals, 3));
+    } else {
+        // Without authored normals, shade faceted like OBJLoader does
+        geometry = geometry.toNonIndexed();
+        geometry.computeVertexNormals();
     }
-});
+    return geometry;
+}
 
-document.getElementById('showAllPartsBtn').addEventListener('click', () => {
-    partManager.showAllParts();
-    if (modelGroup) {
-        fitCameraToObject(modelGroup);
+// Function to build a mesh straight from an analyzed part
+function createMeshFromPart(part) {
+    const buffers = partAnalyzer.getGeometryBuffers(part);
+    const geometry = createGeometryFromBuffers(buffers);
+
+    let materialNames;
+    if (buffers.groups.length > 1) {
+        materialNames = buffers.groups.map(group => group.material);
+    } else {
+        materialNames = buffers.groups.length ? buffers.groups[0].material : part.material;
     }
-});
 
-// Sectioning Controls (integrated with part info overlay)
+    const mesh = new THREE.Mesh(geometry, resolveMaterialNames(materialNames));
+    mesh.name = part.name;
+    mesh.userData.materialNames = materialNames;
+    return mesh;
+}
 
-// Section position slider
-document.getElementById('sectionPosition').addEventListener('input', (e) => {
-    const value = parseFloat(e.target.value);
-    document.getElementById('sectionPositionValue').textContent = value.toFixed(2);
-    
-    // Update section plane position if it exists
-    const selectedPart = partManager.getSelectedPart();
-    if (selectedPart && partManager.hasSectionPlane(selectedPart.partNumber)) {
-        partManager.updateSectionPlane(selectedPart.partNumber, value);
+// Function to resolve a material name (or per-group name array) to authored material(s)
+function resolveMaterialNames(materialNames) {
+    return Array.isArray(materialNames) ? materialNames.map(getAuthoredMaterial) : getAuthoredMaterial(materialNames);
+}
+
+// Function to fetch the model's MTL libraries and re-resolve the materials of loaded parts
+async function loadAuthoredMaterials(modelUrl) {
+    const materialDefinitions = await partAnalyzer.loadMaterialLibraries(modelUrl);
+    for (const definition of materialDefinitions.values()) {
+        authoredMaterials.set(definition.name, createMaterialFromDefinition(definition));
     }
-});
 
-// Create section
-document.getElementById('createSection').addEventListener('click', () => {
-    const selectedPart = partManager.getSelectedPart();
-    if (selectedPart) {
-        const planeType = document.getElementById('sectionPlaneType').value;
-        const position = parseFloat(document.getElementById('sectionPosition').value);
-        
-        partManager.createSectionPlane(selectedPart.partNumber, planeType, position);
-        console.log(`Created ${planeType} section plane for part ${selectedPart.partNumber}`);
-    } else {
-        alert('Please select a part first');
+    partManager.getAllParts().forEach(part => {
+        if (part.mesh && part.mesh.userData.materialNames !== undefined) {
+            part.mesh.userData.authoredMaterial = resolveMaterialNames(part.mesh.userData.materialNames);
+        }
+    });
+    applyPartMaterials();
+}
+
+// Function to register a loaded mesh with the part manager
+function registerPartMesh(partData, mesh, authoredMaterial = mesh.material) {
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    mesh.userData.authoredMaterial = authoredMaterial;
+    mesh.material = getPartMaterial(mesh);
+    mesh.userData.originalMaterial = mesh.material;
+    mesh.userData.partId = partData.partNumber;
+    partManager.addPart(partData, mesh);
+}
+
+// Track whether the render loop is running
+let isAnimating = false;
+
+// Function to add a model to the scene and start the render loop
+function showModel(object) {
+    if (modelGroup === object) return;
+
+    modelGroup = object;
+    modelGroup.position.set(0, 0, 0); // Fix to world origin
+    sceneGroup.add(modelGroup);
+    applyUpAxis(upAxis);
+
+    if (isAnimating) return;
+    isAnimating = true;
+
+    function animate() {
+        requestAnimationFrame(animate);
+        controls.update();
+        // Update part manager to maintain sectioning isolation
+        partManager.update();
+        // Draw parts that are selected, hidden or ghosted on their own instead of in their batch
+        syncInstanceBatches();
+        // Update video panel position to follow camera
+        partManager.updateVideoPanelPosition();
+        // Render axis gizmo in bottom-right corner
+        const viewport = renderer.getViewport(new THREE.Vector4());
+        renderer.setViewport(window.innerWidth - 160, 10, 150, 150);
+        renderer.render(scene, axisCamera);
+        renderer.setViewport(viewport);
+        renderer.render(scene, activeCamera);
     }
-});
+    animate();
+}
 
-// Remove section
-document.getElementById('removeSection').addEventListener('click', () => {
-    const selectedPart = partManager.getSelectedPart();
-    if (selectedPart) {
-        partManager.removeSectionPlane(selectedPart.partNumber);
-        console.log(`Removed section plane for part ${selectedPart.partNumber}`);
-    } else {
-        alert('Please select a part first');
+// Function to show the assembly weight and place the centre of gravity marker
+function showMassProperties() {
+    const stats = partAnalyzer.getStatistics();
+    document.getElementById('totalMass').textContent = stats.totalMass !== null ? `${stats.totalMass.toFixed(1)} kg` : '-';
+
+    if (centerOfGravityMarker) {
+        centerOfGravityMarker.parent.remove(centerOfGravityMarker);
+        centerOfGravityMarker.geometry.dispose();
+        centerOfGravityMarker.material.dispose();
+        centerOfGravityMarker = null;
     }
-});
+    if (!stats.centerOfMass) return;
+
+    const { x, y, z } = stats.centerOfMass;
+    console.log(`⚖️ Assembly weight ${stats.totalMass.toFixed(2)} kg, centre of gravity (${x.toFixed(1)}, ${y.toFixed(1)}, ${z.toFixed(1)}), ${stats.openParts} open parts not weighed`);
+
+    // Sized to the model and drawn on top so it stays visible inside the assembly
+    const modelSize = new THREE.Box3().setFromObject(modelGroup).getSize(new THREE.Vector3()).length();
+    centerOfGravityMarker = new THREE.Mesh(
+        new THREE.SphereGeometry(modelSize * 0.01, 16, 12),
+        new THREE.MeshBasicMaterial({ color: 0xff3366, depthTest: false, transparent: true, opacity: 0.9 })
+    );
+    centerOfGravityMarker.name = 'CenterOfGravity';
+    centerOfGravityMarker.renderOrder = 999;
+    centerOfGravityMarker.position.set(x, y, z);
+    centerOfGravityMarker.visible = showCenterOfGravity;
+    modelGroup.add(centerOfGravityMarker);
+}
 
-// Reset section view
-document.getElementById('resetSection').addEventListener('click', () => {
-    const selectedPart = partManager.getSelectedPart();
-    if (selectedPart) {
-        partManager.removeSectionPlane(selectedPart.partNumber);
-        document.getElementById('sectionPosition').value = 0;
-        document.getElementById('sectionPositionValue').textContent = '0.00';
-        console.log('Reset section view');
+// Function to show or hide the centre of gravity marker
+function setCenterOfGravityVisible(visible) {
+    showCenterOfGravity = visible;
+    if (centerOfGravityMarker) {
+        centerOfGravityMarker.visible = visible;
     }
-});
+}
 
-// Handle ghost mode toggle
-document.getElementById('toggleGhostMode').addEventListener('click', toggleGhostMode);
+// Function to merge parts into one logical part, replacing their meshes with a single mesh
+function mergeParts(partIds, options) {
+    const parts = partIds.map(getAnalyzedPart);
+    if (parts.some(part => !part)) {
+        console.warn(`⚠️ Cannot merge ${partIds.join(', ')}: part not found`);
+        return null;
+    }
 
-// Handle settings gear button
-document.getElementById('settingsGear').addEventListener('click', toggleSettings);
+    const merged = partAnalyzer.mergeParts(parts, options);
+    if (!merged) return null;
 
-// Handle up-axis change
-document.getElementById('upAxis').addEventListener('change', (event) => {
-    upAxis = event.target.value;
-    saveSettings();
-    if (modelGroup) {
-        applyUpAxis(upAxis);
-        fitCameraToObject(modelGroup);
+    partIds.forEach(partId => partManager.removePart(partId));
+    const mesh = createMeshFromPart(merged);
+    registerPartMesh(merged, mesh);
+    modelGroup.add(mesh);
+    return merged;
+}
+
+// Function to merge the parts ticked in the parts list and remember the merge for this model
+function mergeTickedParts(partIds) {
+    const merged = mergeParts(partIds);
+    if (!merged) return;
+
+    partEdits.merges.push({ partNumber: merged.partNumber, name: merged.name, sources: partIds });
+    savePartEdits();
+
+    updateInstances();
+    updateConnectivity();
+    document.getElementById('status').textContent = `${partIds.length} deler slått sammen til ${merged.partNumber}`;
+    showModelIssues(partAnalyzer.getDiagnostics());
+    showMassProperties();
+    showReviewNotes();
+    partManager.selectPart(merged.partNumber);
+}
+
+// Function to redo the saved merges after the model is parsed
+function applySavedMerges() {
+    for (const merge of partEdits.merges) {
+        if (merge.sources.every(partId => partManager.parts.has(partId))) {
+            mergeParts(merge.sources, { name: merge.name, partNumber: merge.partNumber });
+        } else {
+            console.warn(`⚠️ Saved merge ${merge.partNumber} skipped: its source parts are no longer in the model`);
+        }
     }
-});
+}
 
-// Handle material color change
-document.getElementById('materialColor').addEventListener('input', (event) => {
-    hdpeMaterial.color.set(event.target.value);
-    partManager.updateHighlight2Material(hdpeMaterial); // Update highlight2Material
-    saveSettings();
-    partManager.getAllParts().forEach(part => {
-        const mesh = part.mesh;
-        if (mesh && !isGhostMode) {
-            mesh.material = hdpeMaterial;
+// Function to find identical parts and draw every group of instances with one InstancedMesh
+function updateInstances() {
+    clearInstanceBatches();
+    const definitions = partAnalyzer.detectInstances();
+
+    // PartManager keeps its own copy of the part record
+    partAnalyzer.parts.forEach(part => {
+        const managedPart = partManager.parts.get(part.partNumber);
+        if (managedPart) {
+            managedPart.instance = part.instance;
         }
     });
-});
 
-// Handle glossiness change
-document.getElementById('glossiness').addEventListener('input', (event) => {
-    hdpeMaterial.roughness = parseFloat(event.target.value);
-    partManager.updateHighlight2Material(hdpeMaterial); // Update highlight2Material
-    saveSettings();
-    partManager.getAllParts().forEach(part => {
-        const mesh = part.mesh;
-        if (mesh && !isGhostMode) {
-            mesh.material = hdpeMaterial;
+    // Instances of one definition can have different revision diff colours, so draw them one by one
+    if (revisionDiff) {
+        partManager.updateUI();
+        return;
+    }
+
+    modelGroup.updateMatrixWorld(true);
+    const modelToWorld = modelGroup.matrixWorld.clone().invert();
+
+    for (const definition of definitions) {
+        const meshes = definition.partNumbers.map(partId => partManager.partMeshes.get(partId));
+        if (meshes.some(mesh => !mesh)) continue;
+
+        // Instance transforms are in model coordinates; glTF meshes keep their own node transform
+        const meshToModel = modelToWorld.clone().multiply(meshes[0].matrixWorld);
+        const matrices = definition.partNumbers.map(partId =>
+            new THREE.Matrix4().fromArray(partManager.parts.get(partId).instance.transform).multiply(meshToModel));
+
+        const mesh = new THREE.InstancedMesh(meshes[0].geometry, meshes[0].userData.originalMaterial, meshes.length);
+        mesh.name = `${definition.name} ×${meshes.length}`;
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+        mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        modelGroup.add(mesh);
+
+        instanceBatches.push({ mesh, partIds: definition.partNumbers, matrices, batched: [] });
+    }
+
+    syncInstanceBatches();
+    partManager.updateUI();
+}
+
+// Function to remove the instanced batches and draw every part with its own mesh again
+function clearInstanceBatches() {
+    for (const batch of instanceBatches) {
+        modelGroup.remove(batch.mesh);
+        batch.partIds.forEach(partId => {
+            const mesh = partManager.partMeshes.get(partId);
+            if (mesh) {
+                mesh.layers.set(0);
+            }
+        });
+    }
+    instanceBatches = [];
+}
+
+// Function to move parts in or out of their batch: a part is drawn by the batch only while it
+// renders with its normal material, and that is the batch's (a coloured instance draws itself)
+const hiddenInstanceMatrix = new THREE.Matrix4().makeScale(0, 0, 0);
+function syncInstanceBatches() {
+    for (const batch of instanceBatches) {
+        const definitionMesh = partManager.partMeshes.get(batch.partIds[0]);
+        if (definitionMesh) {
+            batch.mesh.material = definitionMesh.userData.originalMaterial;
         }
-    });
-});
 
-// Handle light intensity change
-document.getElementById('lightIntensity').addEventListener('input', (event) => {
-    directionalLight.intensity = parseFloat(event.target.value);
-    saveSettings();
-});
+        batch.partIds.forEach((partId, index) => {
+            const part = partManager.parts.get(partId);
+            if (!part) return;
 
-// Handle shadow quality change
-document.getElementById('shadowQuality').addEventListener('change', (event) => {
-    const size = parseInt(event.target.value);
-    directionalLight.shadow.mapSize.width = size;
-    directionalLight.shadow.mapSize.height = size;
-    renderer.shadowMap.needsUpdate = true;
-    saveSettings();
-});
+            const mesh = part.mesh;
+            const batched = !part.isHidden && mesh.material === batch.mesh.material &&
+                (mesh.material === mesh.userData.originalMaterial || mesh.material === partManager.originalMaterials.get(partId));
+            if (batched === batch.batched[index]) return;
+
+            batch.batched[index] = batched;
+            mesh.layers.set(batched ? INSTANCED_PART_LAYER : 0);
+            batch.mesh.setMatrixAt(index, batched ? batch.matrices[index] : hiddenInstanceMatrix);
+            batch.mesh.instanceMatrix.needsUpdate = true;
+        });
+    }
+}
 
-// Handle orthographic toggle
-document.getElementById('orthographicToggle').addEventListener('change', toggleCameraMode);
+// Function to export the bill of materials with the options chosen in the stats panel
+function exportBillOfMaterials(format) {
+    const bom = bomGenerator.generate({
+        groupBy: document.getElementById('bomGroupBy').value,
+        visibleOnly: document.getElementById('bomVisibleOnly').checked
+    });
 
-// Handle apply scope change
-document.getElementById('applyScope').addEventListener('change', (event) => {
-    applyScope = event.target.value;
-    saveSettings();
-});
+    const exports = {
+        csv: () => new Blob([bomGenerator.toCSV(bom)], { type: 'text/csv;charset=utf-8' }),
+        json: () => new Blob([bomGenerator.toJSON(bom)], { type: 'application/json' }),
+        xlsx: () => new Blob([bomGenerator.toXLSX(bom)], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' })
+    };
+    downloadModelFile(exports[format](), `stykkliste.${format}`);
 
-// Handle reset settings
-document.getElementById('resetSettings').addEventListener('click', resetSettings);
+    console.log(`📋 Exported bill of materials: ${bom.totals.lines} lines, ${bom.totals.quantity} parts (${format})`);
+}
 
-// Handle camera view buttons
-document.getElementById('frontView').addEventListener('click', () => setCameraView('front'));
-document.getElementById('topView').addEventListener('click', () => setCameraView('top'));
-document.getElementById('backView').addEventListener('click', () => setCameraView('back'));
-document.getElementById('isometricView').addEventListener('click', () => setCameraView('isometric'));
+// Function to get the bounding box around several parts, for framing them
+function getPartsBox(partIds) {
+    const box = new THREE.Box3();
+    partIds.map(partId => partManager.partMeshes.get(partId)).filter(Boolean)
+        .forEach(mesh => box.union(new THREE.Box3().setFromObject(mesh)));
+    return box;
+}
 
-// Handle cutting plane visibility toggle
-document.getElementById('showCuttingPlane').addEventListener('change', (event) => {
-    partManager.toggleCuttingPlaneVisibility(event.target.checked);
-});
+// Materials of the colours given to parts, one per colour
+const partColorMaterials = new Map();
 
-// Handle video controls - now handled by part-manager.js
-// The event listener is dynamically added/removed by the part manager
+// Function to colour parts, or give them back their normal material when color is null
+function setPartColor(partIds, color) {
+    partIds.forEach(partId => {
+        const mesh = partManager.partMeshes.get(partId);
+        if (!mesh) return;
 
-document.getElementById('stopVideo').addEventListener('click', () => {
-    partManager.stopVideo();
-});
+        if (color) {
+            if (!partColorMaterials.has(color)) {
+                partColorMaterials.set(color, new THREE.MeshStandardMaterial({ color, roughness: hdpeMaterial.roughness, metalness: hdpeMaterial.metalness }));
+            }
+            mesh.userData.colorMaterial = partColorMaterials.get(color);
+        } else {
+            delete mesh.userData.colorMaterial;
+        }
+    });
+    applyPartMaterials();
+}
 
-// Handle video overlay controls
-document.getElementById('videoPlayPause').addEventListener('click', () => {
-    partManager.toggleVideoPlayPause();
-});
+// Function to capture the view state for the view history: PartManager's state, part colours and ghost mode
+function getViewState() {
+    const colors = {};
+    partManager.partMeshes.forEach((mesh, partId) => {
+        if (mesh.userData.colorMaterial) {
+            colors[partId] = `#${mesh.userData.colorMaterial.color.getHexString()}`;
+        }
+    });
+    return { ...partManager.getViewState(), colors, ghostMode: isGhostMode };
+}
 
-document.getElementById('videoClose').addEventListener('click', () => {
-    partManager.stopVideo();
-});
+// Function to bring the view to a (partial) state from the view history
+function setViewState(state) {
+    partManager.setViewState(state);
 
-// Handle keyboard shortcuts
-document.addEventListener('keydown', (event) => {
+    if (state.colors) {
+        const partIdsByColor = new Map([[null, []]]);
+        partManager.partMeshes.forEach((mesh, partId) => {
+            const color = state.colors[partId] || null;
+            if (!partIdsByColor.has(color)) {
+                partIdsByColor.set(color, []);
+            }
+            partIdsByColor.get(color).push(partId);
+        });
+        partIdsByColor.forEach((partIds, color) => setPartColor(partIds, color));
+    }
+
+    if ('ghostMode' in state && state.ghostMode !== isGhostMode) {
+        toggleGhostMode();
+    } else {
+        updateGhostMode();
+    }
+
+    // Show the restored section in the sectioning tools
+    const section = partManager.getViewState().section;
+    if (section) {
+        document.getElementById('sectionPlaneType').value = section.planeType;
+        document.getElementById('sectionPosition').value = section.position;
+        document.getElementById('sectionPositionValue').textContent = section.position.toFixed(2);
+    }
+    clearClashMarker();
+}
+
+// Function to show on the undo and redo buttons whether, and what, they would change
+function updateHistoryButtons() {
+    const undoButton = document.getElementById('undoView');
+    const redoButton = document.getElementById('redoView');
+    const undoLabel = viewHistory.getUndoLabel();
+    const redoLabel = viewHistory.getRedoLabel();
+    undoButton.disabled = !undoLabel;
+    redoButton.disabled = !redoLabel;
+    undoButton.title = undoLabel ? `Angre: ${undoLabel} (Ctrl+Z)` : 'Angre (Ctrl+Z)';
+    redoButton.title = redoLabel ? `Gjør om: ${redoLabel} (Ctrl+Shift+Z)` : 'Gjør om (Ctrl+Shift+Z)';
+}
+
+// Function to undo the last view change
+function undoViewChange() {
+    const label = viewHistory.undo();
+    if (label) {
+        document.getElementById('status').textContent = `Angret: ${label}`;
+    }
+}
+
+// Function to redo the last undone view change
+function redoViewChange() {
+    const label = viewHistory.redo();
+    if (label) {
+        document.getElementById('status').textContent = `Gjort om: ${label}`;
+    }
+}
+
+// Function to download a file named after the loaded model, e.g. "pumpe-stykkliste.csv"
+function downloadModelFile(blob, suffix) {
+    const modelName = decodeURIComponent(new URL(modelUrl).pathname.split('/').pop()).replace(/\.[^.]+$/, '') || 'modell';
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `${modelName}-${suffix}`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+// Parts this close (mm) count as connected
+const CONNECTION_TOLERANCE_MM = 0.5;
+
+// Part connectivity for connected selections, and the worker finding touching parts (null when idle)
+const connectivityGraph = new ConnectivityGraph();
+partManager.connectivityGraph = connectivityGraph;
+let connectivityWorker = null;
+
+// Worker running the current clash detection (null when idle) and the marker of the shown clash
+let clashWorker = null;
+let clashMarker = null;
+
+// Function to check every part against the others for clashes, in a worker
+function runClashDetection() {
+    if (clashWorker) {
+        clashWorker.terminate();
+    }
+    clearClashMarker();
+
+    // Clearance is entered in mm; the detector works in model units
+    const clearanceMM = Math.max(0, parseFloat(document.getElementById('clashClearance').value) || 0);
+    const clearance = clearanceMM / 1000 / partAnalyzer.metersPerUnit;
+    const parts = getClashWorkerParts();
+
+    const list = document.getElementById('clashList');
+    const worker = new Worker('clash-worker.js');
+    const finish = () => {
+        worker.terminate();
+        clashWorker = null;
+    };
+
+    worker.onmessage = (event) => {
+        const message = event.data;
+        switch (message.type) {
+            case 'progress':
+                list.textContent = `Kontrollerer... ${Math.round((message.checked / message.total) * 100)}% (${message.checked} / ${message.total} par)`;
+                break;
+            case 'complete':
+                finish();
+                showClashes(message.clashes);
+                break;
+            case 'error':
+                finish();
+                console.error("❌ Clash detection failed:", message.message);
+                list.textContent = `Feil: ${message.message}`;
+                break;
+        }
+    };
+
+    worker.onerror = (error) => {
+        finish();
+        console.error("❌ Clash worker failed:", error);
+        list.textContent = `Feil: ${error.message}`;
+    };
+
+    clashWorker = worker;
+    list.textContent = 'Kontrollerer...';
+    worker.postMessage({ type: 'detect', parts, options: { clearance } },
+        parts.flatMap(part => [part.positions.buffer, part.indices.buffer]));
+}
+
+// Function to copy the geometry of every loaded part for the clash worker (the copies are transferred)
+function getClashWorkerParts() {
+    return partAnalyzer.parts.filter(part => partManager.parts.has(part.partNumber)).map(part => {
+        const buffers = partAnalyzer.getGeometryBuffers(part);
+        return {
+            partNumber: part.partNumber,
+            name: part.name,
+            positions: buffers.positions.slice(),
+            indices: buffers.indices.slice(),
+            closed: part.massProperties.volume !== null
+        };
+    });
+}
+
+// Function to list the clashes in the stats panel; clicking one isolates the two parts and marks the clash
+function showClashes(clashes) {
+    const list = document.getElementById('clashList');
+    list.innerHTML = '';
+    if (clashes.length === 0) {
+        list.textContent = 'Ingen kollisjoner funnet';
+        return;
+    }
+
+    const toMM = value => (value * partAnalyzer.metersPerUnit * 1000).toFixed(1);
+    for (const clash of clashes) {
+        const item = document.createElement('div');
+        item.className = `clash-item ${clash.type}`;
+        const measure = clash.type === 'clash' ? `overlapp ${toMM(clash.depth)} mm` : `avstand ${toMM(clash.distance)} mm`;
+        item.textContent = `${clash.partA} ${clash.nameA} ↔ ${clash.partB} ${clash.nameB}: ${measure}`;
+        item.addEventListener('click', () => showClash(clash));
+        list.appendChild(item);
+    }
+}
+
+// Function to isolate the two parts of a clash and mark the intersection (red) or the nearest points (yellow)
+function showClash(clash) {
+    const meshes = [clash.partA, clash.partB].map(partId => partManager.partMeshes.get(partId));
+    if (meshes.some(mesh => !mesh)) {
+        console.warn(`⚠️ Clash ${clash.partA} / ${clash.partB} is out of date: part not found`);
+        return;
+    }
+
+    clearClashMarker();
+    viewHistory.record('Vis kollisjon', () => {
+        partManager.selectPart(clash.partA);
+        partManager.isolatePartGroup([clash.partA, clash.partB]);
+    });
+
+    const color = clash.type === 'clash' ? 0xff0000 : 0xffcc00;
+    const points = clash.type === 'clash' ? clash.segments : clash.closestPoints.flat();
+    const lines = new THREE.LineSegments(
+        new THREE.BufferGeometry().setAttribute('position', new THREE.Float32BufferAttribute(points, 3)),
+        new THREE.LineBasicMaterial({ color, depthTest: false, transparent: true })
+    );
+    const region = new THREE.Box3(new THREE.Vector3(...clash.region.min), new THREE.Vector3(...clash.region.max));
+    const regionBox = new THREE.Box3Helper(region, color);
+    regionBox.material.depthTest = false;
+    regionBox.material.transparent = true;
+
+    // A dot at the centre keeps touching parts (zero-size region) visible
+    const modelSize = new THREE.Box3().setFromObject(modelGroup).getSize(new THREE.Vector3()).length();
+    const dot = new THREE.Mesh(
+        new THREE.SphereGeometry(modelSize * 0.005, 12, 8),
+        new THREE.MeshBasicMaterial({ color, depthTest: false, transparent: true, opacity: 0.9 })
+    );
+    dot.position.copy(region.getCenter(new THREE.Vector3()));
+
+    clashMarker = new THREE.Group();
+    clashMarker.name = 'ClashMarker';
+    [lines, regionBox, dot].forEach(object => {
+        object.renderOrder = 999;
+        clashMarker.add(object);
+    });
+    modelGroup.add(clashMarker);
+
+    fitCameraToObject(new THREE.Box3().setFromObject(meshes[0]).union(new THREE.Box3().setFromObject(meshes[1])));
+}
+
+// Function to remove the clash marker
+function clearClashMarker() {
+    if (!clashMarker) return;
+    clashMarker.parent.remove(clashMarker);
+    clashMarker.traverse(child => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) child.material.dispose();
+    });
+    clashMarker = null;
+}
+
+// Function to rebuild the connectivity graph: mating ports right away, then parts that touch
+// once the clash worker has measured them
+function updateConnectivity() {
+    const tolerance = CONNECTION_TOLERANCE_MM / 1000 / partAnalyzer.metersPerUnit;
+    const parts = partAnalyzer.parts.filter(part => partManager.parts.has(part.partNumber));
+    connectivityGraph.build(parts, { tolerance });
+    if (joints) {
+        showJointRegister();
+    }
+
+    if (connectivityWorker) {
+        connectivityWorker.terminate();
+    }
+    const worker = new Worker('clash-worker.js');
+    const finish = () => {
+        worker.terminate();
+        connectivityWorker = null;
+    };
+
+    worker.onmessage = (event) => {
+        const message = event.data;
+        switch (message.type) {
+            case 'complete':
+                finish();
+                connectivityGraph.build(parts, { tolerance, contacts: message.clashes });
+                if (joints) {
+                    showJointRegister();
+                }
+                break;
+            case 'error':
+                finish();
+                console.warn(`⚠️ Touching parts not found, using mating ports only: ${message.message}`);
+                break;
+        }
+    };
+
+    worker.onerror = (error) => {
+        finish();
+        console.warn(`⚠️ Touching parts not found, using mating ports only: ${error.message}`);
+    };
+
+    connectivityWorker = worker;
+    const workerParts = getClashWorkerParts();
+    worker.postMessage({ type: 'detect', parts: workerParts, options: { clearance: tolerance } },
+        workerParts.flatMap(part => [part.positions.buffer, part.indices.buffer]));
+}
+
+// Joint register over the connectivity graph, and its last joints (null until it is asked for)
+const jointRegister = new JointRegister(partAnalyzer);
+let joints = null;
+
+// Marker colours of the joint kinds
+const JOINT_MARKER_COLORS = {
+    'butt-fusion': 'rgba(230, 126, 34, 0.9)',
+    'electrofusion': 'rgba(155, 89, 182, 0.9)',
+    'flanged': 'rgba(39, 174, 96, 0.9)',
+    'bolted': 'rgba(127, 140, 141, 0.9)'
+};
+
+// Function to find the joints, list them in the stats panel and mark them in the model
+function showJointRegister() {
+    const parts = partAnalyzer.parts.filter(part => partManager.parts.has(part.partNumber));
+    joints = jointRegister.build(connectivityGraph, parts);
+
+    const list = document.getElementById('jointList');
+    list.innerHTML = '';
+    document.getElementById('exportJointRegister').disabled = joints.length === 0;
+    if (joints.length === 0) {
+        list.textContent = 'Ingen skjøter funnet';
+    }
+
+    const toMM = value => parseFloat((value * partAnalyzer.metersPerUnit * 1000).toFixed(1));
+    for (const joint of joints) {
+        const item = document.createElement('div');
+        item.className = 'joint-item';
+        const size = joint.outerDiameter !== null ? `, Ø${toMM(joint.outerDiameter)} mm` : '';
+        const sdr = joint.sdr !== null ? ` SDR ${joint.sdr.toFixed(1)}` : '';
+
+        // Shop welds can be made on site instead, which splits the spool there
+        if (SPOOL_WELD_KINDS.includes(joint.kind)) {
+            const fieldJoint = document.createElement('input');
+            fieldJoint.type = 'checkbox';
+            fieldJoint.title = 'Feltskjøt';
+            fieldJoint.checked = partEdits.fieldJoints.includes(spoolPlanner.getJointKey(joint));
+            fieldJoint.addEventListener('click', event => event.stopPropagation());
+            fieldJoint.addEventListener('change', () => setFieldJoint(joint, fieldJoint.checked));
+            item.appendChild(fieldJoint);
+        }
+        item.appendChild(document.createTextNode(`${joint.number} ${jointRegister.getKindLabel(joint.kind)}: ${joint.partA} ↔ ${joint.partB}${size}${sdr}`));
+        item.addEventListener('click', () => partManager.selectJoint(joint));
+        list.appendChild(item);
+    }
+
+    updateJointMarkers();
+    if (spoolPlan) {
+        showSpoolPlan();
+    }
+}
+
+// Function to mark every joint with a clickable sprite, sized to the model, when the markers are switched on
+function updateJointMarkers() {
+    partManager.clearJointMarkers();
+    if (!joints || !modelGroup || !document.getElementById('showJointMarkers').checked) return;
+
+    const size = new THREE.Box3().setFromObject(modelGroup).getSize(new THREE.Vector3()).length() * 0.03;
+    for (const joint of joints) {
+        partManager.createJointMarker(joint, {
+            caption: jointRegister.getKindLabel(joint.kind),
+            color: JOINT_MARKER_COLORS[joint.kind],
+            parent: modelGroup,
+            size
+        });
+    }
+}
+
+// Function to export the joint register as CSV for the welding QA records
+function exportJointRegister() {
+    if (!joints) return;
+    downloadModelFile(new Blob([jointRegister.toCSV(joints)], { type: 'text/csv;charset=utf-8' }), 'skjøteregister.csv');
+    console.log(`🔩 Exported joint register: ${joints.length} joints`);
+}
+
+// Spools and cuts over the joint register, and the last plan (null until it is asked for)
+const spoolPlanner = new SpoolPlanner(partAnalyzer, jointRegister);
+let spoolPlan = null;
+
+// Function to mark a shop weld as a field joint, or back, and split the spools accordingly
+function setFieldJoint(joint, isField) {
+    const key = spoolPlanner.getJointKey(joint);
+    partEdits.fieldJoints = partEdits.fieldJoints.filter(fieldJoint => fieldJoint !== key);
+    if (isField) {
+        partEdits.fieldJoints.push(key);
+    }
+    savePartEdits();
+    if (spoolPlan) {
+        showSpoolPlan();
+    }
+}
+
+// Function to group the parts into spools, pack their cuts into the stock lengths and list them in the stats panel
+function showSpoolPlan() {
+    if (!joints) {
+        showJointRegister();
+    }
+
+    // Stock lengths and kerf are entered in mm; the planner works in model units
+    const toModel = value => value / 1000 / partAnalyzer.metersPerUnit;
+    const stockLengths = document.getElementById('stockLengths').value.split(/[\s,;]+/)
+        .map(value => parseFloat(value)).filter(value => value > 0).map(toModel);
+    const kerf = toModel(Math.max(0, parseFloat(document.getElementById('sawKerf').value) || 0));
+    const parts = partAnalyzer.parts.filter(part => partManager.parts.has(part.partNumber));
+    spoolPlan = spoolPlanner.plan(parts, joints, { fieldJoints: new Set(partEdits.fieldJoints), stockLengths, kerf });
+
+    const list = document.getElementById('spoolList');
+    list.innerHTML = '';
+    document.getElementById('printSpoolSheets').disabled = spoolPlan.spools.length === 0;
+    if (spoolPlan.spools.length === 0) {
+        list.textContent = 'Ingen rør eller rørdeler funnet';
+        return;
+    }
+
+    for (const spool of spoolPlan.spools) {
+        const item = document.createElement('div');
+        item.className = 'spool-item';
+        item.textContent = `${spool.number}: ${spool.partIds.length} deler, ${spool.joints.length} sveiser, ${spool.cuts.length} kapp`;
+        item.addEventListener('click', () => showSpool(spool));
+        list.appendChild(item);
+    }
+
+    const toMM = value => Math.round(value * partAnalyzer.metersPerUnit * 1000);
+    for (const summary of spoolPlanner.summarizeSticks(spoolPlan.sticks)) {
+        const item = document.createElement('div');
+        item.className = 'spool-stock';
+        const counts = [...summary.counts].sort((a, b) => a[0] - b[0]).map(([length, count]) => `${count} × ${toMM(length)}`).join(', ');
+        item.textContent = `${summary.size}: ${counts} mm, svinn ${toMM(summary.waste)} mm`;
+        list.appendChild(item);
+    }
+}
+
+// Function to select and isolate the parts of a spool and frame them
+function showSpool(spool) {
+    const partIds = spool.partIds.filter(partId => partManager.partMeshes.has(partId));
+    if (partIds.length === 0) return;
+
+    viewHistory.record(`Vis spole ${spool.number}`, () => {
+        partManager.selectPartGroup(partIds, `Spole ${spool.number}`);
+        partManager.isolatePartGroup(partIds);
+    });
+    fitCameraToObject(getPartsBox(partIds));
+}
+
+// Function to open the spool sheets for printing, each with a picture of the spool isolated and highlighted
+function printSpoolSheets() {
+    if (!spoolPlan) return;
+
+    // Open the window first: browsers only allow it straight from the click
+    const sheetWindow = window.open('', '_blank');
+    if (!sheetWindow) {
+        document.getElementById('status').textContent = 'Tillat sprettoppvinduer for å skrive ut spoleark';
+        return;
+    }
+
+    // The view is put back as it was afterwards, so printing leaves nothing to undo
+    const viewState = getViewState();
+    const cameraPosition = activeCamera.position.clone();
+    const cameraTarget = controls.target.clone();
+    const images = new Map();
+    viewHistory.record('Skriv ut spoleark', () => {
+        for (const spool of spoolPlan.spools) {
+            showSpool(spool);
+            const partIds = new Set(spool.partIds);
+            for (const marker of partManager.jointMarkers.values()) {
+                marker.visible = partIds.has(marker.userData.joint.partA) || partIds.has(marker.userData.joint.partB);
+            }
+            syncInstanceBatches();
+            renderer.render(scene, activeCamera);
+            images.set(spool.number, renderer.domElement.toDataURL('image/png'));
+        }
+
+        for (const marker of partManager.jointMarkers.values()) {
+            marker.visible = true;
+        }
+        setViewState(viewState);
+    });
+    activeCamera.position.copy(cameraPosition);
+    controls.target.copy(cameraTarget);
+    controls.update();
+
+    const title = decodeURIComponent(new URL(modelUrl).pathname.split('/').pop()) || 'modell';
+    const parts = new Map(partAnalyzer.parts.map(part => [part.partNumber, part]));
+    sheetWindow.document.write(spoolPlanner.toSheetsHTML(spoolPlan, { title, parts, joints, images }));
+    sheetWindow.document.close();
+    sheetWindow.focus();
+    sheetWindow.print();
+    console.log(`🧰 Printed ${spoolPlan.spools.length} spool sheets`);
+}
+
+// Measurements drawn in the model, the picks of the one being made and its kind (null when not measuring)
+const measurementTool = new MeasurementTool(partAnalyzer, new ClashDetector());
+let measurements = [];
+let measurePicks = [];
+let measureKind = null;
+
+// Pointer distance (pixels) within which picks snap to vertices, edge midpoints and circle centres
+const MEASURE_SNAP_PIXELS = 12;
+
+// Colours of the dimension annotations and of the snap marker per snap kind
+const MEASUREMENT_COLOR = '#00bcd4';
+const SNAP_MARKER_COLORS = {
+    'vertex': 0xff5252,
+    'edge-midpoint': 0xffc107,
+    'circle-centre': 0x7c4dff,
+    'surface': 0x00bcd4
+};
+
+// Annotation objects by measurement number, the picks made so far and the marker following the pointer
+const measurementObjects = new Map();
+let measurePickMarkers = null;
+let measureSnapMarker = null;
+
+// Function to get the size annotations are drawn at, from the model size
+function getAnnotationSize() {
+    return new THREE.Box3().setFromObject(modelGroup).getSize(new THREE.Vector3()).length();
+}
+
+// Function to turn a pointer distance in pixels into model units at a point in the scene
+function getSnapTolerance(worldPoint) {
+    const height = renderer.domElement.clientHeight;
+    const worldPerPixel = activeCamera.isOrthographicCamera
+        ? (activeCamera.top - activeCamera.bottom) / activeCamera.zoom / height
+        : 2 * activeCamera.position.distanceTo(worldPoint) * Math.tan(THREE.MathUtils.degToRad(activeCamera.fov / 2)) / height;
+    return worldPerPixel * MEASURE_SNAP_PIXELS;
+}
+
+// Function to turn a part hit from getClickedPart into a snapped pick in model coordinates, or null
+function getMeasurePick(clickedPart) {
+    if (!clickedPart || !clickedPart.mesh || !clickedPart.intersection.face) return null;
+
+    const { object, face, point } = clickedPart.intersection;
+    const position = object.geometry.attributes.position;
+    const toModel = vector => modelGroup.worldToLocal(vector).toArray();
+    const triangle = [face.a, face.b, face.c].map(index =>
+        toModel(new THREE.Vector3().fromBufferAttribute(position, index).applyMatrix4(object.matrixWorld)));
+    const part = getAnalyzedPart(clickedPart.partId) || { partNumber: clickedPart.partId, ports: [] };
+    return measurementTool.snap(part, triangle, toModel(point.clone()), getSnapTolerance(point));
+}
+
+// Function to start measuring the kind chosen in the stats panel; clicks become picks until it is done or cancelled
+function startMeasuring() {
+    if (!modelGroup) return;
+    stopMeasuring();
+
+    stopPlacingNote();
+    measureKind = document.getElementById('measureKind').value;
+    partManager.pickHandler = handleMeasureClick;
+    document.getElementById('startMeasuring').textContent = 'Avbryt';
+
+    const size = getAnnotationSize();
+    measureSnapMarker = new THREE.Mesh(
+        new THREE.SphereGeometry(size * 0.004, 12, 8),
+        new THREE.MeshBasicMaterial({ color: SNAP_MARKER_COLORS.surface, depthTest: false, transparent: true })
+    );
+    measureSnapMarker.renderOrder = 999;
+    measureSnapMarker.visible = false;
+    modelGroup.add(measureSnapMarker);
+    measurePickMarkers = new THREE.Group();
+    modelGroup.add(measurePickMarkers);
+
+    showMeasurePrompt();
+}
+
+// Function to leave measure mode, dropping the picks of an unfinished measurement
+function stopMeasuring() {
+    if (!measureKind) return;
+
+    measureKind = null;
+    measurePicks = [];
+    partManager.pickHandler = null;
+    renderer.domElement.style.cursor = 'default';
+    document.getElementById('startMeasuring').textContent = 'Mål';
+    [measureSnapMarker, measurePickMarkers].forEach(disposeAnnotation);
+    measureSnapMarker = null;
+    measurePickMarkers = null;
+}
+
+// Function to tell in the status bar which point to pick next
+function showMeasurePrompt() {
+    const kindLabel = measurementTool.getKindLabel(measureKind).toLowerCase();
+    const total = MEASUREMENT_PICKS[measureKind];
+    const hint = measureKind === 'radius' ? ' (eller ett på en sirkelkant)' : measureKind === 'part-distance' ? ' (klikk på delene)' : '';
+    document.getElementById('status').textContent =
+        `Mål ${kindLabel}: velg punkt ${measurePicks.length + 1} av ${total}${hint}. Esc avbryter`;
+}
+
+// Handle a click while measuring: add the snapped pick, and measure once the picks are complete
+function handleMeasureClick(clickedPart) {
+    const pick = getMeasurePick(clickedPart);
+    if (!pick) return;
+
+    measurePicks.push(pick);
+    const dot = new THREE.Mesh(measureSnapMarker.geometry.clone(),
+        new THREE.MeshBasicMaterial({ color: SNAP_MARKER_COLORS[pick.snap], depthTest: false, transparent: true }));
+    dot.position.fromArray(pick.point);
+    dot.renderOrder = 999;
+    measurePickMarkers.add(dot);
+
+    if (!measurementTool.isComplete(measureKind, measurePicks)) {
+        showMeasurePrompt();
+        return;
+    }
+
+    const measurement = measurementTool.measure(measureKind, measurePicks);
+    measurePicks = [];
+    [...measurePickMarkers.children].forEach(disposeAnnotation);
+    if (measurement) {
+        addMeasurement(measurement);
+        document.getElementById('status').textContent = `${measurement.number} ${measurementTool.getKindLabel(measurement.kind)}: ${measurementTool.format(measurement)}`;
+    } else {
+        document.getElementById('status').textContent = measureKind === 'part-distance'
+            ? 'Velg to forskjellige deler'
+            : 'Punktene gir ingen måling (ligger de på en linje?)';
+    }
+}
+
+// Handle pointer moves while measuring: show where a click would snap to
+function handleMeasureHover(event) {
+    if (!measureKind) return;
+    const pick = getMeasurePick(partManager.getClickedPart(event));
+    measureSnapMarker.visible = Boolean(pick);
+    if (pick) {
+        measureSnapMarker.position.fromArray(pick.point);
+        measureSnapMarker.material.color.setHex(SNAP_MARKER_COLORS[pick.snap]);
+    }
+}
+
+// Function to keep a measurement, draw it and list it
+function addMeasurement(measurement) {
+    measurements.push(measurement);
+    drawMeasurement(measurement);
+    showMeasurements();
+    console.log(`📏 ${measurement.number} ${measurement.kind}: ${measurementTool.format(measurement)}`);
+}
+
+// Function to draw a measurement as a dimension annotation: lines through its points and a label with the value
+function drawMeasurement(measurement) {
+    const { add, sub, scale, normalize, dot, perpendicularBasis } = GeometryUtils;
+    const size = getAnnotationSize();
+    const points = measurement.points;
+    const group = new THREE.Group();
+    group.name = `Measurement ${measurement.number}`;
+
+    const lineMaterial = new THREE.LineBasicMaterial({ color: MEASUREMENT_COLOR, depthTest: false, transparent: true });
+    const addLine = linePoints => group.add(new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints(linePoints.map(point => new THREE.Vector3(...point))), lineMaterial));
+    const dotGeometry = new THREE.SphereGeometry(size * 0.003, 8, 6);
+    const dotMaterial = new THREE.MeshBasicMaterial({ color: MEASUREMENT_COLOR, depthTest: false, transparent: true });
+    const addDot = point => {
+        const dotMesh = new THREE.Mesh(dotGeometry, dotMaterial);
+        dotMesh.position.set(...point);
+        group.add(dotMesh);
+    };
+
+    let labelPoint = scale(add(points[0], points[points.length - 1]), 0.5);
+    switch (measurement.kind) {
+        case 'angle': {
+            // Arc between the legs, at a third of the shorter leg
+            const [a, vertex, c] = points;
+            const u = normalize(sub(a, vertex));
+            const w = normalize(sub(sub(c, vertex), scale(u, dot(sub(c, vertex), u))));
+            const radius = Math.min(GeometryUtils.distance(a, vertex), GeometryUtils.distance(c, vertex)) / 3;
+            const angle = measurement.value * Math.PI / 180;
+            const arc = [];
+            for (let step = 0; step <= 24; step++) {
+                const t = angle * step / 24;
+                arc.push(add(vertex, add(scale(u, radius * Math.cos(t)), scale(w, radius * Math.sin(t)))));
+            }
+            addLine([a, vertex, c]);
+            addLine(arc);
+            labelPoint = arc[12];
+            break;
+        }
+        case 'face-angle': {
+            // Normals drawn out of both faces, joined at their picks
+            const length = size * 0.03;
+            measurement.detail.normals.forEach((normal, index) => addLine([points[index], add(points[index], scale(normal, length))]));
+            addLine(points);
+            break;
+        }
+        case 'radius': {
+            const { center, normal } = measurement.detail;
+            const [e1, e2] = perpendicularBasis(normal);
+            const circle = [];
+            for (let step = 0; step <= 48; step++) {
+                const t = step / 48 * Math.PI * 2;
+                circle.push(add(center, add(scale(e1, measurement.value * Math.cos(t)), scale(e2, measurement.value * Math.sin(t)))));
+            }
+            addLine(circle);
+            addLine(points);
+            break;
+        }
+        default:
+            addLine(points);
+    }
+    points.forEach(addDot);
+
+    const label = createAnnotationLabel(`${measurement.number}  ${measurementTool.format(measurement)}`, MEASUREMENT_COLOR, size * 0.06);
+    label.position.set(...labelPoint);
+    group.add(label);
+
+    group.traverse(child => {
+        child.renderOrder = 999;
+    });
+    modelGroup.add(group);
+    measurementObjects.set(measurement.number, group);
+}
+
+// Function to create a text label sprite, drawn on top of the parts
+function createAnnotationLabel(text, color, width) {
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    canvas.width = 256;
+    canvas.height = 48;
+
+    context.fillStyle = 'rgba(0, 0, 0, 0.75)';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.strokeStyle = color;
+    context.lineWidth = 3;
+    context.strokeRect(1.5, 1.5, canvas.width - 3, canvas.height - 3);
+
+    context.fillStyle = 'white';
+    context.font = 'bold 20px Arial';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText(text, canvas.width / 2, canvas.height / 2, canvas.width - 12);
+
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(canvas), depthTest: false, transparent: true }));
+    sprite.scale.set(width, width * canvas.height / canvas.width, 1);
+    return sprite;
+}
+
+// Function to remove an annotation object from the model and free it
+function disposeAnnotation(object) {
+    if (!object) return;
+    if (object.parent) {
+        object.parent.remove(object);
+    }
+    object.traverse(child => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) {
+            if (child.material.map) child.material.map.dispose();
+            child.material.dispose();
+        }
+    });
+}
+
+// Function to list the measurements in the stats panel; clicking one frames it, ✕ removes it
+function showMeasurements() {
+    const list = document.getElementById('measurementList');
+    list.innerHTML = '';
+    document.getElementById('exportMeasurements').disabled = measurements.length === 0;
+    document.getElementById('clearMeasurements').disabled = measurements.length === 0;
+
+    for (const measurement of measurements) {
+        const item = document.createElement('div');
+        item.className = 'measurement-item';
+        item.textContent = `${measurement.number} ${measurementTool.getKindLabel(measurement.kind)}: ${measurementTool.format(measurement)}`;
+        item.addEventListener('click', () => fitCameraToObject(measurementObjects.get(measurement.number), 3));
+
+        const remove = document.createElement('button');
+        remove.textContent = '✕';
+        remove.title = 'Fjern målingen';
+        remove.addEventListener('click', event => {
+            event.stopPropagation();
+            removeMeasurement(measurement.number);
+        });
+        item.appendChild(remove);
+        list.appendChild(item);
+    }
+}
+
+// Function to remove a measurement and its annotation
+function removeMeasurement(number) {
+    measurements = measurements.filter(measurement => measurement.number !== number);
+    disposeAnnotation(measurementObjects.get(number));
+    measurementObjects.delete(number);
+    showMeasurements();
+}
+
+// Function to remove every measurement
+function clearMeasurements() {
+    measurementObjects.forEach(disposeAnnotation);
+    measurementObjects.clear();
+    measurements = [];
+    showMeasurements();
+}
+
+// Function to export the measurements as CSV
+function exportMeasurements() {
+    if (measurements.length === 0) return;
+    downloadModelFile(new Blob([measurementTool.toCSV(measurements)], { type: 'text/csv;charset=utf-8' }), 'målinger.csv');
+    console.log(`📏 Exported ${measurements.length} measurements`);
+}
+
+// Pin colours of the review note statuses
+const REVIEW_NOTE_COLORS = {
+    'open': '#e74c3c',
+    'in-progress': '#f39c12',
+    'resolved': '#27ae60'
+};
+
+// Width (pixels) note screenshots are scaled down to, so the notes fit in localStorage
+const NOTE_SCREENSHOT_WIDTH = 640;
+
+// localStorage key of the reviewer's name, filled in on new notes
+const NOTE_AUTHOR_KEY = 'reviewNoteAuthor';
+
+// Note open in the editor (a new one is { number: null, partNumber, point, normal } until saved), its screenshot
+// while editing, and whether clicks place a new note
+let editedNote = null;
+let editedNoteScreenshot = null;
+let placingNote = false;
+
+// Function to let the next click on a part place a new review note
+function startPlacingNote() {
+    if (!modelGroup) return;
+    stopMeasuring();
+    placingNote = true;
+    partManager.pickHandler = handleNotePlacement;
+    document.getElementById('addReviewNote').textContent = 'Avbryt';
+    document.getElementById('status').textContent = 'Klikk på en del for å feste kommentaren. Esc avbryter';
+}
+
+// Function to stop waiting for the click that places a note
+function stopPlacingNote() {
+    if (!placingNote) return;
+    placingNote = false;
+    partManager.pickHandler = null;
+    renderer.domElement.style.cursor = 'default';
+    document.getElementById('addReviewNote').textContent = 'Ny kommentar';
+}
+
+// Handle the click placing a note: the surface point and its normal facing the camera, in model coordinates.
+// A note already at that point is opened instead.
+function handleNotePlacement(clickedPart) {
+    if (!clickedPart || !clickedPart.mesh || !clickedPart.intersection.face) return;
+    stopPlacingNote();
+
+    const { object, face, point } = clickedPart.intersection;
+    const normal = face.normal.clone().applyNormalMatrix(new THREE.Matrix3().getNormalMatrix(object.matrixWorld)).normalize();
+    if (normal.dot(partManager.raycaster.ray.direction) > 0) {
+        normal.negate();
+    }
+    const modelNormal = normal.transformDirection(new THREE.Matrix4().copy(modelGroup.matrixWorld).invert());
+    const modelPoint = modelGroup.worldToLocal(point.clone()).toArray();
+
+    const existing = reviewNotes.getNoteAt(clickedPart.partId, modelPoint);
+    openNoteEditor(existing || { number: null, partNumber: clickedPart.partId, point: modelPoint, normal: modelNormal.toArray() });
+}
+
+// Function to open a note in the editor in the stats panel
+function openNoteEditor(note) {
+    editedNote = note;
+    editedNoteScreenshot = note.screenshot || null;
+    document.getElementById('reviewNotes').open = true;
+    document.getElementById('reviewNoteEditor').style.display = 'flex';
+
+    const isNew = note.number === null;
+    document.getElementById('reviewNoteTitle').textContent = `${isNew ? 'Ny kommentar' : `Kommentar ${note.number}`} på ${note.partNumber}`;
+    document.getElementById('reviewNoteDates').textContent = isNew ? '' : describeNoteDates(note);
+    document.getElementById('reviewNoteAuthor').value = isNew ? localStorage.getItem(NOTE_AUTHOR_KEY) || '' : note.author;
+    document.getElementById('reviewNoteText').value = isNew ? '' : note.text;
+    document.getElementById('reviewNoteStatus').value = isNew ? 'open' : note.status;
+    document.getElementById('deleteReviewNote').disabled = isNew;
+    showNoteScreenshot();
+    document.getElementById('reviewNoteText').focus();
+}
+
+// Function to describe when a note was written and last changed
+function describeNoteDates(note) {
+    const format = date => new Date(date).toLocaleString('nb-NO', { dateStyle: 'short', timeStyle: 'short' });
+    return note.updatedAt !== note.createdAt
+        ? `Skrevet ${format(note.createdAt)}, endret ${format(note.updatedAt)}`
+        : `Skrevet ${format(note.createdAt)}`;
+}
+
+// Function to show the screenshot of the edited note, if it has one
+function showNoteScreenshot() {
+    const image = document.getElementById('reviewNoteScreenshot');
+    image.style.display = editedNoteScreenshot ? 'block' : 'none';
+    image.src = editedNoteScreenshot || '';
+    document.getElementById('removeNoteScreenshot').disabled = !editedNoteScreenshot;
+}
+
+// Function to take a screenshot of the view, pins included, for the edited note
+function captureNoteScreenshot() {
+    renderer.render(scene, activeCamera);
+    const source = renderer.domElement;
+    const scale = Math.min(1, NOTE_SCREENSHOT_WIDTH / source.width);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(source.width * scale);
+    canvas.height = Math.round(source.height * scale);
+    canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+    editedNoteScreenshot = canvas.toDataURL('image/jpeg', 0.8);
+    showNoteScreenshot();
+}
+
+// Function to save the note in the editor; a new note gets its number and pin
+function saveReviewNote() {
+    if (!editedNote) return;
+    const author = document.getElementById('reviewNoteAuthor').value.trim();
+    const text = document.getElementById('reviewNoteText').value.trim();
+    if (!author || !text) {
+        document.getElementById('status').textContent = author ? 'Skriv en kommentar' : 'Skriv inn navnet ditt';
+        document.getElementById(author ? 'reviewNoteText' : 'reviewNoteAuthor').focus();
+        return;
+    }
+
+    localStorage.setItem(NOTE_AUTHOR_KEY, author);
+    const fields = { author, text, status: document.getElementById('reviewNoteStatus').value, screenshot: editedNoteScreenshot };
+    const note = editedNote.number === null
+        ? reviewNotes.add({ ...fields, partNumber: editedNote.partNumber, point: editedNote.point, normal: editedNote.normal })
+        : reviewNotes.update(editedNote.number, fields);
+    closeNoteEditor();
+    showReviewNotes();
+    document.getElementById('status').textContent = `Kommentar ${note.number} lagret`;
+}
+
+// Function to delete the note in the editor
+function deleteReviewNote() {
+    if (!editedNote || editedNote.number === null) return;
+    if (!window.confirm(`Slette kommentar ${editedNote.number}?`)) return;
+
+    const number = editedNote.number;
+    reviewNotes.remove(number);
+    closeNoteEditor();
+    showReviewNotes();
+    document.getElementById('status').textContent = `Kommentar ${number} slettet`;
+}
+
+// Function to close the note editor without saving
+function closeNoteEditor() {
+    editedNote = null;
+    editedNoteScreenshot = null;
+    document.getElementById('reviewNoteEditor').style.display = 'none';
+}
+
+// Function to list the review notes in the stats panel and pin them to the model; clicking one frames its
+// part and opens it. Notes on parts no longer in the model are listed without a pin.
+function showReviewNotes() {
+    const notes = reviewNotes.getNotes();
+    const list = document.getElementById('reviewNoteList');
+    list.innerHTML = '';
+    document.getElementById('reviewNoteCount').textContent = notes.length;
+    document.getElementById('exportReviewNotes').disabled = notes.length === 0;
+
+    for (const note of notes) {
+        const item = document.createElement('div');
+        item.className = `review-note-item ${note.status}`;
+        const missing = partManager.parts.has(note.partNumber) ? '' : ' (delen finnes ikke)';
+        item.textContent = `${note.number} [${reviewNotes.getStatusLabel(note.status)}] ${note.partNumber}${missing}: ${note.text} - ${note.author}`;
+        item.title = describeNoteDates(note);
+        item.addEventListener('click', () => {
+            const mesh = partManager.partMeshes.get(note.partNumber);
+            if (mesh) {
+                fitCameraToObject(mesh, 2);
+            }
+            openNoteEditor(note);
+        });
+        list.appendChild(item);
+    }
+
+    updateNotePins();
+}
+
+// Function to pin every note to its part, sized to the model, when the pins are switched on
+function updateNotePins() {
+    partManager.clearNotePins();
+    if (!modelGroup || !document.getElementById('showNotePins').checked) return;
+
+    const size = getAnnotationSize() * 0.03;
+    for (const note of reviewNotes.getNotes()) {
+        if (!partManager.parts.has(note.partNumber)) continue;
+        partManager.createNotePin(note, {
+            point: reviewNotes.toModelPoint(note),
+            color: REVIEW_NOTE_COLORS[note.status],
+            parent: modelGroup,
+            size
+        });
+    }
+}
+
+// Function to export the review notes as JSON, to pass on with the model
+function exportReviewNotes() {
+    const modelName = decodeURIComponent(new URL(modelUrl).pathname.split('/').pop()) || 'modell';
+    downloadModelFile(new Blob([reviewNotes.toJSON(modelName)], { type: 'application/json' }), 'kommentarer.json');
+    console.log(`📌 Exported ${reviewNotes.getNotes().length} review notes`);
+}
+
+// Function to add the notes of an exported JSON file to this model's notes
+async function importReviewNotes(file) {
+    try {
+        const { added, updated, skipped } = reviewNotes.import(await file.text());
+        showReviewNotes();
+        document.getElementById('status').textContent = `Kommentarer importert: ${added} nye, ${updated} oppdatert, ${skipped} hoppet over`;
+    } catch (error) {
+        console.error("❌ Error importing review notes:", error);
+        document.getElementById('status').textContent = `Kunne ikke importere kommentarer - ${error.message}`;
+    }
+}
+
+// Function to finish loading a model: show it, frame it and look for part videos
+function onModelLoaded(object) {
+    console.log("✅ Model loaded successfully!", object);
+    document.getElementById('status').textContent = "Modell lastet! Klikk på deler for å interagere.";
+
+    showModel(object);
+    applySavedMerges();
+    updateInstances();
+    updateConnectivity();
+    fitCameraToObject(modelGroup);
+    showMassProperties();
+    viewHistory.restore();
+    showReviewNotes();
+    if (compareUrl) {
+        compareWithRevision(compareUrl);
+    }
+    
+    // Load video sequences after all parts are loaded
+    partManager.loadVideoSequences();
+}
+
+// Function to add analyzed parts to the scene, one mesh per part record
+function buildModelFromParts(parts) {
+    const object = new THREE.Group();
+    for (const part of parts) {
+        console.log("Processing part:", part.name);
+        const mesh = createMeshFromPart(part);
+        registerPartMesh(part, mesh);
+        object.add(mesh);
+    }
+    return object;
+}
+
+// Function to list parse diagnostics in the collapsible model issues panel
+function showModelIssues(diagnostics) {
+    const panel = document.getElementById('modelIssues');
+    const list = document.getElementById('modelIssueList');
+    const unhealthyParts = partAnalyzer.parts.filter(part => part.meshHealth && !part.meshHealth.healthy);
+    const totalIssues = Object.values(diagnostics.counts).reduce((sum, count) => sum + count, 0) + unhealthyParts.length;
+
+    panel.style.display = totalIssues > 0 ? 'block' : 'none';
+    document.getElementById('modelIssueCount').textContent = totalIssues;
+    list.innerHTML = '';
+
+    const addItem = (className, location, text) => {
+        const item = document.createElement('div');
+        item.className = `model-issue ${className}`;
+        const locationSpan = document.createElement('span');
+        locationSpan.className = 'model-issue-location';
+        locationSpan.textContent = location;
+        item.appendChild(locationSpan);
+        item.appendChild(document.createTextNode(text));
+        list.appendChild(item);
+        return item;
+    };
+
+    // Mesh problems are listed first; clicking one selects the part and draws its bad edges
+    for (const part of unhealthyParts) {
+        const item = addItem('mesh', part.partNumber, `${part.name}: ${describeMeshHealth(part.meshHealth)}`);
+        item.addEventListener('click', () => partManager.selectPart(part.partNumber));
+    }
+
+    for (const rejected of diagnostics.rejectedParts) {
+        const location = rejected.line ? `Linje ${rejected.line}` : 'Forkastet';
+        addItem('rejected', location, `${rejected.name} forkastet: ${rejected.reason} (${rejected.kind})`);
+    }
+
+    for (const issue of diagnostics.issues) {
+        addItem(issue.severity, issue.line ? `Linje ${issue.line}` : '-', `${issue.message} (${issue.kind})`);
+    }
+
+    if (diagnostics.truncated) {
+        const hidden = totalIssues - unhealthyParts.length - diagnostics.rejectedParts.length - diagnostics.issues.length;
+        addItem('warning', '...', `${hidden} flere problemer ikke vist`);
+    }
+}
+
+// Function to describe the problems in a mesh health report
+function describeMeshHealth(health) {
+    const problems = [];
+    if (health.boundaryEdges) problems.push(`${health.boundaryEdges} åpne kanter (${health.holes} hull)`);
+    if (health.nonManifoldEdges) problems.push(`${health.nonManifoldEdges} ikke-manifolde kanter`);
+    if (health.inconsistentEdges) problems.push(`${health.inconsistentEdges} kanter med motstridende vinding`);
+    if (health.degenerateFaces) problems.push(`${health.degenerateFaces} degenererte flater`);
+    if (health.duplicateFaces) problems.push(`${health.duplicateFaces} doble flater`);
+    if (health.shells > 1) problems.push(`${health.shells} adskilte skall`);
+    return problems.length ? problems.join(', ') : 'ingen feil';
+}
+
+// Offending edges of the selected part: open edges red, non-manifold orange, inconsistent winding yellow
+const meshHealthEdgeColors = { boundary: 0xff3b30, nonManifold: 0xff9500, inconsistent: 0xffcc00 };
+let meshHealthEdges = null;
+
+// Function to remove the drawn mesh health edges
+function clearMeshHealthEdges() {
+    if (!meshHealthEdges) return;
+    meshHealthEdges.parent.remove(meshHealthEdges);
+    meshHealthEdges.traverse(child => {
+        if (child.isLineSegments) {
+            child.geometry.dispose();
+            child.material.dispose();
+        }
+    });
+    meshHealthEdges = null;
+}
+
+// Function to draw a part's offending edges (model coordinates) on top of the model
+function showMeshHealthEdges(health) {
+    clearMeshHealthEdges();
+    if (!health || health.healthy || !modelGroup) return;
+
+    meshHealthEdges = new THREE.Group();
+    meshHealthEdges.name = 'MeshHealthEdges';
+    for (const [kind, segments] of Object.entries(health.edges)) {
+        if (segments.length === 0) continue;
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(segments, 3));
+        const lines = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({ color: meshHealthEdgeColors[kind], depthTest: false }));
+        lines.renderOrder = 999;
+        meshHealthEdges.add(lines);
+    }
+    modelGroup.add(meshHealthEdges);
+}
+
+// Function to get the analyzed part record for a part number
+function getAnalyzedPart(partId) {
+    return partAnalyzer.parts.find(part => part.partNumber === partId) || null;
+}
+
+// Function to show the mesh health of the selected part in the part info overlay
+function updateMeshHealthView(partId) {
+    const part = getAnalyzedPart(partId);
+    const health = part && part.meshHealth;
+    const section = document.getElementById('meshHealthSection');
+
+    showMeshHealthEdges(health);
+    if (!health || health.healthy) {
+        section.style.display = 'none';
+        return;
+    }
+
+    section.style.display = 'block';
+    document.getElementById('meshHealthSummary').textContent = describeMeshHealth(health);
+}
+
+// Function to repair the selected part's mesh with the chosen fixes and swap in the new geometry
+function repairSelectedPartMesh() {
+    const partId = partManager.selectedPart;
+    const part = getAnalyzedPart(partId);
+    const managedPart = partManager.parts.get(partId);
+    if (!part || !managedPart) return;
+
+    const repaired = partAnalyzer.repairMesh(part, partAnalyzer.getGeometryBuffers(part), {
+        weld: document.getElementById('repairWeld').checked,
+        fillHoles: document.getElementById('repairFillHoles').checked,
+        unifyNormals: document.getElementById('repairUnifyNormals').checked
+    });
+
+    // Repaired buffers are in model coordinates; glTF meshes keep their own node transform
+    const mesh = managedPart.mesh;
+    const materialNames = mesh.userData.materialNames;
+    const geometry = createGeometryFromBuffers(repaired, group =>
+        Array.isArray(materialNames) ? Math.max(0, materialNames.indexOf(group.material)) : 0);
+    const meshToModel = new THREE.Matrix4().copy(modelGroup.matrixWorld).invert().multiply(mesh.matrixWorld);
+    geometry.applyMatrix4(meshToModel.invert());
+    mesh.geometry.dispose();
+    mesh.geometry = geometry;
+
+    // PartManager keeps its own copy of the part record
+    const { meshHealth, massProperties, vertexCount, faceCount, ports } = part;
+    Object.assign(managedPart, { meshHealth, massProperties, vertexCount, faceCount, ports });
+
+    const { summary } = repaired;
+    document.getElementById('status').textContent =
+        `${part.name} reparert: ${summary.weldedVertices} punkter sveiset, ${summary.removedFaces} flater fjernet, ` +
+        `${summary.flippedFaces} snudd, ${summary.filledHoles} hull fylt`;
+
+    updateInstances();
+    updateConnectivity();
+    partManager.showPartInfo(managedPart);
+    updateMeshHealthView(partId);
+    showModelIssues(partAnalyzer.getDiagnostics());
+    showMassProperties();
+}
+
+// Worker parsing the OBJ model currently being loaded (null when idle)
+let modelLoaderWorker = null;
+
+// Function to show byte-based loading progress in the status bar
+function showLoadProgress(loaded, total) {
+    const loadedMB = (loaded / (1024 * 1024)).toFixed(1);
+    const status = document.getElementById('status');
+    if (total > 0) {
+        // Content-Length may be the compressed size, so never claim completion early
+        const percent = Math.min(99, Math.round((loaded / total) * 100));
+        status.textContent = `Laster modell... ${percent}% (${loadedMB} / ${(total / (1024 * 1024)).toFixed(1)} MB)`;
+    } else {
+        status.textContent = `Laster modell... ${loadedMB} MB`;
+    }
+}
+
+// Function to load an OBJ model in a worker, adding parts to the scene as they are parsed
+function loadOBJModel(url) {
+    const worker = new Worker('obj-parser-worker.js');
+    const cancelButton = document.getElementById('cancelLoad');
+    const object = new THREE.Group();
+    let hasFramedModel = false;
+
+    partAnalyzer.resetAnalysis();
+    showModel(object);
+
+    const finishLoad = () => {
+        worker.terminate();
+        modelLoaderWorker = null;
+        cancelButton.style.display = 'none';
+    };
+
+    worker.onmessage = async (event) => {
+        const message = event.data;
+        switch (message.type) {
+            case 'progress':
+                showLoadProgress(message.loaded, message.total);
+                break;
+            case 'part': {
+                const part = message.part;
+                partAnalyzer.parts.push(part);
+                const mesh = createMeshFromPart(part);
+                registerPartMesh(part, mesh);
+                object.add(mesh);
+                if (!hasFramedModel) {
+                    fitCameraToObject(object);
+                    hasFramedModel = true;
+                }
+                break;
+            }
+            case 'complete':
+                finishLoad();
+                console.log("Parts analyzed:", message.partCount);
+                partAnalyzer.materialLibraries = message.materialLibraries;
+                partAnalyzer.diagnostics = message.diagnostics;
+                await loadAuthoredMaterials(url);
+                onModelLoaded(object);
+                showModelIssues(partAnalyzer.getDiagnostics());
+                break;
+            case 'cancelled':
+                finishLoad();
+                partAnalyzer.diagnostics = message.diagnostics;
+                onModelLoaded(object);
+                showModelIssues(partAnalyzer.getDiagnostics());
+                document.getElementById('status').textContent = `Lasting avbrutt - viser ${partManager.parts.size} deler`;
+                break;
+            case 'error':
+                finishLoad();
+                console.error("❌ Error loading OBJ model:", message.message);
+                showLoadError(`Kunne ikke hente modell - ${message.message}`);
+                break;
+        }
+    };
+
+    worker.onerror = (error) => {
+        finishLoad();
+        console.error("❌ OBJ parser worker failed:", error);
+        showLoadError(`Kunne ikke hente modell - ${error.message}`);
+    };
+
+    modelLoaderWorker = worker;
+    cancelButton.style.display = 'block';
+    worker.postMessage({
+        type: 'parse',
+        url,
+        options: getParseOptions()
+    });
+}
+
+// Function to get the OBJ worker parse options matching the current part structure settings
+function getParseOptions() {
+    return {
+        splitByShells: partEdits.splitByShells,
+        nameDelimiters: partAnalyzer.nameDelimiters,
+        multiNameGroupsAsPath: partEdits.multiNameGroupsAsPath,
+        numberingStrategy: partAnalyzer.numberingStrategy,
+        partNumberPattern: partAnalyzer.partNumberPattern,
+        partNumberMapping: partAnalyzer.partNumberMapping
+    };
+}
+
+// Function to cancel a running OBJ load; parts parsed so far stay in the scene
+function cancelModelLoad() {
+    if (modelLoaderWorker) {
+        modelLoaderWorker.postMessage({ type: 'cancel' });
+    }
+}
+
+// Function to load an STL model (ASCII or binary), building meshes from the analyzed parts
+function loadSTLModel(url) {
+    fetch(url)
+        .then(response => {
+            console.log("Fetch response received:", response);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            return response.arrayBuffer();
+        })
+        .then(stlData => {
+            console.log("STL content fetched, length:", stlData.byteLength);
+            const fileName = decodeURIComponent(new URL(url).pathname.split('/').pop());
+            const parts = partAnalyzer.analyzeSTL(stlData, fileName.replace(/\.stl$/i, ''));
+            console.log("Parts analyzed:", parts.length);
+
+            onModelLoaded(buildModelFromParts(parts));
+            showModelIssues(partAnalyzer.getDiagnostics());
+        })
+        .catch(error => {
+            console.error("❌ Error fetching STL file:", error);
+            showLoadError(`Kunne ikke hente modell - ${error.message}`);
+        });
+}
+
+// Function to collect part geometry and metadata from a glTF mesh
+function getGLTFPartOptions(mesh, root, associations) {
+    // Meshes with several primitives load as a group of meshes; the group is the glTF node
+    const isNode = associations.get(mesh)?.type === 'nodes';
+    const node = isNode ? mesh : mesh.parent;
+    const extras = { ...node.userData };
+    const nodeName = extras.name || node.name || mesh.name;
+    const name = isNode ? nodeName : `${nodeName}_${node.children.indexOf(mesh) + 1}`;
+
+    const positionAttribute = mesh.geometry.attributes.position;
+    const positions = new Float32Array(positionAttribute.count * 3);
+    const vertex = new THREE.Vector3();
+    for (let i = 0; i < positionAttribute.count; i++) {
+        vertex.fromBufferAttribute(positionAttribute, i).applyMatrix4(mesh.matrixWorld);
+        positions.set([vertex.x, vertex.y, vertex.z], i * 3);
+    }
+
+    const assemblyPath = [];
+    for (let ancestor = node.parent; ancestor && ancestor !== root; ancestor = ancestor.parent) {
+        assemblyPath.unshift(ancestor.name);
+    }
+
+    return {
+        name,
+        positions,
+        indices: mesh.geometry.index ? mesh.geometry.index.array : undefined,
+        partNumber: extras.partNumber || extras.partnumber || extras.part_number,
+        type: extras.type,
+        assemblyPath,
+        metadata: extras
+    };
+}
+
+// Function to load a glTF 2.0 / GLB model, keeping its node hierarchy and PBR materials
+function loadGLTFModel(url) {
+    const loader = new THREE.GLTFLoader();
+    loader.load(
+        url,
+        (gltf) => {
+            const object = gltf.scene;
+            object.updateMatrixWorld(true);
+            partAnalyzer.resetAnalysis();
+
+            const meshes = [];
+            object.traverse(child => {
+                if (child.isMesh) {
+                    meshes.push(child);
+                }
+            });
+
+            for (const mesh of meshes) {
+                console.log("Processing mesh:", mesh.name || "Unnamed");
+                const part = partAnalyzer.addMeshPart(getGLTFPartOptions(mesh, object, gltf.parser.associations));
+                if (part) {
+                    registerPartMesh(part, mesh, mesh.material);
+                }
+            }
+            console.log("Parts analyzed:", partAnalyzer.parts.length);
+
+            onModelLoaded(object);
+            showModelIssues(partAnalyzer.getDiagnostics());
+        },
+        (xhr) => {
+            const percent = Math.round((xhr.loaded / xhr.total) * 100);
+            document.getElementById('status').textContent = `Laster modell... ${percent}%`;
+            console.log(`Loading progress: ${percent}%`);
+        },
+        (error) => {
+            console.error("❌ Error loading model:", error);
+            showLoadError(error.message);
+        }
+    );
+}
+
+// Revision comparison: diff colours per change status, removed parts drawn as red ghosts
+const revisionComparer = new RevisionComparer(partAnalyzer);
+const revisionDiffMaterials = {
+    added: new THREE.MeshStandardMaterial({ color: 0x2ecc71, roughness: 0.6 }),
+    modified: new THREE.MeshStandardMaterial({ color: 0xf39c12, roughness: 0.6 }),
+    moved: new THREE.MeshStandardMaterial({ color: 0x3498db, roughness: 0.6 }),
+    removed: new THREE.MeshStandardMaterial({ color: 0xe74c3c, transparent: true, opacity: 0.25, depthWrite: false })
+};
+const revisionDiffLabels = { removed: 'Fjernet', added: 'Ny', modified: 'Endret', moved: 'Flyttet' };
+
+// Function to create a part analyzer for another revision with the same part structure settings
+function createRevisionAnalyzer() {
+    const analyzer = new PartAnalyzer();
+    const options = getParseOptions();
+    Object.keys(options).forEach(key => {
+        analyzer[key] = options[key];
+    });
+    return analyzer;
+}
+
+// Function to parse another revision of the model without adding it to the scene
+function loadRevisionParts(url) {
+    const pathname = new URL(url).pathname;
+
+    if (/\.stl$/i.test(pathname)) {
+        return fetch(url)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                return response.arrayBuffer();
+            })
+            .then(stlData => {
+                const fileName = decodeURIComponent(pathname.split('/').pop());
+                return createRevisionAnalyzer().analyzeSTL(stlData, fileName.replace(/\.stl$/i, ''));
+            });
+    }
+
+    if (/\.(gltf|glb)$/i.test(pathname)) {
+        return new Promise((resolve, reject) => {
+            new THREE.GLTFLoader().load(url, (gltf) => {
+                const analyzer = createRevisionAnalyzer();
+                gltf.scene.updateMatrixWorld(true);
+                gltf.scene.traverse(child => {
+                    if (child.isMesh) {
+                        analyzer.addMeshPart(getGLTFPartOptions(child, gltf.scene, gltf.parser.associations));
+                    }
+                });
+                resolve(analyzer.parts);
+            }, undefined, reject);
+        });
+    }
+
+    return new Promise((resolve, reject) => {
+        const worker = new Worker('obj-parser-worker.js');
+        const parts = [];
+        worker.onmessage = (event) => {
+            const message = event.data;
+            switch (message.type) {
+                case 'part':
+                    parts.push(message.part);
+                    break;
+                case 'complete':
+                    worker.terminate();
+                    resolve(parts);
+                    break;
+                case 'error':
+                    worker.terminate();
+                    reject(new Error(message.message));
+                    break;
+            }
+        };
+        worker.onerror = (error) => {
+            worker.terminate();
+            reject(error);
+        };
+        worker.postMessage({ type: 'parse', url, options: getParseOptions() });
+    });
+}
+
+// Function to compare the loaded model with an earlier revision and show the differences
+async function compareWithRevision(url) {
+    const baseName = decodeURIComponent(new URL(url).pathname.split('/').pop());
+    document.getElementById('status').textContent = `Sammenligner med ${baseName}...`;
+
+    try {
+        const baseParts = await loadRevisionParts(url);
+        const changes = revisionComparer.compare(baseParts, partAnalyzer.parts);
+        showRevisionDiff(changes, baseParts);
+        showRevisionDiffList(changes, baseName);
+
+        const changed = changes.filter(change => change.status !== 'unchanged').length;
+        document.getElementById('status').textContent = `${changed} endringer mot ${baseName}`;
+    } catch (error) {
+        console.error("❌ Error loading revision:", error);
+        showLoadError(`Kunne ikke hente revisjon ${baseName} - ${error.message}`);
+    }
+}
+
+// Function to colour the changed parts, draw removed parts as ghosts and moved parts with an arrow
+// from their old position
+function showRevisionDiff(changes, baseParts) {
+    const basePartsById = new Map(baseParts.map(part => [part.partNumber, part]));
+    const group = new THREE.Group();
+    group.name = 'RevisionDiff';
+    const ghosts = new Map();
+    const modelSize = new THREE.Box3().setFromObject(modelGroup).getSize(new THREE.Vector3()).length();
+
+    for (const change of changes) {
+        const mesh = change.partNumber && partManager.partMeshes.get(change.partNumber);
+        if (mesh && change.status !== 'unchanged') {
+            mesh.userData.diffMaterial = revisionDiffMaterials[change.status];
+        }
+
+        const basePart = basePartsById.get(change.basePartNumber);
+        if (change.status === 'removed') {
+            const ghost = new THREE.Mesh(createGeometryFromBuffers(partAnalyzer.getGeometryBuffers(basePart)), revisionDiffMaterials.removed);
+            ghost.name = `${change.name} (fjernet)`;
+            ghosts.set(change.basePartNumber, ghost);
+            group.add(ghost);
+        } else if (change.status === 'moved' && change.distance > 0) {
+            const { x, y, z } = change.translation;
+            const origin = new THREE.Vector3(basePart.center.x, basePart.center.y, basePart.center.z);
+            const direction = new THREE.Vector3(x, y, z).normalize();
+            const headLength = Math.min(change.distance * 0.3, modelSize * 0.02);
+            group.add(new THREE.ArrowHelper(direction, origin, change.distance, 0x3498db, headLength, headLength * 0.5));
+        }
+    }
+
+    modelGroup.add(group);
+    revisionDiff = { group, changes, ghosts };
+    clearInstanceBatches();
+    applyPartMaterials();
+}
+
+// Function to list the changes in the revision diff panel; clicking one selects and frames the part
+function showRevisionDiffList(changes, baseName) {
+    const panel = document.getElementById('revisionDiff');
+    const list = document.getElementById('revisionDiffList');
+    const statusOrder = Object.keys(revisionDiffLabels);
+    const listed = changes
+        .filter(change => change.status !== 'unchanged')
+        .sort((a, b) => statusOrder.indexOf(a.status) - statusOrder.indexOf(b.status));
+
+    panel.style.display = 'block';
+    document.getElementById('revisionDiffBase').textContent = baseName;
+    document.getElementById('revisionDiffCount').textContent = listed.length;
+    list.innerHTML = '';
+
+    if (listed.length === 0) {
+        list.textContent = 'Ingen endringer';
+        return;
+    }
+
+    for (const change of listed) {
+        const item = document.createElement('div');
+        item.className = `revision-change ${change.status}`;
+        const statusSpan = document.createElement('span');
+        statusSpan.className = 'revision-change-status';
+        statusSpan.textContent = revisionDiffLabels[change.status];
+        item.appendChild(statusSpan);
+        item.appendChild(document.createTextNode(`${change.partNumber || change.basePartNumber} ${change.name}${describeRevisionMove(change)}`));
+        item.addEventListener('click', () => selectRevisionChange(change));
+        list.appendChild(item);
+    }
+}
+
+// Function to describe how far a moved part moved and turned (model units and degrees)
+function describeRevisionMove(change) {
+    if (change.status !== 'moved') return '';
+
+    const format = value => value.toFixed(1);
+    const moves = [];
+    if (change.distance > 0) {
+        const { x, y, z } = change.translation;
+        moves.push(`flyttet ${format(change.distance)} (Δx ${format(x)}, Δy ${format(y)}, Δz ${format(z)})`);
+    }
+    if (change.rotationAngle > MOVE_ANGLE_TOLERANCE) {
+        moves.push(`rotert ${format(change.rotationAngle)}°`);
+    }
+    return moves.length ? `: ${moves.join(', ')}` : '';
+}
+
+// Function to select the part of a change and frame it; removed parts frame their ghost
+function selectRevisionChange(change) {
+    if (change.partNumber && partManager.parts.has(change.partNumber)) {
+        partManager.selectPart(change.partNumber);
+        fitCameraToObject(partManager.partMeshes.get(change.partNumber), 3);
+    } else if (revisionDiff.ghosts.has(change.basePartNumber)) {
+        partManager.deselectAllParts();
+        fitCameraToObject(revisionDiff.ghosts.get(change.basePartNumber), 3);
+    }
+}
+
+// Load model (PipeAssembly.obj unless another file is given as ?model=...)
+const modelUrl = new URL(new URLSearchParams(window.location.search).get('model') || 'PipeAssembly.obj', window.location.href).href;
+// Part structure edits for this model (shell splitting, numbering, merges and field joints), kept across reloads
+const partEditsKey = `partEdits:${modelUrl}`;
+let partEdits = loadPartEdits();
+partAnalyzer.splitByShells = partEdits.splitByShells;
+partAnalyzer.multiNameGroupsAsPath = partEdits.multiNameGroupsAsPath;
+partAnalyzer.numberingStrategy = partEdits.numberingStrategy;
+partManager.onMergeParts = mergeTickedParts;
+document.getElementById('splitByShells').checked = partEdits.splitByShells;
+document.getElementById('multiNameGroupsAsPath').checked = partEdits.multiNameGroupsAsPath;
+document.getElementById('numberingStrategy').value = partEdits.numberingStrategy;
+
+// Review notes pinned to part surfaces in this model, kept across reloads; clicking a pin opens its note
+const reviewNotes = new ReviewNotes(partAnalyzer, `reviewNotes:${modelUrl}`);
+partManager.onNoteClick = openNoteEditor;
+
+// Undo/redo history of the view (selection, visibility, isolation, sections and colours) for this model, kept across reloads
+const viewHistory = new ViewHistory({ getState: getViewState, setState: setViewState, storageKey: `viewHistory:${modelUrl}` });
+viewHistory.onChange = updateHistoryButtons;
+
+// PartManager changes recorded in the view history, with their names on the undo and redo buttons
+const VIEW_HISTORY_ACTIONS = {
+    selectPart: 'Velg del',
+    selectParts: 'Velg deler',
+    toggleSelection: 'Endre utvalg',
+    selectInBox: 'Velg med boks',
+    selectPartsByType: 'Velg alle av typen',
+    selectAssembly: 'Velg undersammenstilling',
+    selectPartGroup: 'Velg deler',
+    selectJoint: 'Velg skjøt',
+    selectConnected: 'Velg tilkoblede',
+    selectRun: 'Velg oppstrøms/nedstrøms',
+    selectPath: 'Velg korteste vei',
+    deselectAllParts: 'Fjern utvalg',
+    hideSelectedParts: 'Skjul valgte deler',
+    togglePartVisibility: 'Vis/skjul del',
+    isolatePartGroup: 'Isoler deler',
+    isolateAssembly: 'Isoler undersammenstilling',
+    hideAssembly: 'Skjul undersammenstilling',
+    showAssembly: 'Vis undersammenstilling',
+    toggleAssemblyVisibility: 'Vis/skjul undersammenstilling',
+    toggleAssemblyGhost: 'Spøkelse for undersammenstilling',
+    showAllParts: 'Vis alle deler',
+    createSectionPlanes: 'Lag seksjon',
+    removeSectionPlanes: 'Fjern seksjon',
+    updateSectionPlanes: 'Flytt seksjon'
+};
+
+// Override those PartManager methods to record their changes; moving the section plane is one change per drag
+Object.entries(VIEW_HISTORY_ACTIONS).forEach(([method, label]) => {
+    const originalMethod = partManager[method];
+    partManager[method] = function(...args) {
+        return viewHistory.record(label, () => originalMethod.apply(this, args), { merge: method === 'updateSectionPlanes' });
+    };
+});
+
+// Earlier revision to compare the model with (?compare=...), if any
+const compareParam = new URLSearchParams(window.location.search).get('compare');
+const compareUrl = compareParam ? new URL(compareParam, window.location.href).href : null;
+document.getElementById('compareRevision').value = compareParam || '';
+
+// Part number mapping for the mapping strategy (?partNumbers=..., else <model>.partnumbers.csv next to the model)
+const partNumbersUrl = new URL(new URLSearchParams(window.location.search).get('partNumbers') ||
+    modelUrl.replace(/\.[^./]+$/, '.partnumbers.csv'), window.location.href).href;
+
+// Function to read the saved part structure edits for the current model
+function loadPartEdits() {
+    try {
+        const edits = { splitByShells: false, multiNameGroupsAsPath: false, numberingStrategy: 'sequential', merges: [], fieldJoints: [], ...JSON.parse(localStorage.getItem(partEditsKey)) };
+        if (!NUMBERING_STRATEGIES.includes(edits.numberingStrategy)) {
+            edits.numberingStrategy = 'sequential';
+        }
+        return edits;
+    } catch (error) {
+        console.warn('⚠️ Ignoring unreadable part edits:', error);
+        return { splitByShells: false, multiNameGroupsAsPath: false, numberingStrategy: 'sequential', merges: [], fieldJoints: [] };
+    }
+}
+
+// Function to store the part structure edits for the current model
+function savePartEdits() {
+    localStorage.setItem(partEditsKey, JSON.stringify(partEdits));
+}
+
+console.log(`Attempting to load ${modelUrl}...`);
+document.getElementById('status').textContent = "Laster modell...";
+
+// Function to load the model, after the part number mapping when the mapping strategy is used
+async function loadModel() {
+    if (partAnalyzer.numberingStrategy === 'mapping') {
+        await partAnalyzer.loadPartNumberMapping(partNumbersUrl);
+    }
+
+    if (/\.stl$/i.test(new URL(modelUrl).pathname)) {
+        loadSTLModel(modelUrl);
+    } else if (/\.(gltf|glb)$/i.test(new URL(modelUrl).pathname)) {
+        loadGLTFModel(modelUrl);
+    } else {
+        loadOBJModel(modelUrl);
+    }
+}
+loadModel();
+
+// Handle window resize
+window.addEventListener('resize', () => {
+    const aspect = window.innerWidth / window.innerHeight;
+    perspectiveCamera.aspect = aspect;
+    perspectiveCamera.updateProjectionMatrix();
+    orthographicCamera.left = -10 * aspect;
+    orthographicCamera.right = 10 * aspect;
+    orthographicCamera.top = 10;
+    orthographicCamera.bottom = -10;
+    orthographicCamera.updateProjectionMatrix();
+    renderer.setSize(window.innerWidth, window.innerHeight);
+});
+
+// Handle isolate and show all buttons
+document.getElementById('isolatePart').addEventListener('click', () => {
+    const partIds = partManager.getSelectedPartIds();
+    if (partIds.length > 0) {
+        partManager.isolatePartGroup(partIds);
+        fitCameraToObject(getPartsBox(partIds));
+    }
+});
+
+document.getElementById('hideSelection').addEventListener('click', () => {
+    partManager.hideSelectedParts();
+});
+
+document.getElementById('selectSameType').addEventListener('click', () => {
+    const selectedPart = partManager.getSelectedPart();
+    if (selectedPart) {
+        partManager.selectPartsByType(selectedPart.type);
+        document.getElementById('status').textContent = `${partManager.selectedParts.size} deler av typen ${selectedPart.type} valgt`;
+    }
+});
+
+document.getElementById('selectionColor').addEventListener('change', (event) => {
+    viewHistory.record('Gi farge', () => setPartColor(partManager.getSelectedPartIds(), event.target.value));
+});
+
+document.getElementById('clearSelectionColor').addEventListener('click', () => {
+    viewHistory.record('Fjern farge', () => setPartColor(partManager.getSelectedPartIds(), null));
+});
+
+document.getElementById('showAllPartsBtn').addEventListener('click', () => {
+    partManager.showAllParts();
+    clearClashMarker();
+    if (modelGroup) {
+        fitCameraToObject(modelGroup);
+    }
+});
+
+// Sectioning Controls (integrated with part info overlay)
+
+// Section position slider
+document.getElementById('sectionPosition').addEventListener('input', (e) => {
+    const value = parseFloat(e.target.value);
+    document.getElementById('sectionPositionValue').textContent = value.toFixed(2);
+    
+    // Move the section plane of the sectioned parts, if any
+    partManager.updateSectionPlanes(value);
+});
+
+// Create section
+document.getElementById('createSection').addEventListener('click', () => {
+    const partIds = partManager.getSelectedPartIds();
+    if (partIds.length > 0) {
+        const planeType = document.getElementById('sectionPlaneType').value;
+        const position = parseFloat(document.getElementById('sectionPosition').value);
+        
+        partManager.createSectionPlanes(partIds, planeType, position);
+        console.log(`Created ${planeType} section plane for ${partIds.length} parts`);
+    } else {
+        alert('Please select a part first');
+    }
+});
+
+// Remove section
+document.getElementById('removeSection').addEventListener('click', () => {
+    if (partManager.getSelectedPartIds().length > 0) {
+        partManager.removeSectionPlanes();
+        console.log('Removed section planes');
+    } else {
+        alert('Please select a part first');
+    }
+});
+
+// Reset section view
+document.getElementById('resetSection').addEventListener('click', () => {
+    if (partManager.getSelectedPartIds().length > 0) {
+        partManager.removeSectionPlanes();
+        document.getElementById('sectionPosition').value = 0;
+        document.getElementById('sectionPositionValue').textContent = '0.00';
+        console.log('Reset section view');
+    }
+});
+
+// Handle model load cancel button
+document.getElementById('cancelLoad').addEventListener('click', cancelModelLoad);
+
+// Handle mesh repair button
+document.getElementById('repairMesh').addEventListener('click', repairSelectedPartMesh);
+
+// Handle split by shells toggle; part numbers change, so saved merges and the view history are dropped and the model reloaded
+document.getElementById('splitByShells').addEventListener('change', (event) => {
+    partEdits = { ...partEdits, splitByShells: event.target.checked, merges: [] };
+    savePartEdits();
+    viewHistory.clear();
+    window.location.reload();
+});
+
+// Handle multi-name group toggle; part names and numbers change, so saved merges and the view history are dropped
+document.getElementById('multiNameGroupsAsPath').addEventListener('change', (event) => {
+    partEdits = { ...partEdits, multiNameGroupsAsPath: event.target.checked, merges: [] };
+    savePartEdits();
+    viewHistory.clear();
+    window.location.reload();
+});
+
+// Handle part numbering strategy change; saved merges and the view history refer to the old numbers
+document.getElementById('numberingStrategy').addEventListener('change', (event) => {
+    partEdits = { ...partEdits, numberingStrategy: event.target.value, merges: [] };
+    savePartEdits();
+    viewHistory.clear();
+    window.location.reload();
+});
+
+// Handle revision comparison input; the earlier revision is passed to the viewer as ?compare=...
+document.getElementById('compareRevision').addEventListener('change', (event) => {
+    const url = new URL(window.location.href);
+    const revision = event.target.value.trim();
+    if (revision) {
+        url.searchParams.set('compare', revision);
+    } else {
+        url.searchParams.delete('compare');
+    }
+    window.location.href = url.href;
+});
+
+// Handle part structure reset
+document.getElementById('resetPartEdits').addEventListener('click', () => {
+    localStorage.removeItem(partEditsKey);
+    viewHistory.clear();
+    window.location.reload();
+});
+
+// Handle bill of materials export buttons
+document.querySelectorAll('#bomOptions button').forEach(button => {
+    button.addEventListener('click', () => exportBillOfMaterials(button.dataset.format));
+});
+
+// Handle connected selection buttons in the part info overlay
+document.getElementById('selectConnected').addEventListener('click', () => {
+    if (partManager.selectedPart) {
+        partManager.selectConnected(partManager.selectedPart);
+    }
+});
+
+document.getElementById('selectUpstream').addEventListener('click', () => {
+    if (partManager.selectedPart) {
+        partManager.selectRun(partManager.selectedPart, 'upstream');
+    }
+});
+
+document.getElementById('selectDownstream').addEventListener('click', () => {
+    if (partManager.selectedPart) {
+        partManager.selectRun(partManager.selectedPart, 'downstream');
+    }
+});
+
+document.getElementById('setRunSource').addEventListener('click', () => {
+    if (partManager.selectedPart) {
+        partManager.setRunSource(partManager.selectedPart);
+        document.getElementById('status').textContent = `${partManager.selectedPart} er kilde for oppstrøms/nedstrøms`;
+    }
+});
+
+document.getElementById('selectPathTo').addEventListener('click', () => {
+    if (partManager.selectedPart) {
+        partManager.startPathSelection();
+        document.getElementById('status').textContent = `Klikk på delen veien fra ${partManager.selectedPart} skal gå til`;
+    }
+});
+
+// Handle clash detection button
+document.getElementById('runClashCheck').addEventListener('click', runClashDetection);
+
+// Handle joint register controls
+document.getElementById('buildJointRegister').addEventListener('click', showJointRegister);
+document.getElementById('showJointMarkers').addEventListener('change', updateJointMarkers);
+document.getElementById('exportJointRegister').addEventListener('click', exportJointRegister);
+
+// Handle spool planning controls
+document.getElementById('planSpools').addEventListener('click', showSpoolPlan);
+document.getElementById('printSpoolSheets').addEventListener('click', printSpoolSheets);
+
+// Handle measurement controls; the measure button cancels while measuring
+document.getElementById('startMeasuring').addEventListener('click', () => {
+    if (measureKind) {
+        stopMeasuring();
+        document.getElementById('status').textContent = 'Måling avbrutt';
+    } else {
+        startMeasuring();
+    }
+});
+document.getElementById('measureKind').addEventListener('change', () => {
+    if (measureKind) {
+        startMeasuring();
+    }
+});
+document.getElementById('exportMeasurements').addEventListener('click', exportMeasurements);
+document.getElementById('clearMeasurements').addEventListener('click', clearMeasurements);
+renderer.domElement.addEventListener('mousemove', handleMeasureHover);
+
+// Handle review note controls; the new note button cancels while waiting for the click on a part
+document.getElementById('addReviewNote').addEventListener('click', () => {
+    if (placingNote) {
+        stopPlacingNote();
+        document.getElementById('status').textContent = 'Kommentar avbrutt';
+    } else {
+        closeNoteEditor();
+        startPlacingNote();
+    }
+});
+document.getElementById('showNotePins').addEventListener('change', updateNotePins);
+document.getElementById('exportReviewNotes').addEventListener('click', exportReviewNotes);
+document.getElementById('importReviewNotes').addEventListener('click', () => document.getElementById('reviewNotesFile').click());
+document.getElementById('reviewNotesFile').addEventListener('change', (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (file) {
+        importReviewNotes(file);
+    }
+});
+document.getElementById('saveReviewNote').addEventListener('click', saveReviewNote);
+document.getElementById('deleteReviewNote').addEventListener('click', deleteReviewNote);
+document.getElementById('closeReviewNote').addEventListener('click', closeNoteEditor);
+document.getElementById('captureNoteScreenshot').addEventListener('click', captureNoteScreenshot);
+document.getElementById('removeNoteScreenshot').addEventListener('click', () => {
+    editedNoteScreenshot = null;
+    showNoteScreenshot();
+});
+document.getElementById('reviewNoteScreenshot').addEventListener('click', () => {
+    const screenshotWindow = window.open('', '_blank');
+    if (screenshotWindow) {
+        // Set as a property, never written as markup: the screenshot may come from an imported file
+        const image = screenshotWindow.document.createElement('img');
+        image.src = editedNoteScreenshot;
+        image.alt = 'Skjermbilde';
+        screenshotWindow.document.body.appendChild(image);
+    }
+});
+
+// Handle ghost mode toggle
+document.getElementById('toggleGhostMode').addEventListener('click', () => {
+    viewHistory.record('Spøkelsesmodus', toggleGhostMode);
+});
+
+// Handle undo and redo buttons
+document.getElementById('undoView').addEventListener('click', undoViewChange);
+document.getElementById('redoView').addEventListener('click', redoViewChange);
+
+// Handle settings gear button
+document.getElementById('settingsGear').addEventListener('click', toggleSettings);
+
+// Handle up-axis change
+document.getElementById('upAxis').addEventListener('change', (event) => {
+    upAxis = event.target.value;
+    saveSettings();
+    if (modelGroup) {
+        applyUpAxis(upAxis);
+        fitCameraToObject(modelGroup);
+    }
+});
+
+// Handle material color change (switches on the material override)
+document.getElementById('materialColor').addEventListener('input', (event) => {
+    hdpeMaterial.color.set(event.target.value);
+    partManager.updateHighlight2Material(hdpeMaterial); // Update highlight2Material
+    setMaterialOverride(true);
+    saveSettings();
+});
+
+// Handle glossiness change (switches on the material override)
+document.getElementById('glossiness').addEventListener('input', (event) => {
+    hdpeMaterial.roughness = parseFloat(event.target.value);
+    partManager.updateHighlight2Material(hdpeMaterial); // Update highlight2Material
+    setMaterialOverride(true);
+    saveSettings();
+});
+
+// Handle material override toggle
+document.getElementById('materialOverride').addEventListener('change', (event) => {
+    setMaterialOverride(event.target.checked);
+    saveSettings();
+});
+
+// Handle centre of gravity marker toggle
+document.getElementById('showCenterOfGravity').addEventListener('change', (event) => {
+    setCenterOfGravityVisible(event.target.checked);
+    saveSettings();
+});
+
+// Handle light intensity change
+document.getElementById('lightIntensity').addEventListener('input', (event) => {
+    directionalLight.intensity = parseFloat(event.target.value);
+    saveSettings();
+});
+
+// Handle shadow quality change
+document.getElementById('shadowQuality').addEventListener('change', (event) => {
+    const size = parseInt(event.target.value);
+    directionalLight.shadow.mapSize.width = size;
+    directionalLight.shadow.mapSize.height = size;
+    renderer.shadowMap.needsUpdate = true;
+    saveSettings();
+});
+
+// Handle orthographic toggle
+document.getElementById('orthographicToggle').addEventListener('change', toggleCameraMode);
+
+// Handle apply scope change
+document.getElementById('applyScope').addEventListener('change', (event) => {
+    applyScope = event.target.value;
+    saveSettings();
+});
+
+// Handle reset settings
+document.getElementById('resetSettings').addEventListener('click', resetSettings);
+
+// Handle camera view buttons
+document.getElementById('frontView').addEventListener('click', () => setCameraView('front'));
+document.getElementById('topView').addEventListener('click', () => setCameraView('top'));
+document.getElementById('backView').addEventListener('click', () => setCameraView('back'));
+document.getElementById('isometricView').addEventListener('click', () => setCameraView('isometric'));
+
+// Handle cutting plane visibility toggle
+document.getElementById('showCuttingPlane').addEventListener('change', (event) => {
+    partManager.toggleCuttingPlaneVisibility(event.target.checked);
+});
+
+// Handle video controls - now handled by part-manager.js
+// The event listener is dynamically added/removed by the part manager
+
+document.getElementById('stopVideo').addEventListener('click', () => {
+    partManager.stopVideo();
+});
+
+// Handle video overlay controls
+document.getElementById('videoPlayPause').addEventListener('click', () => {
+    partManager.toggleVideoPlayPause();
+});
+
+document.getElementById('videoClose').addEventListener('click', () => {
+    partManager.stopVideo();
+});
+
+// Handle keyboard shortcuts
+document.addEventListener('keydown', (event) => {
     if (event.key === 'Escape') {
         partManager.stopVideo();
+        if (measureKind) {
+            stopMeasuring();
+            document.getElementById('status').textContent = 'Måling avbrutt';
+        }
+        if (placingNote) {
+            stopPlacingNote();
+            document.getElementById('status').textContent = 'Kommentar avbrutt';
+        }
+    }
+
+    // Ctrl+Z undoes and Ctrl+Shift+Z or Ctrl+Y redoes view changes (cmd on Mac), except while typing in a field
+    if ((event.ctrlKey || event.metaKey) && !event.target.closest('input, select, textarea')) {
+        const key = event.key.toLowerCase();
+        if (key === 'z' && !event.shiftKey) {
+            event.preventDefault();
+            undoViewChange();
+        } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+            event.preventDefault();
+            redoViewChange();
+        }
     }
 });
 
@@ -0,0 +1,161 @@
+/**
+ * BOM Generator - Builds a bill of materials from the loaded assembly
+ * Lines come from PartManager.parts (what is loaded and visible) and the quantities
+ * and masses from PartAnalyzer, so identical parts are counted on one line
+ */
+
+// Column headings shared by the CSV and XLSX exports
+const BOM_COLUMNS = ['Pos', 'Gruppe', 'Delenummer', 'Navn', 'Type', 'Antall', 'Materiale', 'Dimensjoner', 'Vekt per stk (kg)', 'Vekt totalt (kg)'];
+
+class BomGenerator {
+    constructor(partManager, partAnalyzer) {
+        this.partManager = partManager;
+        this.partAnalyzer = partAnalyzer;
+    }
+
+    /**
+     * Build the bill of materials
+     * @param {Object} [options]
+     * @param {string} [options.groupBy] - 'none', 'type' or 'assembly' (sub-assembly path)
+     * @param {boolean} [options.visibleOnly] - Only count parts that are currently visible
+     * @returns {Object} { groupBy, visibleOnly, items, totals } where each item is
+     *   { item, group, partNumber, partNumbers, name, type, quantity, material, dimensions, unitMass, totalMass };
+     *   masses are in kg and null for open parts that cannot be weighed
+     */
+    generate({ groupBy = 'none', visibleOnly = false } = {}) {
+        const analyzedParts = new Map(this.partAnalyzer.parts.map(part => [part.partNumber, part]));
+        const isIncluded = partId => this.partManager.parts.has(partId) && analyzedParts.has(partId) &&
+            (!visibleOnly || this.partManager.visibleParts.has(partId));
+
+        const items = [];
+        for (const entry of this.partAnalyzer.getStatistics().quantities) {
+            const groups = new Map();
+            entry.partNumbers.filter(isIncluded).forEach(partId => {
+                const group = this.getGroupName(this.partManager.parts.get(partId), groupBy);
+                if (!groups.has(group)) {
+                    groups.set(group, []);
+                }
+                groups.get(group).push(partId);
+            });
+
+            for (const [group, partIds] of groups) {
+                items.push(this.createItem(entry, group, partIds.map(partId => analyzedParts.get(partId))));
+            }
+        }
+
+        // Array.prototype.sort is stable, so lines keep part order within a group
+        if (groupBy !== 'none') {
+            items.sort((a, b) => a.group.localeCompare(b.group));
+        }
+        items.forEach((item, index) => {
+            item.item = index + 1;
+        });
+
+        const weighed = items.filter(item => item.totalMass !== null);
+        return {
+            groupBy,
+            visibleOnly,
+            items,
+            totals: {
+                lines: items.length,
+                quantity: items.reduce((sum, item) => sum + item.quantity, 0),
+                mass: weighed.length > 0 ? weighed.reduce((sum, item) => sum + item.totalMass, 0) : null
+            }
+        };
+    }
+
+    /**
+     * Group a part falls in for the given grouping
+     */
+    getGroupName(part, groupBy) {
+        switch (groupBy) {
+            case 'type':
+                return part.type || 'Unknown';
+            case 'assembly':
+                return (part.assemblyPath || []).join(' / ') || 'Toppnivå';
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * One BOM line for parts with the same geometry in the same group
+     */
+    createItem(entry, group, parts) {
+        const part = parts[0];
+        const masses = parts.map(instance => this.partAnalyzer.getPartMass(instance));
+        const weighed = masses.every(mass => mass !== null);
+
+        return {
+            item: 0,
+            group,
+            partNumber: entry.partNumber,
+            partNumbers: parts.map(instance => instance.partNumber),
+            name: entry.name,
+            type: part.type,
+            quantity: parts.length,
+            material: this.partAnalyzer.resolvePartDensity(part).material,
+            dimensions: this.formatDimensions(part),
+            unitMass: weighed ? masses[0] : null,
+            totalMass: weighed ? masses.reduce((sum, mass) => sum + mass, 0) : null
+        };
+    }
+
+    /**
+     * Pipe dimensions where known, otherwise the bounding box size (model units)
+     */
+    formatDimensions(part) {
+        if (part.dimensions) {
+            return this.partManager.formatPipeDimensions(part.dimensions);
+        }
+        const format = value => parseFloat(value.toFixed(1));
+        return `${format(part.size.x)} × ${format(part.size.y)} × ${format(part.size.z)}`;
+    }
+
+    /**
+     * Table rows: headings, one row per line and a totals row
+     */
+    toRows(bom) {
+        const round = value => (value === null ? null : parseFloat(value.toFixed(3)));
+        return [
+            BOM_COLUMNS,
+            ...bom.items.map(item => [
+                item.item,
+                item.group,
+                item.partNumber,
+                item.name,
+                item.type,
+                item.quantity,
+                item.material,
+                item.dimensions,
+                round(item.unitMass),
+                round(item.totalMass)
+            ]),
+            ['Totalt', null, null, null, null, bom.totals.quantity, null, null, null, round(bom.totals.mass)]
+        ];
+    }
+
+    /**
+     * CSV of the table rows (see CsvWriter)
+     */
+    toCSV(bom) {
+        return CsvWriter.toCSV(this.toRows(bom));
+    }
+
+    /**
+     * JSON document with every line and the part numbers it covers
+     */
+    toJSON(bom) {
+        return JSON.stringify({ generated: new Date().toISOString(), ...bom }, null, 2);
+    }
+
+    /**
+     * Excel workbook with one sheet
+     * @returns {Uint8Array} The .xlsx file bytes
+     */
+    toXLSX(bom) {
+        const writer = new XlsxWriter();
+        writer.addSheet('Stykkliste', this.toRows(bom), { headerRows: 1 });
+        return writer.toUint8Array();
+    }
+}
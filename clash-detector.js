@@ -0,0 +1,650 @@
+/**
+ * Clash Detector - Finds parts that intersect each other or come closer than a clearance
+ * Every part's triangles get a bounding volume hierarchy (BVH); part pairs with overlapping
+ * bounding boxes are then tested triangle against triangle. Works on flat position/index
+ * buffers (no three.js dependency) so it runs in clash-worker.js as well as on the main thread.
+ */
+
+// Triangles per BVH leaf
+const BVH_LEAF_SIZE = 8;
+
+// Intersection segments kept per clash for drawing the clash region
+const MAX_CLASH_SEGMENTS = 2000;
+
+// Ray direction for inside tests, skewed so rays rarely graze mesh edges exactly
+const INSIDE_RAY_DIRECTION = GeometryUtils.normalize([0.5773, 0.5774, 0.5776]);
+
+class ClashDetector {
+    constructor() {
+        // Distances below this count as touching; set per run from the assembly size
+        this.epsilon = 1e-9;
+    }
+
+    /**
+     * Find intersecting parts and parts closer than the clearance
+     * @param {Array} parts - { partNumber, name, positions, indices, closed } in one coordinate system;
+     *   closed marks watertight parts, the only ones whose inside can be measured
+     * @param {Object} [options]
+     * @param {number} [options.clearance] - Report non-intersecting pairs closer than this (model units)
+     * @param {Function} [options.onProgress] - Called with (checkedPairs, totalPairs)
+     * @returns {Array} Clashes { partA, partB, nameA, nameB, type, depth, distance, region, segments, closestPoints }
+     *   sorted deepest first. type is 'clash' (intersecting, depth is the estimated penetration) or
+     *   'clearance' (distance is the gap and closestPoints the two nearest points). region is the
+     *   { min, max } box around the intersection and segments the intersection lines as flat xyz. A part
+     *   wholly inside a closed part is a clash too, with no segments and its own bounds as region
+     */
+    detect(parts, { clearance = 0, onProgress = null } = {}) {
+        const bounds = parts.map(part => this.computeBounds(part.positions));
+        const overall = bounds.reduce((box, partBox) => this.unionBoxes(box, partBox), this.createEmptyBox());
+        this.epsilon = Math.max(GeometryUtils.distance(overall.min, overall.max), 1e-12) * 1e-9;
+
+        const pairs = this.findCandidatePairs(bounds, clearance);
+        const bvhs = new Map();
+        const getBVH = index => {
+            if (!bvhs.has(index)) {
+                bvhs.set(index, this.buildBVH(parts[index]));
+            }
+            return bvhs.get(index);
+        };
+
+        const clashes = [];
+        const progressStep = Math.max(1, Math.ceil(pairs.length / 100));
+        pairs.forEach(([i, j], checked) => {
+            const result = this.testPair(getBVH(i), getBVH(j), clearance);
+            if (result) {
+                clashes.push({
+                    partA: parts[i].partNumber,
+                    partB: parts[j].partNumber,
+                    nameA: parts[i].name,
+                    nameB: parts[j].name,
+                    ...result
+                });
+            }
+            if (onProgress && (checked + 1) % progressStep === 0) {
+                onProgress(checked + 1, pairs.length);
+            }
+        });
+
+        clashes.sort((a, b) => (a.type === b.type ? b.depth - a.depth || a.distance - b.distance : a.type === 'clash' ? -1 : 1));
+        console.log(`💥 Clash detection: ${pairs.length} part pairs checked, ${clashes.filter(clash => clash.type === 'clash').length} clashes, ${clashes.filter(clash => clash.type === 'clearance').length} within clearance`);
+        return clashes;
+    }
+
+    /**
+     * Smallest distance between two parts, e.g. to measure the gap between them
+     * @param {Object} partA - { positions, indices } in the same coordinate system as partB
+     * @param {Object} partB - { positions, indices }
+     * @returns {Object|null} { distance, points, intersecting } with points the nearest point on each part;
+     *   intersecting parts have distance 0 and the centre of the intersection as both points.
+     *   null when a part has no triangles
+     */
+    measureDistance(partA, partB) {
+        const overall = this.unionBoxes(this.computeBounds(partA.positions), this.computeBounds(partB.positions));
+        this.epsilon = Math.max(GeometryUtils.distance(overall.min, overall.max), 1e-12) * 1e-9;
+
+        const result = this.testPair(this.buildBVH(partA), this.buildBVH(partB), Infinity);
+        if (!result) return null;
+        if (result.type === 'clash') {
+            const center = GeometryUtils.scale(GeometryUtils.add(result.region.min, result.region.max), 0.5);
+            return { distance: 0, points: [center, center.slice()], intersecting: true };
+        }
+        return { distance: result.distance, points: result.closestPoints, intersecting: false };
+    }
+
+    /**
+     * Box that contains nothing; unionBoxes grows it
+     */
+    createEmptyBox() {
+        return { min: [Infinity, Infinity, Infinity], max: [-Infinity, -Infinity, -Infinity] };
+    }
+
+    /**
+     * Smallest box containing both boxes
+     */
+    unionBoxes(a, b) {
+        return {
+            min: a.min.map((value, axis) => Math.min(value, b.min[axis])),
+            max: a.max.map((value, axis) => Math.max(value, b.max[axis]))
+        };
+    }
+
+    /**
+     * Grow a box in place to contain a point
+     */
+    expandBox(box, point) {
+        for (let axis = 0; axis < 3; axis++) {
+            box.min[axis] = Math.min(box.min[axis], point[axis]);
+            box.max[axis] = Math.max(box.max[axis], point[axis]);
+        }
+    }
+
+    /**
+     * Bounding box of flat xyz positions
+     */
+    computeBounds(positions) {
+        const box = this.createEmptyBox();
+        for (let i = 0; i < positions.length; i += 3) {
+            this.expandBox(box, [positions[i], positions[i + 1], positions[i + 2]]);
+        }
+        return box;
+    }
+
+    /**
+     * Gap between two boxes (0 when they overlap)
+     */
+    boxDistance(a, b) {
+        let sum = 0;
+        for (let axis = 0; axis < 3; axis++) {
+            const gap = Math.max(a.min[axis] - b.max[axis], b.min[axis] - a.max[axis], 0);
+            sum += gap * gap;
+        }
+        return Math.sqrt(sum);
+    }
+
+    /**
+     * Distance from a point to a box (0 inside)
+     */
+    pointBoxDistance(point, box) {
+        return this.boxDistance({ min: point, max: point }, box);
+    }
+
+    /**
+     * Part pairs whose bounding boxes come within the clearance (sweep and prune along X)
+     * @returns {Array} [i, j] index pairs
+     */
+    findCandidatePairs(bounds, clearance) {
+        const order = bounds.map((box, index) => index).sort((a, b) => bounds[a].min[0] - bounds[b].min[0]);
+        const pairs = [];
+        for (let n = 0; n < order.length; n++) {
+            const a = bounds[order[n]];
+            for (let m = n + 1; m < order.length && bounds[order[m]].min[0] <= a.max[0] + clearance; m++) {
+                if (this.boxDistance(a, bounds[order[m]]) <= clearance) {
+                    pairs.push([Math.min(order[n], order[m]), Math.max(order[n], order[m])]);
+                }
+            }
+        }
+        return pairs;
+    }
+
+    /**
+     * Build a BVH over a part's triangles, splitting at the middle of the centroids along the longest axis
+     * @returns {Object} { positions, indices, order, nodes, closed } where nodes[0] is the root and each node
+     *   is { min, max, start, count, left, right } covering triangles order[start .. start + count);
+     *   left/right are child node indices, null for leaves
+     */
+    buildBVH(part) {
+        const { positions, indices } = part;
+        const triangleCount = indices.length / 3;
+        const order = new Uint32Array(triangleCount);
+        const centroids = new Float64Array(triangleCount * 3);
+        const triangleBounds = new Float64Array(triangleCount * 6);
+        for (let t = 0; t < triangleCount; t++) {
+            order[t] = t;
+            for (let axis = 0; axis < 3; axis++) {
+                const a = positions[indices[t * 3] * 3 + axis];
+                const b = positions[indices[t * 3 + 1] * 3 + axis];
+                const c = positions[indices[t * 3 + 2] * 3 + axis];
+                centroids[t * 3 + axis] = (a + b + c) / 3;
+                triangleBounds[t * 6 + axis] = Math.min(a, b, c);
+                triangleBounds[t * 6 + 3 + axis] = Math.max(a, b, c);
+            }
+        }
+
+        const bvh = { positions, indices, order, nodes: [], closed: Boolean(part.closed) };
+        const build = (start, end) => {
+            const node = { ...this.createEmptyBox(), start, count: end - start, left: null, right: null };
+            const index = bvh.nodes.length;
+            bvh.nodes.push(node);
+
+            if (node.count <= BVH_LEAF_SIZE) {
+                for (let n = start; n < end; n++) {
+                    for (let axis = 0; axis < 3; axis++) {
+                        node.min[axis] = Math.min(node.min[axis], triangleBounds[order[n] * 6 + axis]);
+                        node.max[axis] = Math.max(node.max[axis], triangleBounds[order[n] * 6 + 3 + axis]);
+                    }
+                }
+                return index;
+            }
+
+            const centroidBox = this.createEmptyBox();
+            for (let n = start; n < end; n++) {
+                for (let axis = 0; axis < 3; axis++) {
+                    centroidBox.min[axis] = Math.min(centroidBox.min[axis], centroids[order[n] * 3 + axis]);
+                    centroidBox.max[axis] = Math.max(centroidBox.max[axis], centroids[order[n] * 3 + axis]);
+                }
+            }
+            const extents = [0, 1, 2].map(axis => centroidBox.max[axis] - centroidBox.min[axis]);
+            const axis = extents.indexOf(Math.max(...extents));
+            const split = (centroidBox.min[axis] + centroidBox.max[axis]) / 2;
+
+            // Partition in place around the split; fall back to halving when all centroids land on one side
+            let middle = start;
+            for (let n = start; n < end; n++) {
+                if (centroids[order[n] * 3 + axis] < split) {
+                    [order[n], order[middle]] = [order[middle], order[n]];
+                    middle++;
+                }
+            }
+            if (middle === start || middle === end) {
+                middle = (start + end) >> 1;
+            }
+
+            node.left = build(start, middle);
+            node.right = build(middle, end);
+            const box = this.unionBoxes(bvh.nodes[node.left], bvh.nodes[node.right]);
+            node.min = box.min;
+            node.max = box.max;
+            return index;
+        };
+
+        if (triangleCount > 0) {
+            build(0, triangleCount);
+        }
+        return bvh;
+    }
+
+    /**
+     * Corner points of a triangle in a BVH
+     */
+    getTriangle(bvh, triangle) {
+        const { positions, indices } = bvh;
+        return [0, 1, 2].map(corner => {
+            const vertex = indices[triangle * 3 + corner] * 3;
+            return [positions[vertex], positions[vertex + 1], positions[vertex + 2]];
+        });
+    }
+
+    /**
+     * Test two parts against each other by walking both BVHs together
+     * @returns {Object|null} The clash fields of detect() without the part names, or null when the parts
+     *   neither intersect nor come within the clearance
+     */
+    testPair(bvhA, bvhB, clearance) {
+        if (bvhA.nodes.length === 0 || bvhB.nodes.length === 0) return null;
+
+        const segments = [];
+        const region = this.createEmptyBox();
+        let intersecting = false;
+        let nearest = { distance: Infinity, points: null };
+        const stack = [[0, 0]];
+
+        while (stack.length > 0) {
+            const [a, b] = stack.pop();
+            const nodeA = bvhA.nodes[a];
+            const nodeB = bvhB.nodes[b];
+            const gap = this.boxDistance(nodeA, nodeB);
+            // Separated boxes cannot intersect, and only matter while they may beat the nearest gap
+            if (gap > clearance || (gap > 0 && (intersecting || gap >= nearest.distance))) continue;
+
+            if (nodeA.left === null && nodeB.left === null) {
+                for (let n = nodeA.start; n < nodeA.start + nodeA.count; n++) {
+                    const triangleA = this.getTriangle(bvhA, bvhA.order[n]);
+                    for (let m = nodeB.start; m < nodeB.start + nodeB.count; m++) {
+                        const triangleB = this.getTriangle(bvhB, bvhB.order[m]);
+                        const segment = this.intersectTriangles(triangleA, triangleB);
+                        if (segment) {
+                            intersecting = true;
+                            segment.forEach(point => this.expandBox(region, point));
+                            if (segments.length < MAX_CLASH_SEGMENTS * 6) {
+                                segments.push(...segment[0], ...segment[1]);
+                            }
+                        } else if (clearance > 0 && !intersecting) {
+                            const closest = this.triangleDistance(triangleA, triangleB);
+                            if (closest.distance < nearest.distance) {
+                                nearest = closest;
+                            }
+                        }
+                    }
+                }
+            } else if (nodeB.left === null || (nodeA.left !== null && nodeA.count >= nodeB.count)) {
+                stack.push([nodeA.left, b], [nodeA.right, b]);
+            } else {
+                stack.push([a, nodeB.left], [a, nodeB.right]);
+            }
+        }
+
+        if (intersecting) {
+            return {
+                type: 'clash',
+                depth: this.estimatePenetration(bvhA, bvhB, region),
+                distance: 0,
+                region,
+                segments,
+                closestPoints: null
+            };
+        }
+
+        // A part wholly inside a closed part crosses none of its triangles, so one of its vertices tells
+        const inner = this.findContainedPart(bvhA, bvhB);
+        if (inner) {
+            const bounds = { min: inner.nodes[0].min.slice(), max: inner.nodes[0].max.slice() };
+            return {
+                type: 'clash',
+                depth: this.estimatePenetration(bvhA, bvhB, bounds),
+                distance: 0,
+                region: bounds,
+                segments: [],
+                closestPoints: null
+            };
+        }
+
+        if (nearest.points && nearest.distance <= clearance) {
+            const box = this.createEmptyBox();
+            nearest.points.forEach(point => this.expandBox(box, point));
+            return {
+                type: 'clearance',
+                depth: 0,
+                distance: nearest.distance,
+                region: box,
+                segments: [],
+                closestPoints: nearest.points
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Intersection segment of two triangles that cross each other. Triangles that only touch
+     * (coplanar, or meeting at an edge or corner) are contact, not interference, and give null.
+     * @returns {Array|null} [start, end] points
+     */
+    intersectTriangles(a, b) {
+        const { sub, cross, dot, normalize } = GeometryUtils;
+        const normalA = normalize(cross(sub(a[1], a[0]), sub(a[2], a[0])));
+        const normalB = normalize(cross(sub(b[1], b[0]), sub(b[2], b[0])));
+        if (dot(normalA, normalA) === 0 || dot(normalB, normalB) === 0) return null; // Degenerate triangle
+
+        const distancesA = a.map(point => dot(normalB, sub(point, b[0])));
+        const distancesB = b.map(point => dot(normalA, sub(point, a[0])));
+        if (this.isOneSided(distancesA) || this.isOneSided(distancesB)) return null;
+
+        const direction = normalize(cross(normalA, normalB));
+        if (dot(direction, direction) === 0) return null; // Parallel planes
+
+        const intervalA = this.getLineInterval(this.clipToPlane(a, distancesA), direction);
+        const intervalB = this.getLineInterval(this.clipToPlane(b, distancesB), direction);
+        if (!intervalA || !intervalB) return null;
+
+        const low = intervalA.min > intervalB.min ? intervalA.minPoint : intervalB.minPoint;
+        const high = intervalA.max < intervalB.max ? intervalA.maxPoint : intervalB.maxPoint;
+        if (Math.min(intervalA.max, intervalB.max) - Math.max(intervalA.min, intervalB.min) <= this.epsilon) return null;
+        return [low, high];
+    }
+
+    /**
+     * Whether signed plane distances keep a triangle on one side of the plane; touching the plane
+     * or lying in it counts as one side
+     */
+    isOneSided(distances) {
+        const epsilon = this.epsilon;
+        return distances.every(d => d >= -epsilon) || distances.every(d => d <= epsilon);
+    }
+
+    /**
+     * Points where a triangle meets a plane, given the signed distances of its corners
+     */
+    clipToPlane(triangle, distances) {
+        const epsilon = this.epsilon;
+        const points = [];
+        for (let i = 0; i < 3; i++) {
+            const j = (i + 1) % 3;
+            if (Math.abs(distances[i]) <= epsilon) {
+                points.push(triangle[i]);
+            } else if ((distances[i] > epsilon && distances[j] < -epsilon) || (distances[i] < -epsilon && distances[j] > epsilon)) {
+                const t = distances[i] / (distances[i] - distances[j]);
+                points.push(GeometryUtils.add(triangle[i], GeometryUtils.scale(GeometryUtils.sub(triangle[j], triangle[i]), t)));
+            }
+        }
+        return points;
+    }
+
+    /**
+     * Extent of points along a line direction
+     * @returns {Object|null} { min, max, minPoint, maxPoint }
+     */
+    getLineInterval(points, direction) {
+        if (points.length === 0) return null;
+
+        const interval = { min: Infinity, max: -Infinity, minPoint: null, maxPoint: null };
+        for (const point of points) {
+            const t = GeometryUtils.dot(point, direction);
+            if (t < interval.min) {
+                interval.min = t;
+                interval.minPoint = point;
+            }
+            if (t > interval.max) {
+                interval.max = t;
+                interval.maxPoint = point;
+            }
+        }
+        return interval;
+    }
+
+    /**
+     * Closest points between two non-intersecting triangles
+     * @returns {Object} { distance, points: [pointOnA, pointOnB] }
+     */
+    triangleDistance(a, b) {
+        let best = { distance: Infinity, points: null };
+        const consider = (pointA, pointB) => {
+            const distance = GeometryUtils.distance(pointA, pointB);
+            if (distance < best.distance) {
+                best = { distance, points: [pointA, pointB] };
+            }
+        };
+
+        a.forEach(point => consider(point, this.closestPointOnTriangle(point, b)));
+        b.forEach(point => consider(this.closestPointOnTriangle(point, a), point));
+        for (let i = 0; i < 3; i++) {
+            for (let j = 0; j < 3; j++) {
+                const [pointA, pointB] = this.closestPointsOnSegments(a[i], a[(i + 1) % 3], b[j], b[(j + 1) % 3]);
+                consider(pointA, pointB);
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Closest point on a triangle to a point (Ericson, Real-Time Collision Detection 5.1.5)
+     */
+    closestPointOnTriangle(point, [a, b, c]) {
+        const { add, sub, scale, dot } = GeometryUtils;
+        const ab = sub(b, a);
+        const ac = sub(c, a);
+        const ap = sub(point, a);
+        const d1 = dot(ab, ap);
+        const d2 = dot(ac, ap);
+        if (d1 <= 0 && d2 <= 0) return a;
+
+        const bp = sub(point, b);
+        const d3 = dot(ab, bp);
+        const d4 = dot(ac, bp);
+        if (d3 >= 0 && d4 <= d3) return b;
+
+        const vc = d1 * d4 - d3 * d2;
+        if (vc <= 0 && d1 >= 0 && d3 <= 0) return add(a, scale(ab, d1 / (d1 - d3)));
+
+        const cp = sub(point, c);
+        const d5 = dot(ab, cp);
+        const d6 = dot(ac, cp);
+        if (d6 >= 0 && d5 <= d6) return c;
+
+        const vb = d5 * d2 - d1 * d6;
+        if (vb <= 0 && d2 >= 0 && d6 <= 0) return add(a, scale(ac, d2 / (d2 - d6)));
+
+        const va = d3 * d6 - d5 * d4;
+        if (va <= 0 && d4 - d3 >= 0 && d5 - d6 >= 0) {
+            return add(b, scale(sub(c, b), (d4 - d3) / ((d4 - d3) + (d5 - d6))));
+        }
+
+        const denominator = 1 / (va + vb + vc);
+        return add(a, add(scale(ab, vb * denominator), scale(ac, vc * denominator)));
+    }
+
+    /**
+     * Closest points between segments p1-q1 and p2-q2 (Ericson 5.1.9)
+     */
+    closestPointsOnSegments(p1, q1, p2, q2) {
+        const { add, sub, scale, dot } = GeometryUtils;
+        const clamp = value => Math.min(1, Math.max(0, value));
+        const d1 = sub(q1, p1);
+        const d2 = sub(q2, p2);
+        const r = sub(p1, p2);
+        const a = dot(d1, d1);
+        const e = dot(d2, d2);
+        const f = dot(d2, r);
+        let s;
+        let t;
+
+        if (a <= 0 && e <= 0) {
+            return [p1, p2];
+        }
+        if (a <= 0) {
+            s = 0;
+            t = clamp(f / e);
+        } else {
+            const c = dot(d1, r);
+            if (e <= 0) {
+                t = 0;
+                s = clamp(-c / a);
+            } else {
+                const b = dot(d1, d2);
+                const denominator = a * e - b * b;
+                s = denominator > 0 ? clamp((b * f - c * e) / denominator) : 0;
+                t = (b * s + f) / e;
+                if (t < 0) {
+                    t = 0;
+                    s = clamp(-c / a);
+                } else if (t > 1) {
+                    t = 1;
+                    s = clamp((b - c) / a);
+                }
+            }
+        }
+        return [add(p1, scale(d1, s)), add(p2, scale(d2, t))];
+    }
+
+    /**
+     * Part lying wholly inside the other, closed part, for two parts whose triangles do not cross
+     * @returns {Object|null} BVH of the inner part, or null when neither contains the other
+     */
+    findContainedPart(bvhA, bvhB) {
+        for (const [inner, outer] of [[bvhA, bvhB], [bvhB, bvhA]]) {
+            if (!outer.closed) continue;
+            const vertex = inner.indices[0] * 3;
+            const point = [inner.positions[vertex], inner.positions[vertex + 1], inner.positions[vertex + 2]];
+            if (this.pointBoxDistance(point, outer.nodes[0]) === 0 && this.isInside(outer, point)) {
+                return inner;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Estimated penetration depth: the deepest vertex of either part inside the other (closed parts
+     * only). When no vertex is inside, e.g. two beams crossing, the smallest extent of the
+     * intersection region is used instead.
+     */
+    estimatePenetration(bvhA, bvhB, region) {
+        let depth = 0;
+        for (const [inner, outer] of [[bvhA, bvhB], [bvhB, bvhA]]) {
+            if (!outer.closed) continue;
+
+            const bounds = outer.nodes[0];
+            for (let i = 0; i < inner.positions.length; i += 3) {
+                const point = [inner.positions[i], inner.positions[i + 1], inner.positions[i + 2]];
+                if (this.pointBoxDistance(point, bounds) > 0 || !this.isInside(outer, point)) continue;
+                depth = Math.max(depth, this.distanceToSurface(outer, point));
+            }
+        }
+
+        if (depth > 0) return depth;
+        return Math.min(...[0, 1, 2].map(axis => region.max[axis] - region.min[axis]));
+    }
+
+    /**
+     * Whether a point is inside a closed mesh (parity of ray crossings)
+     */
+    isInside(bvh, point) {
+        const inverse = INSIDE_RAY_DIRECTION.map(value => 1 / value);
+        let crossings = 0;
+        const stack = [0];
+
+        while (stack.length > 0) {
+            const node = bvh.nodes[stack.pop()];
+            if (!this.rayHitsBox(point, inverse, node)) continue;
+
+            if (node.left === null) {
+                for (let n = node.start; n < node.start + node.count; n++) {
+                    if (this.rayHitsTriangle(point, INSIDE_RAY_DIRECTION, this.getTriangle(bvh, bvh.order[n]))) {
+                        crossings++;
+                    }
+                }
+            } else {
+                stack.push(node.left, node.right);
+            }
+        }
+        return crossings % 2 === 1;
+    }
+
+    /**
+     * Slab test for a ray starting at origin against a box
+     */
+    rayHitsBox(origin, inverseDirection, box) {
+        let near = 0;
+        let far = Infinity;
+        for (let axis = 0; axis < 3; axis++) {
+            const t1 = (box.min[axis] - origin[axis]) * inverseDirection[axis];
+            const t2 = (box.max[axis] - origin[axis]) * inverseDirection[axis];
+            near = Math.max(near, Math.min(t1, t2));
+            far = Math.min(far, Math.max(t1, t2));
+        }
+        return near <= far;
+    }
+
+    /**
+     * Whether a ray hits a triangle in front of its origin (Möller-Trumbore)
+     */
+    rayHitsTriangle(origin, direction, [a, b, c]) {
+        const { sub, cross, dot } = GeometryUtils;
+        const edge1 = sub(b, a);
+        const edge2 = sub(c, a);
+        const p = cross(direction, edge2);
+        const determinant = dot(edge1, p);
+        if (Math.abs(determinant) < 1e-20) return false;
+
+        const inverse = 1 / determinant;
+        const s = sub(origin, a);
+        const u = dot(s, p) * inverse;
+        if (u < 0 || u > 1) return false;
+
+        const q = cross(s, edge1);
+        const v = dot(direction, q) * inverse;
+        if (v < 0 || u + v > 1) return false;
+
+        return dot(edge2, q) * inverse > this.epsilon;
+    }
+
+    /**
+     * Distance from a point to the nearest triangle of a mesh
+     */
+    distanceToSurface(bvh, point) {
+        let best = Infinity;
+        const stack = [0];
+
+        while (stack.length > 0) {
+            const node = bvh.nodes[stack.pop()];
+            if (this.pointBoxDistance(point, node) >= best) continue;
+
+            if (node.left === null) {
+                for (let n = node.start; n < node.start + node.count; n++) {
+                    const closest = this.closestPointOnTriangle(point, this.getTriangle(bvh, bvh.order[n]));
+                    best = Math.min(best, GeometryUtils.distance(point, closest));
+                }
+            } else {
+                stack.push(node.left, node.right);
+            }
+        }
+        return best;
+    }
+}
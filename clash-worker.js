@@ -0,0 +1,25 @@
+/**
+ * Clash Worker - Runs clash detection off the main thread so big assemblies stay responsive
+ * Parts arrive with their geometry as transferable typed arrays in model coordinates
+ *
+ * Messages in:  { type: 'detect', parts: [{ partNumber, name, positions, indices, closed }], options: { clearance } }
+ * Messages out: { type: 'progress', checked, total }, { type: 'complete', clashes },
+ *               { type: 'error', message }
+ */
+
+importScripts('geometry-utils.js', 'clash-detector.js');
+
+self.onmessage = (event) => {
+    if (event.data.type !== 'detect') return;
+
+    try {
+        const detector = new ClashDetector();
+        const clashes = detector.detect(event.data.parts, {
+            clearance: (event.data.options || {}).clearance || 0,
+            onProgress: (checked, total) => self.postMessage({ type: 'progress', checked, total })
+        });
+        self.postMessage({ type: 'complete', clashes });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
@@ -0,0 +1,181 @@
+/**
+ * Connectivity Graph - Which parts of the assembly are connected to which
+ * Parts mate where their ports (circular end faces found by PartAnalyzer.findPorts) meet
+ * face to face, and touch where ClashDetector finds them within the connection tolerance.
+ * Answers connected sets, runs from a source part and shortest paths for PartManager.
+ */
+
+// Mating ports must face along the same line: |cos| of the angle between their normals
+const PORT_ALIGNMENT = 0.99;
+
+class ConnectivityGraph {
+    constructor() {
+        this.adjacency = new Map(); // partNumber -> Map(neighbour partNumber -> connection)
+        this.connections = [];
+        this.partOrder = new Map(); // partNumber -> index in the parts list, for stable defaults
+    }
+
+    /**
+     * Rebuild the graph
+     * @param {Array} parts - Analyzed parts with partNumber and ports
+     * @param {Object} [options]
+     * @param {number} [options.tolerance] - Port centres closer than this meet (model units)
+     * @param {Array} [options.contacts] - Touching or overlapping part pairs { partA, partB, region }
+     *   as returned by ClashDetector.detect with the tolerance as clearance
+     * @returns {Array} Connections { a, b, kind, point } with kind 'port' or 'contact'
+     */
+    build(parts, { tolerance = 0, contacts = [] } = {}) {
+        this.adjacency = new Map(parts.map(part => [part.partNumber, new Map()]));
+        this.partOrder = new Map(parts.map((part, index) => [part.partNumber, index]));
+        this.connections = [];
+
+        // Port centres hashed on a grid of the tolerance, so only neighbouring cells are compared
+        const cellSize = Math.max(tolerance, 1e-9);
+        const cells = new Map();
+        const cellKey = (x, y, z) => `${x}_${y}_${z}`;
+        for (const part of parts) {
+            for (const port of part.ports || []) {
+                const cell = [port.center.x, port.center.y, port.center.z].map(value => Math.floor(value / cellSize));
+                const candidates = [];
+                for (let dx = -1; dx <= 1; dx++) {
+                    for (let dy = -1; dy <= 1; dy++) {
+                        for (let dz = -1; dz <= 1; dz++) {
+                            candidates.push(...(cells.get(cellKey(cell[0] + dx, cell[1] + dy, cell[2] + dz)) || []));
+                        }
+                    }
+                }
+
+                for (const other of candidates) {
+                    if (other.partNumber !== part.partNumber && this.portsMate(port, other.port, tolerance)) {
+                        this.addConnection(other.partNumber, part.partNumber, 'port', port.center);
+                    }
+                }
+
+                const key = cellKey(...cell);
+                if (!cells.has(key)) {
+                    cells.set(key, []);
+                }
+                cells.get(key).push({ partNumber: part.partNumber, port });
+            }
+        }
+
+        for (const contact of contacts) {
+            const { min, max } = contact.region;
+            const point = { x: (min[0] + max[0]) / 2, y: (min[1] + max[1]) / 2, z: (min[2] + max[2]) / 2 };
+            this.addConnection(contact.partA, contact.partB, 'contact', point);
+        }
+
+        console.log(`🔗 Connectivity: ${this.connections.length} connections between ${parts.length} parts`);
+        return this.connections;
+    }
+
+    /**
+     * Whether two ports meet: coincident centres and normals along the same line
+     */
+    portsMate(a, b, tolerance) {
+        const distance = GeometryUtils.distance([a.center.x, a.center.y, a.center.z], [b.center.x, b.center.y, b.center.z]);
+        const alignment = Math.abs(a.normal.x * b.normal.x + a.normal.y * b.normal.y + a.normal.z * b.normal.z);
+        return distance <= tolerance && alignment >= PORT_ALIGNMENT;
+    }
+
+    /**
+     * Connect two parts; the first connection found between them is kept
+     */
+    addConnection(a, b, kind, point) {
+        if (a === b || !this.adjacency.has(a) || !this.adjacency.has(b) || this.adjacency.get(a).has(b)) return;
+
+        const connection = { a, b, kind, point };
+        this.connections.push(connection);
+        this.adjacency.get(a).set(b, connection);
+        this.adjacency.get(b).set(a, connection);
+    }
+
+    /**
+     * Part numbers connected directly to a part
+     */
+    getNeighbors(partId) {
+        return [...(this.adjacency.get(partId) || new Map()).keys()];
+    }
+
+    /**
+     * Breadth-first distances (in connections) from a part to every part it can reach
+     * @returns {Map} partNumber -> { distance, previous }
+     */
+    traverse(partId) {
+        const visited = new Map([[partId, { distance: 0, previous: null }]]);
+        const queue = [partId];
+        for (let i = 0; i < queue.length; i++) {
+            const current = queue[i];
+            for (const neighbor of this.getNeighbors(current)) {
+                if (!visited.has(neighbor)) {
+                    visited.set(neighbor, { distance: visited.get(current).distance + 1, previous: current });
+                    queue.push(neighbor);
+                }
+            }
+        }
+        return visited;
+    }
+
+    /**
+     * Every part connected to a part, directly or through others, the part itself included
+     */
+    getConnected(partId) {
+        return this.adjacency.has(partId) ? [...this.traverse(partId).keys()] : [];
+    }
+
+    /**
+     * Path through the fewest connections between two parts
+     * @returns {Array|null} Part numbers from start to end, or null when they are not connected
+     */
+    getShortestPath(fromId, toId) {
+        if (!this.adjacency.has(fromId)) return null;
+
+        const visited = this.traverse(fromId);
+        if (!visited.has(toId)) return null;
+
+        const path = [];
+        for (let current = toId; current !== null; current = visited.get(current).previous) {
+            path.unshift(current);
+        }
+        return path;
+    }
+
+    /**
+     * Source of a part's network when none is chosen: the first part in model order with at most
+     * one connection (an open end), or the first part when the network is a closed loop
+     */
+    getDefaultSource(partId) {
+        const connected = this.getConnected(partId).sort((a, b) => this.partOrder.get(a) - this.partOrder.get(b));
+        return connected.find(id => this.adjacency.get(id).size <= 1) || connected[0] || null;
+    }
+
+    /**
+     * Parts between the source and a part (both included), the way the flow comes from
+     * @returns {Array} Part numbers from the source to the part; just the part when they are not connected
+     */
+    getUpstream(partId, sourceId = this.getDefaultSource(partId)) {
+        return this.getShortestPath(sourceId, partId) || [partId];
+    }
+
+    /**
+     * Parts fed through a part: everything reached from it while moving away from the source
+     * @returns {Array} Part numbers, the part itself first
+     */
+    getDownstream(partId, sourceId = this.getDefaultSource(partId)) {
+        const fromSource = this.traverse(sourceId);
+        if (!fromSource.has(partId)) return [partId];
+
+        const downstream = [partId];
+        const seen = new Set(downstream);
+        for (let i = 0; i < downstream.length; i++) {
+            const distance = fromSource.get(downstream[i]).distance;
+            for (const neighbor of this.getNeighbors(downstream[i])) {
+                if (!seen.has(neighbor) && fromSource.get(neighbor).distance > distance) {
+                    seen.add(neighbor);
+                    downstream.push(neighbor);
+                }
+            }
+        }
+        return downstream;
+    }
+}
@@ -0,0 +1,24 @@
+/**
+ * CSV Writer - Turns plain rows of strings and numbers into CSV text
+ * Shared by the exports that have a toRows() table (stykkliste, skjøteregister, målinger)
+ */
+
+const CsvWriter = {
+    /**
+     * CSV (RFC 4180) with a byte order mark so spreadsheet programs read it as UTF-8
+     * @param {Array<Array>} rows - Rows of cells; null/undefined cells are left empty
+     * @returns {string} The CSV text, lines ending in CRLF
+     */
+    toCSV(rows) {
+        return '\uFEFF' + rows.map(row => row.map(value => this.quote(value)).join(',')).join('\r\n') + '\r\n';
+    },
+
+    /**
+     * One cell, quoted when it holds a comma, quote or line break
+     */
+    quote(value) {
+        if (value === null || value === undefined) return '';
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+};
@@ -0,0 +1,169 @@
+/**
+ * Geometry Utils - Small vector and fitting helpers shared by the analysis classes
+ * Vectors are plain [x, y, z] arrays so the helpers work the same on the main
+ * thread and inside workers (no three.js dependency)
+ */
+
+const GeometryUtils = {
+    add(a, b) {
+        return [a[0] + b[0], a[1] + b[1], a[2] + b[2]];
+    },
+
+    sub(a, b) {
+        return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+    },
+
+    scale(a, s) {
+        return [a[0] * s, a[1] * s, a[2] * s];
+    },
+
+    dot(a, b) {
+        return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+    },
+
+    cross(a, b) {
+        return [
+            a[1] * b[2] - a[2] * b[1],
+            a[2] * b[0] - a[0] * b[2],
+            a[0] * b[1] - a[1] * b[0]
+        ];
+    },
+
+    length(a) {
+        return Math.sqrt(a[0] * a[0] + a[1] * a[1] + a[2] * a[2]);
+    },
+
+    normalize(a) {
+        const length = GeometryUtils.length(a);
+        return length > 0 ? [a[0] / length, a[1] / length, a[2] / length] : [0, 0, 0];
+    },
+
+    distance(a, b) {
+        return GeometryUtils.length(GeometryUtils.sub(a, b));
+    },
+
+    /**
+     * Two unit vectors perpendicular to the given unit axis and to each other
+     */
+    perpendicularBasis(axis) {
+        const helper = Math.abs(axis[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0];
+        const u = GeometryUtils.normalize(GeometryUtils.cross(axis, helper));
+        const v = GeometryUtils.cross(axis, u);
+        return [u, v];
+    },
+
+    /**
+     * Eigen decomposition of a symmetric n x n matrix (cyclic Jacobi)
+     * @param {Array<Array<number>>} matrix - Symmetric matrix, not modified
+     * @returns {Object} { values, vectors } sorted by ascending eigenvalue; vectors[i] pairs with values[i]
+     */
+    eigenSymmetric(matrix) {
+        const n = matrix.length;
+        const a = matrix.map(row => row.slice());
+        const v = a.map((row, i) => row.map((_, j) => (i === j ? 1 : 0)));
+
+        for (let sweep = 0; sweep < 50; sweep++) {
+            let offDiagonal = 0;
+            for (let p = 0; p < n; p++) {
+                for (let q = p + 1; q < n; q++) {
+                    offDiagonal += a[p][q] * a[p][q];
+                }
+            }
+            if (offDiagonal < 1e-22) break;
+
+            for (let p = 0; p < n; p++) {
+                for (let q = p + 1; q < n; q++) {
+                    if (Math.abs(a[p][q]) < 1e-300) continue;
+
+                    const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+                    const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                    const c = 1 / Math.sqrt(t * t + 1);
+                    const s = t * c;
+
+                    for (let k = 0; k < n; k++) {
+                        const akp = a[k][p];
+                        const akq = a[k][q];
+                        a[k][p] = c * akp - s * akq;
+                        a[k][q] = s * akp + c * akq;
+                    }
+                    for (let k = 0; k < n; k++) {
+                        const apk = a[p][k];
+                        const aqk = a[q][k];
+                        a[p][k] = c * apk - s * aqk;
+                        a[q][k] = s * apk + c * aqk;
+                    }
+                    for (let k = 0; k < n; k++) {
+                        const vkp = v[k][p];
+                        const vkq = v[k][q];
+                        v[k][p] = c * vkp - s * vkq;
+                        v[k][q] = s * vkp + c * vkq;
+                    }
+                }
+            }
+        }
+
+        const order = a.map((row, i) => i).sort((i, j) => a[i][i] - a[j][j]);
+        return {
+            values: order.map(i => a[i][i]),
+            vectors: order.map(i => v.map(row => row[i]))
+        };
+    },
+
+    /**
+     * Merge positions that fall in the same grid cell of the given size
+     * @param {ArrayLike<number>} positions - Flat xyz coordinates
+     * @param {number} tolerance - Grid cell size in the same units as the positions
+     * @returns {Object} { ids, count, positions, firsts } where ids maps every input vertex to
+     *   its welded vertex, positions holds the welded coordinates and firsts the first input
+     *   vertex of each welded vertex
+     */
+    weldPositions(positions, tolerance) {
+        const vertexCount = positions.length / 3;
+        const ids = new Uint32Array(vertexCount);
+        const cells = new Map();
+        const firsts = [];
+
+        for (let i = 0; i < vertexCount; i++) {
+            const key = `${Math.round(positions[i * 3] / tolerance)},${Math.round(positions[i * 3 + 1] / tolerance)},${Math.round(positions[i * 3 + 2] / tolerance)}`;
+            let id = cells.get(key);
+            if (id === undefined) {
+                id = firsts.length;
+                cells.set(key, id);
+                firsts.push(i);
+            }
+            ids[i] = id;
+        }
+
+        const welded = new Float32Array(firsts.length * 3);
+        firsts.forEach((first, id) => welded.set([positions[first * 3], positions[first * 3 + 1], positions[first * 3 + 2]], id * 3));
+
+        return { ids, count: firsts.length, positions: welded, firsts: Uint32Array.from(firsts) };
+    },
+
+    /**
+     * Value at a given fraction (0..1) of the sorted values
+     */
+    percentile(sortedValues, fraction) {
+        if (sortedValues.length === 0) return 0;
+        const index = Math.min(sortedValues.length - 1, Math.max(0, Math.round(fraction * (sortedValues.length - 1))));
+        return sortedValues[index];
+    },
+
+    /**
+     * Angular range covered by a set of angles (radians): everything except the largest gap
+     * @returns {Object} { start, sweep } where the range runs from start to start + sweep
+     */
+    angularRange(angles) {
+        if (angles.length < 2) return { start: angles[0] || 0, sweep: 0 };
+        const sorted = angles.slice().sort((a, b) => a - b);
+        let largestGap = sorted[0] + 2 * Math.PI - sorted[sorted.length - 1];
+        let start = sorted[0];
+        for (let i = 1; i < sorted.length; i++) {
+            if (sorted[i] - sorted[i - 1] > largestGap) {
+                largestGap = sorted[i] - sorted[i - 1];
+                start = sorted[i];
+            }
+        }
+        return { start, sweep: 2 * Math.PI - largestGap };
+    }
+};
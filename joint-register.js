@@ -0,0 +1,219 @@
+/**
+ * Joint Register - Numbered list of the pipe joints in the assembly for welding QA records
+ * Joints are the connections of the ConnectivityGraph between Pipe, Elbow, Tee and Flange parts,
+ * the electrofusion couplers pushed over them and the gaskets clamped between flanges.
+ * Each joint is classified by the parts it joins and sized from the ports where they meet.
+ */
+
+// Part types whose mating faces make a joint
+const JOINT_PART_TYPES = ['Pipe', 'Elbow', 'Tee', 'Flange'];
+
+// Parts a flange is bolted to when it does not meet another flange
+const JOINT_EQUIPMENT_TYPES = ['Valve', 'Fitting', 'Component', 'Unknown'];
+
+// Electrofusion couplers have no type of their own, so they are recognised by name
+const COUPLER_NAME_PATTERN = /coupler|coupling|muffe|electrofusion/i;
+
+// Joint kinds and their names in the register
+const JOINT_KINDS = {
+    'butt-fusion': 'Speilsveis',
+    'electrofusion': 'Elektromuffe',
+    'flanged': 'Flensforbindelse',
+    'bolted': 'Boltet'
+};
+
+// Column headings of the CSV export
+const JOINT_COLUMNS = ['Nr', 'Skjøtetype', 'Del A', 'Navn A', 'Del B', 'Navn B', 'Pakning',
+    'Ytre diameter (mm)', 'Veggtykkelse (mm)', 'SDR', 'X (mm)', 'Y (mm)', 'Z (mm)'];
+
+class JointRegister {
+    constructor(partAnalyzer) {
+        this.partAnalyzer = partAnalyzer;
+    }
+
+    /**
+     * Find and number the joints
+     * @param {ConnectivityGraph} graph - Built over the parts below
+     * @param {Array} parts - Analyzed parts with type, ports and dimensions
+     * @returns {Array} Joints { number, kind, partA, partB, nameA, nameB, gasket, gasketName, outerDiameter,
+     *   wallThickness, sdr, location } in part order. kind is a key of JOINT_KINDS; gasket is the part number of
+     *   the gasket between flanges or null; sizes (model units) and sdr are null where the ports do not tell
+     */
+    build(graph, parts) {
+        const partsById = new Map(parts.map(part => [part.partNumber, part]));
+        const found = new Map(); // "partA|partB" -> joint, so a flange pair is only listed once
+
+        const addJoint = (a, b, kind, location, gasket = null) => {
+            const [first, second] = [a, b].sort((x, y) => graph.partOrder.get(x.partNumber) - graph.partOrder.get(y.partNumber));
+            const key = `${first.partNumber}|${second.partNumber}`;
+            if (found.has(key)) return;
+            found.set(key, this.createJoint(first, second, kind, location, gasket));
+        };
+
+        for (const connection of graph.connections) {
+            const a = partsById.get(connection.a);
+            const b = partsById.get(connection.b);
+            if (!a || !b) continue;
+
+            const kind = this.classify(a, b);
+            if (kind === 'butt-fusion') {
+                // Pipe ends meet face to face; inside a coupler the coupler's own joints are the welds
+                if (connection.kind !== 'port' || this.findCoupler(graph, partsById, a, b)) continue;
+            }
+            if (kind) {
+                addJoint(a, b, kind, connection.point);
+            }
+        }
+
+        // Flanges clamp a gasket between them, so they only meet through it
+        for (const gasket of parts.filter(part => part.type === 'Gasket')) {
+            const sides = graph.getNeighbors(gasket.partNumber).map(id => partsById.get(id))
+                .filter(part => part && this.getRole(part) !== 'Coupler');
+            for (let i = 0; i < sides.length; i++) {
+                for (let j = i + 1; j < sides.length; j++) {
+                    const kind = this.classify(sides[i], sides[j]);
+                    if (kind === 'flanged' || kind === 'bolted') {
+                        addJoint(sides[i], sides[j], kind, gasket.center, gasket);
+                    }
+                }
+            }
+        }
+
+        const joints = [...found.values()].sort((a, b) =>
+            graph.partOrder.get(a.partA) - graph.partOrder.get(b.partA) || graph.partOrder.get(a.partB) - graph.partOrder.get(b.partB));
+        joints.forEach((joint, index) => {
+            joint.number = `J-${(index + 1).toString().padStart(3, '0')}`;
+        });
+
+        console.log(`🔩 Joint register: ${joints.length} joints`);
+        return joints;
+    }
+
+    /**
+     * What a part is for jointing: its type, or 'Coupler' for electrofusion couplers
+     */
+    getRole(part) {
+        return COUPLER_NAME_PATTERN.test(part.name) ? 'Coupler' : part.type;
+    }
+
+    /**
+     * Kind of joint two connected parts make, or null when they do not make one
+     */
+    classify(a, b) {
+        const [roleA, roleB] = [this.getRole(a), this.getRole(b)];
+        const isPiping = role => JOINT_PART_TYPES.includes(role);
+
+        if (roleA === 'Coupler' || roleB === 'Coupler') {
+            return isPiping(roleA) || isPiping(roleB) ? 'electrofusion' : null;
+        }
+        if (roleA === 'Flange' && roleB === 'Flange') return 'flanged';
+        if ((roleA === 'Flange' && JOINT_EQUIPMENT_TYPES.includes(roleB)) ||
+            (roleB === 'Flange' && JOINT_EQUIPMENT_TYPES.includes(roleA))) return 'bolted';
+        return isPiping(roleA) && isPiping(roleB) ? 'butt-fusion' : null;
+    }
+
+    /**
+     * Coupler connected to both parts, if any
+     */
+    findCoupler(graph, partsById, a, b) {
+        const aNeighbors = new Set(graph.getNeighbors(a.partNumber));
+        return graph.getNeighbors(b.partNumber).map(id => partsById.get(id))
+            .find(part => part && aNeighbors.has(part.partNumber) && this.getRole(part) === 'Coupler') || null;
+    }
+
+    /**
+     * Joint record; numbered once all joints are sorted
+     */
+    createJoint(a, b, kind, location, gasket) {
+        const size = this.getJointSize(a, b, kind, location);
+        return {
+            number: null,
+            kind,
+            partA: a.partNumber,
+            partB: b.partNumber,
+            nameA: a.name,
+            nameB: b.name,
+            gasket: gasket ? gasket.partNumber : null,
+            gasketName: gasket ? gasket.name : null,
+            outerDiameter: size ? size.outerDiameter : null,
+            wallThickness: size ? size.wallThickness : null,
+            sdr: size && size.wallThickness ? size.outerDiameter / size.wallThickness : null,
+            location: { x: location.x, y: location.y, z: location.z }
+        };
+    }
+
+    /**
+     * Pipe size at a joint. Welded joints take the port of the pipe-side part nearest the joint;
+     * flanged and bolted joints the port at the far end of the flange, where it is welded to the pipe.
+     * Parts without ports fall back to their fitted pipe dimensions.
+     * @returns {Object|null} { outerDiameter, wallThickness } in model units; wallThickness is null for solid ends
+     */
+    getJointSize(a, b, kind, location) {
+        const point = [location.x, location.y, location.z];
+        const portDistance = port => GeometryUtils.distance(point, [port.center.x, port.center.y, port.center.z]);
+
+        let candidates;
+        if (kind === 'flanged' || kind === 'bolted') {
+            candidates = [a, b].filter(part => part.type === 'Flange');
+        } else {
+            // Couplers and flanges are sized by what is welded into them
+            const rank = part => ({ Coupler: 2, Flange: 1 }[this.getRole(part)] || 0);
+            candidates = [a, b].sort((x, y) => rank(x) - rank(y));
+        }
+
+        for (const part of candidates) {
+            const ports = (part.ports || []).slice().sort((x, y) => portDistance(x) - portDistance(y));
+            const port = kind === 'flanged' || kind === 'bolted' ? (ports.length > 1 ? ports[ports.length - 1] : null) : ports[0];
+            if (port) {
+                return {
+                    outerDiameter: port.radius * 2,
+                    wallThickness: port.innerRadius > 0 ? port.radius - port.innerRadius : null
+                };
+            }
+            if (part.dimensions) {
+                return { outerDiameter: part.dimensions.outerDiameter, wallThickness: part.dimensions.wallThickness };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Name of a joint kind in the register
+     */
+    getKindLabel(kind) {
+        return JOINT_KINDS[kind] || kind;
+    }
+
+    /**
+     * Table rows: headings and one row per joint, sizes and location in mm
+     */
+    toRows(joints) {
+        const toMM = this.partAnalyzer.metersPerUnit * 1000;
+        const round = (value, digits = 2) => (value === null ? null : parseFloat((value * toMM).toFixed(digits)));
+        return [
+            JOINT_COLUMNS,
+            ...joints.map(joint => [
+                joint.number,
+                this.getKindLabel(joint.kind),
+                joint.partA,
+                joint.nameA,
+                joint.partB,
+                joint.nameB,
+                joint.gasket ? `${joint.gasket} ${joint.gasketName}` : null,
+                round(joint.outerDiameter),
+                round(joint.wallThickness),
+                joint.sdr === null ? null : parseFloat(joint.sdr.toFixed(1)),
+                round(joint.location.x, 1),
+                round(joint.location.y, 1),
+                round(joint.location.z, 1)
+            ])
+        ];
+    }
+
+    /**
+     * CSV of the table rows (see CsvWriter)
+     */
+    toCSV(joints) {
+        return CsvWriter.toCSV(this.toRows(joints));
+    }
+}
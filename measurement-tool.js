@@ -0,0 +1,278 @@
+/**
+ * Measurement Tool - Distances, angles and radii picked on the model, for dimension annotations
+ * Picks are points on part surfaces in model coordinates, snapped to the nearest vertex, edge midpoint
+ * or circle centre (the ports found by PartAnalyzer.findPorts) within a snap distance. The minimum
+ * distance between two parts comes from ClashDetector. The viewer raycasts the picks and draws the results.
+ */
+
+// Measurement kinds and their names in the list and the CSV export
+const MEASUREMENT_KINDS = {
+    'distance': 'Avstand',
+    'edge': 'Kantlengde',
+    'angle': 'Vinkel',
+    'face-angle': 'Vinkel mellom flater',
+    'radius': 'Radius',
+    'part-distance': 'Minste avstand'
+};
+
+// Picks each kind takes; a radius is done after one pick when that snaps to a circle centre
+const MEASUREMENT_PICKS = {
+    'distance': 2,
+    'edge': 1,
+    'angle': 3,
+    'face-angle': 2,
+    'radius': 3,
+    'part-distance': 2
+};
+
+// What a pick can snap to, preferred in this order when two are equally close
+const SNAP_KINDS = ['vertex', 'edge-midpoint', 'circle-centre', 'surface'];
+
+// Column headings of the CSV export
+const MEASUREMENT_COLUMNS = ['Nr', 'Måling', 'Verdi', 'Enhet', 'Detaljer', 'Deler', 'Punkter (mm)'];
+
+class MeasurementTool {
+    constructor(partAnalyzer, clashDetector) {
+        this.partAnalyzer = partAnalyzer;
+        this.clashDetector = clashDetector;
+        this.count = 0; // Measurements numbered so far
+    }
+
+    /**
+     * Snap a picked surface point to the nearest feature within the snap distance
+     * @param {Object} part - Analyzed part that was hit, for its ports
+     * @param {Array} triangle - Corners [a, b, c] of the hit triangle in model coordinates
+     * @param {Array} point - Hit point on the triangle
+     * @param {number} tolerance - Snap distance (model units)
+     * @returns {Object} Pick { point, snap, partId, normal, edge, circle }: snap is one of SNAP_KINDS, normal the
+     *   triangle's unit normal, edge the triangle edge nearest the hit point and circle the { center, normal,
+     *   radius } of a snapped circle centre, else null
+     */
+    snap(part, triangle, point, tolerance) {
+        const { add, sub, scale, dot, cross, length, normalize, distance } = GeometryUtils;
+        const edges = [0, 1, 2].map(corner => [triangle[corner], triangle[(corner + 1) % 3]]);
+
+        const candidates = [
+            ...triangle.map(vertex => ({ snap: 'vertex', point: vertex, distance: distance(point, vertex) })),
+            ...edges.map(([a, b]) => {
+                const middle = scale(add(a, b), 0.5);
+                return { snap: 'edge-midpoint', point: middle, distance: distance(point, middle) };
+            }),
+            // A circle centre is picked by pointing at the circle, so its distance is to the rim
+            ...(part.ports || []).map(port => {
+                const center = [port.center.x, port.center.y, port.center.z];
+                const normal = [port.normal.x, port.normal.y, port.normal.z];
+                const offset = sub(point, center);
+                const height = dot(offset, normal);
+                const radial = length(sub(offset, scale(normal, height)));
+                return {
+                    snap: 'circle-centre',
+                    point: center,
+                    distance: Math.hypot(height, radial - port.radius),
+                    circle: { center, normal, radius: port.radius }
+                };
+            })
+        ].filter(candidate => candidate.distance <= tolerance)
+            .sort((a, b) => a.distance - b.distance || SNAP_KINDS.indexOf(a.snap) - SNAP_KINDS.indexOf(b.snap));
+
+        const best = candidates[0] || { snap: 'surface', point };
+        const edgeDistance = ([a, b]) => distance(point, this.closestPointOnSegment(point, a, b));
+        return {
+            point: best.point.slice(),
+            snap: best.snap,
+            partId: part.partNumber,
+            normal: normalize(cross(sub(triangle[1], triangle[0]), sub(triangle[2], triangle[0]))),
+            edge: edges.reduce((nearest, edge) => (edgeDistance(edge) < edgeDistance(nearest) ? edge : nearest)).map(corner => corner.slice()),
+            circle: best.circle || null
+        };
+    }
+
+    /**
+     * Closest point to a point on the segment a-b
+     */
+    closestPointOnSegment(point, a, b) {
+        const { add, sub, scale, dot } = GeometryUtils;
+        const direction = sub(b, a);
+        const lengthSquared = dot(direction, direction);
+        const t = lengthSquared > 0 ? Math.max(0, Math.min(1, dot(sub(point, a), direction) / lengthSquared)) : 0;
+        return add(a, scale(direction, t));
+    }
+
+    /**
+     * Whether the picks made so far complete a measurement of the kind
+     */
+    isComplete(kind, picks) {
+        if (kind === 'radius' && picks.length === 1 && picks[0].circle) return true;
+        return picks.length >= MEASUREMENT_PICKS[kind];
+    }
+
+    /**
+     * Measure from a complete set of picks
+     * @param {string} kind - Key of MEASUREMENT_KINDS
+     * @param {Array} picks - Picks from snap
+     * @returns {Object|null} Measurement { number, kind, value, points, partIds, detail }. value is in model units,
+     *   angles in degrees; points are the model coordinates the dimension is drawn through. detail holds
+     *   delta (distance), normals (face-angle), center, normal and diameter (radius) or intersecting
+     *   (part-distance). null when the picks do not give a measurement, e.g. three points on a line for a radius
+     */
+    measure(kind, picks) {
+        const { sub, length } = GeometryUtils;
+        const points = picks.map(pick => pick.point);
+        let result = null;
+
+        switch (kind) {
+            case 'distance': {
+                const delta = sub(points[1], points[0]);
+                result = { value: length(delta), points, detail: { delta } };
+                break;
+            }
+            case 'edge': {
+                const [a, b] = picks[0].edge;
+                result = { value: GeometryUtils.distance(a, b), points: [a, b], detail: {} };
+                break;
+            }
+            case 'angle':
+                result = { value: this.getAngle(sub(points[0], points[1]), sub(points[2], points[1])), points, detail: {} };
+                break;
+            case 'face-angle':
+                result = { value: this.getAngle(picks[0].normal, picks[1].normal), points, detail: { normals: picks.map(pick => pick.normal) } };
+                break;
+            case 'radius': {
+                const circle = picks.length === 1 ? picks[0].circle : this.fitCircle(points);
+                if (circle) {
+                    const rim = picks.length === 1
+                        ? GeometryUtils.add(circle.center, GeometryUtils.scale(GeometryUtils.perpendicularBasis(circle.normal)[0], circle.radius))
+                        : points[0];
+                    result = {
+                        value: circle.radius,
+                        points: [circle.center, rim],
+                        detail: { center: circle.center, normal: circle.normal, diameter: circle.radius * 2 }
+                    };
+                }
+                break;
+            }
+            case 'part-distance': {
+                if (picks[0].partId === picks[1].partId) break;
+                const gap = this.measurePartDistance(picks[0].partId, picks[1].partId);
+                if (gap) {
+                    result = { value: gap.distance, points: gap.points, detail: { intersecting: gap.intersecting } };
+                }
+                break;
+            }
+        }
+
+        if (!result) return null;
+        this.count++;
+        return {
+            number: `M-${this.count.toString().padStart(3, '0')}`,
+            kind,
+            ...result,
+            partIds: [...new Set(picks.map(pick => pick.partId))]
+        };
+    }
+
+    /**
+     * Angle between two directions in degrees (0 to 180)
+     */
+    getAngle(u, v) {
+        const { dot, normalize } = GeometryUtils;
+        return Math.acos(Math.max(-1, Math.min(1, dot(normalize(u), normalize(v))))) * 180 / Math.PI;
+    }
+
+    /**
+     * Circle through three points
+     * @returns {Object|null} { center, normal, radius }, or null when the points lie on a line
+     */
+    fitCircle([a, b, c]) {
+        const { add, sub, scale, dot, cross, length, normalize } = GeometryUtils;
+        const ab = sub(b, a);
+        const ac = sub(c, a);
+        const normal = cross(ab, ac);
+        const normalLengthSquared = dot(normal, normal);
+        if (normalLengthSquared <= 1e-12 * dot(ab, ab) * dot(ac, ac)) return null;
+
+        const offset = scale(add(scale(cross(normal, ab), dot(ac, ac)), scale(cross(ac, normal), dot(ab, ab))), 1 / (2 * normalLengthSquared));
+        return { center: add(a, offset), normal: normalize(normal), radius: length(offset) };
+    }
+
+    /**
+     * Smallest distance between two parts
+     * @returns {Object|null} { distance, points, intersecting } from ClashDetector.measureDistance
+     */
+    measurePartDistance(partIdA, partIdB) {
+        const [partA, partB] = [partIdA, partIdB].map(partId => this.partAnalyzer.parts.find(part => part.partNumber === partId));
+        if (!partA || !partB) return null;
+        return this.clashDetector.measureDistance(this.partAnalyzer.getGeometryBuffers(partA), this.partAnalyzer.getGeometryBuffers(partB));
+    }
+
+    /**
+     * Name of a measurement kind
+     */
+    getKindLabel(kind) {
+        return MEASUREMENT_KINDS[kind] || kind;
+    }
+
+    /**
+     * Model units in mm, rounded to the digits
+     */
+    toMM(value, digits = 2) {
+        return parseFloat((value * this.partAnalyzer.metersPerUnit * 1000).toFixed(digits));
+    }
+
+    /**
+     * Length in model units as shown on annotations, e.g. "123.4 mm"
+     */
+    formatLength(value) {
+        return `${(value * this.partAnalyzer.metersPerUnit * 1000).toFixed(1)} mm`;
+    }
+
+    /**
+     * Value of a measurement as shown on its annotation, e.g. "123.4 mm", "45.0°" or "R 55.0 mm (Ø 110.0 mm)"
+     */
+    format(measurement) {
+        switch (measurement.kind) {
+            case 'angle':
+            case 'face-angle':
+                return `${measurement.value.toFixed(1)}°`;
+            case 'radius':
+                return `R ${this.formatLength(measurement.value)} (Ø ${this.formatLength(measurement.detail.diameter)})`;
+            case 'part-distance':
+                return measurement.detail.intersecting ? `${this.formatLength(0)} (overlapper)` : this.formatLength(measurement.value);
+            default:
+                return this.formatLength(measurement.value);
+        }
+    }
+
+    /**
+     * Table rows: headings and one row per measurement, lengths and points in mm
+     */
+    toRows(measurements) {
+        const isAngle = measurement => measurement.kind === 'angle' || measurement.kind === 'face-angle';
+        const describe = measurement => {
+            const { detail } = measurement;
+            if (detail.delta) return `ΔX ${this.toMM(detail.delta[0])} ΔY ${this.toMM(detail.delta[1])} ΔZ ${this.toMM(detail.delta[2])} mm`;
+            if (detail.diameter) return `Ø ${this.toMM(detail.diameter)} mm`;
+            if (detail.intersecting) return 'Delene overlapper';
+            return null;
+        };
+        return [
+            MEASUREMENT_COLUMNS,
+            ...measurements.map(measurement => [
+                measurement.number,
+                this.getKindLabel(measurement.kind),
+                isAngle(measurement) ? parseFloat(measurement.value.toFixed(2)) : this.toMM(measurement.value),
+                isAngle(measurement) ? '°' : 'mm',
+                describe(measurement),
+                measurement.partIds.join(' '),
+                measurement.points.map(point => point.map(value => this.toMM(value, 1)).join(' ')).join('; ')
+            ])
+        ];
+    }
+
+    /**
+     * CSV of the table rows (see CsvWriter)
+     */
+    toCSV(measurements) {
+        return CsvWriter.toCSV(this.toRows(measurements));
+    }
+}
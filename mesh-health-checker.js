@@ -0,0 +1,392 @@
+/**
+ * Mesh Health Checker - Finds topology problems in a part's triangle mesh and repairs them
+ * Works on flat position/index buffers (no three.js dependency) so it runs both in the
+ * parser worker and on the main thread. Vertices are welded first, so triangle soup and
+ * UV/normal seams do not show up as open edges.
+ */
+
+// Holes with more boundary edges than this are left open by the repair
+const MAX_FILLED_HOLE_EDGES = 32;
+
+class MeshHealthChecker {
+    /**
+     * Check a triangle mesh for non-manifold edges, open boundaries, degenerate and duplicate
+     * faces, inconsistent winding and disconnected shells
+     * @param {ArrayLike<number>} positions - Flat xyz coordinates
+     * @param {ArrayLike<number>} indices - Three vertex indices per triangle
+     * @param {number} tolerance - Weld distance for vertices
+     * @returns {Object} { healthy, vertexCount, triangleCount, degenerateFaces, duplicateFaces,
+     *   boundaryEdges, holes, nonManifoldEdges, inconsistentEdges, shells, edges } where edges
+     *   holds { boundary, nonManifold, inconsistent } line segments as flat xyz Float32Arrays
+     */
+    inspect(positions, indices, tolerance) {
+        const topology = this.buildTopology(positions, indices, tolerance);
+        const { weld, edges } = topology;
+
+        const boundary = [];
+        const nonManifold = [];
+        const inconsistent = [];
+        for (const edge of edges.values()) {
+            const uses = edge.forward + edge.backward;
+            if (uses === 1) {
+                boundary.push(edge);
+            } else if (uses > 2) {
+                nonManifold.push(edge);
+            } else if (edge.forward !== edge.backward) {
+                inconsistent.push(edge); // Both faces run along the edge the same way
+            }
+        }
+
+        const report = {
+            healthy: false,
+            vertexCount: weld.count,
+            triangleCount: indices.length / 3,
+            degenerateFaces: topology.degenerateFaces,
+            duplicateFaces: topology.duplicateFaces,
+            boundaryEdges: boundary.length,
+            holes: this.countComponents(boundary.map(edge => [edge.from, edge.to])),
+            nonManifoldEdges: nonManifold.length,
+            inconsistentEdges: inconsistent.length,
+            shells: this.countComponents(topology.triangles.map(triangle => triangle.vertices)),
+            edges: {
+                boundary: this.toSegments(weld.positions, boundary),
+                nonManifold: this.toSegments(weld.positions, nonManifold),
+                inconsistent: this.toSegments(weld.positions, inconsistent)
+            }
+        };
+
+        report.healthy = report.degenerateFaces === 0 && report.duplicateFaces === 0 &&
+            report.boundaryEdges === 0 && report.nonManifoldEdges === 0 &&
+            report.inconsistentEdges === 0 && report.shells <= 1;
+        return report;
+    }
+
+    /**
+     * Weld vertices and collect the usable triangles and their edges
+     * @returns {Object} { weld, triangles: [{ index, vertices: [a, b, c] }], edges: Map of
+     *   { from, to, forward, backward, triangles }, degenerateFaces, duplicateFaces }
+     */
+    buildTopology(positions, indices, tolerance) {
+        const weld = GeometryUtils.weldPositions(positions, tolerance);
+        const triangles = [];
+        const edges = new Map();
+        const seenFaces = new Set();
+        let degenerateFaces = 0;
+        let duplicateFaces = 0;
+
+        for (let t = 0; t < indices.length / 3; t++) {
+            const vertices = [weld.ids[indices[t * 3]], weld.ids[indices[t * 3 + 1]], weld.ids[indices[t * 3 + 2]]];
+            const [a, b, c] = vertices;
+            if (a === b || b === c || c === a || this.getTriangleArea(weld.positions, a, b, c) < tolerance * tolerance) {
+                degenerateFaces++;
+                continue;
+            }
+
+            // The same three corners in any order, e.g. a face exported twice
+            const faceKey = vertices.slice().sort((x, y) => x - y).join('_');
+            if (seenFaces.has(faceKey)) {
+                duplicateFaces++;
+                continue;
+            }
+            seenFaces.add(faceKey);
+
+            const triangle = { index: t, vertices };
+            triangles.push(triangle);
+            for (let i = 0; i < 3; i++) {
+                this.addEdge(edges, vertices[i], vertices[(i + 1) % 3], triangle);
+            }
+        }
+
+        return { weld, triangles, edges, degenerateFaces, duplicateFaces };
+    }
+
+    /**
+     * Record a directed triangle edge on its undirected edge
+     */
+    addEdge(edges, from, to, triangle) {
+        const key = from < to ? `${from}_${to}` : `${to}_${from}`;
+        let edge = edges.get(key);
+        if (!edge) {
+            edge = { from: Math.min(from, to), to: Math.max(from, to), forward: 0, backward: 0, triangles: [] };
+            edges.set(key, edge);
+        }
+        if (from < to) {
+            edge.forward++;
+        } else {
+            edge.backward++;
+        }
+        edge.triangles.push(triangle);
+    }
+
+    /**
+     * Area of a triangle given by welded vertex ids
+     */
+    getTriangleArea(positions, a, b, c) {
+        const point = id => [positions[id * 3], positions[id * 3 + 1], positions[id * 3 + 2]];
+        const origin = point(a);
+        const cross = GeometryUtils.cross(GeometryUtils.sub(point(b), origin), GeometryUtils.sub(point(c), origin));
+        return GeometryUtils.length(cross) / 2;
+    }
+
+    /**
+     * Count connected groups of vertices, where each item links the vertices it lists
+     */
+    countComponents(items) {
+        const parent = new Map();
+        const find = vertex => {
+            while (parent.get(vertex) !== vertex) {
+                parent.set(vertex, parent.get(parent.get(vertex)));
+                vertex = parent.get(vertex);
+            }
+            return vertex;
+        };
+
+        for (const item of items) {
+            for (const vertex of item) {
+                if (!parent.has(vertex)) parent.set(vertex, vertex);
+            }
+            for (let i = 1; i < item.length; i++) {
+                parent.set(find(item[i]), find(item[0]));
+            }
+        }
+
+        let components = 0;
+        for (const [vertex, root] of parent) {
+            if (vertex === root) components++;
+        }
+        return components;
+    }
+
+    /**
+     * Line segments for a list of edges, as flat xyz pairs
+     */
+    toSegments(positions, edges) {
+        const segments = new Float32Array(edges.length * 6);
+        edges.forEach((edge, i) => {
+            segments.set(positions.subarray(edge.from * 3, edge.from * 3 + 3), i * 6);
+            segments.set(positions.subarray(edge.to * 3, edge.to * 3 + 3), i * 6 + 3);
+        });
+        return segments;
+    }
+
+    /**
+     * Repair a triangle mesh. Degenerate and duplicate faces are always dropped.
+     * @param {Object} buffers - { positions, indices, uvs, groups } as built by PartAnalyzer
+     * @param {number} tolerance - Weld distance for vertices
+     * @param {Object} options - { weld, fillHoles, unifyNormals } (all on by default)
+     * @returns {Object} { positions, normals: null, uvs, indices, groups, summary } where summary
+     *   counts { weldedVertices, removedFaces, flippedFaces, filledHoles, addedFaces }. Normals
+     *   are dropped because the winding may change; uvs are kept unless vertices were welded.
+     */
+    repair({ positions, indices, uvs = null, groups = [] }, tolerance, { weld = true, fillHoles = true, unifyNormals = true } = {}) {
+        const topology = this.buildTopology(positions, indices, tolerance);
+        const groupOf = this.getTriangleGroups(groups, indices.length / 3);
+        const triangles = topology.triangles.map(triangle => ({
+            vertices: triangle.vertices.slice(),
+            group: groupOf[triangle.index],
+            source: triangle
+        }));
+        const summary = {
+            weldedVertices: weld ? positions.length / 3 - topology.weld.count : 0,
+            removedFaces: topology.degenerateFaces + topology.duplicateFaces,
+            flippedFaces: unifyNormals ? this.unifyWinding(triangles, topology) : 0,
+            filledHoles: 0,
+            addedFaces: 0
+        };
+
+        if (fillHoles) {
+            const patches = this.fillHoles(triangles);
+            summary.filledHoles = patches.holes;
+            summary.addedFaces = patches.triangles.length;
+            triangles.push(...patches.triangles);
+        }
+
+        // Without welding, faces keep their own vertices and new faces use the first copy
+        const outputVertex = weld ? id => id : id => topology.weld.firsts[id];
+        const vertexOf = (triangle, corner) => {
+            const source = triangle.source;
+            if (!weld && source) {
+                // Flipped faces swap their last two corners
+                const original = source.vertices.indexOf(triangle.vertices[corner]);
+                return indices[source.index * 3 + original];
+            }
+            return outputVertex(triangle.vertices[corner]);
+        };
+
+        // Keep faces of one material together so the groups stay contiguous
+        const order = triangles.map((triangle, i) => i).sort((a, b) => triangles[a].group - triangles[b].group || a - b);
+        const repairedIndices = new Uint32Array(order.length * 3);
+        const repairedGroups = [];
+        order.forEach((triangleIndex, i) => {
+            const triangle = triangles[triangleIndex];
+            for (let corner = 0; corner < 3; corner++) {
+                repairedIndices[i * 3 + corner] = vertexOf(triangle, corner);
+            }
+            const last = repairedGroups[repairedGroups.length - 1];
+            if (groups.length > 0 && (!last || last.groupIndex !== triangle.group)) {
+                repairedGroups.push({ start: i * 3, count: 0, material: groups[triangle.group].material, groupIndex: triangle.group });
+            }
+        });
+        repairedGroups.forEach((group, index) => {
+            group.count = (index + 1 < repairedGroups.length ? repairedGroups[index + 1].start : repairedIndices.length) - group.start;
+            delete group.groupIndex;
+        });
+
+        return {
+            positions: weld ? topology.weld.positions : Float32Array.from(positions),
+            normals: null,
+            uvs: weld ? null : uvs,
+            indices: repairedIndices,
+            groups: repairedGroups,
+            summary
+        };
+    }
+
+    /**
+     * Material group index of every triangle
+     */
+    getTriangleGroups(groups, triangleCount) {
+        const groupOf = new Uint32Array(triangleCount);
+        groups.forEach((group, index) => {
+            groupOf.fill(index, group.start / 3, (group.start + group.count) / 3);
+        });
+        return groupOf;
+    }
+
+    /**
+     * Orient faces consistently across manifold edges, then turn every closed shell
+     * outward (positive signed volume)
+     * @returns {number} Number of faces whose winding was flipped
+     */
+    unifyWinding(triangles, topology) {
+        const bySource = new Map(triangles.map(triangle => [triangle.source, triangle]));
+        const flipped = new Set();
+        const visited = new Set();
+        const flip = triangle => {
+            [triangle.vertices[1], triangle.vertices[2]] = [triangle.vertices[2], triangle.vertices[1]];
+            if (flipped.has(triangle)) {
+                flipped.delete(triangle);
+            } else {
+                flipped.add(triangle);
+            }
+        };
+        const runsForward = (triangle, from, to) => {
+            const position = triangle.vertices.indexOf(from);
+            return triangle.vertices[(position + 1) % 3] === to;
+        };
+
+        for (const start of triangles) {
+            if (visited.has(start)) continue;
+
+            const component = [start];
+            visited.add(start);
+            for (let i = 0; i < component.length; i++) {
+                const triangle = component[i];
+                for (let corner = 0; corner < 3; corner++) {
+                    const from = triangle.vertices[corner];
+                    const to = triangle.vertices[(corner + 1) % 3];
+                    const edge = topology.edges.get(from < to ? `${from}_${to}` : `${to}_${from}`);
+                    if (edge.triangles.length !== 2) continue; // Non-manifold edges give no clear neighbour
+
+                    const neighbour = bySource.get(edge.triangles[0] === triangle.source ? edge.triangles[1] : edge.triangles[0]);
+                    if (visited.has(neighbour)) continue;
+                    if (runsForward(neighbour, from, to)) {
+                        flip(neighbour);
+                    }
+                    visited.add(neighbour);
+                    component.push(neighbour);
+                }
+            }
+
+            if (this.getSignedVolume(component, topology.weld.positions) < 0) {
+                component.forEach(flip);
+            }
+        }
+
+        return flipped.size;
+    }
+
+    /**
+     * Signed volume enclosed by a set of triangles (negative when wound inward)
+     */
+    getSignedVolume(triangles, positions) {
+        const point = id => [positions[id * 3], positions[id * 3 + 1], positions[id * 3 + 2]];
+        const origin = point(triangles[0].vertices[0]);
+        let volume = 0;
+        for (const { vertices } of triangles) {
+            const a = GeometryUtils.sub(point(vertices[0]), origin);
+            const b = GeometryUtils.sub(point(vertices[1]), origin);
+            const c = GeometryUtils.sub(point(vertices[2]), origin);
+            volume += GeometryUtils.dot(a, GeometryUtils.cross(b, c)) / 6;
+        }
+        return volume;
+    }
+
+    /**
+     * Close small boundary loops with a triangle fan wound to match the surrounding faces
+     * @returns {Object} { holes, triangles } - number of holes filled and the new faces
+     */
+    fillHoles(triangles) {
+        // Directed boundary edges: used by one face only
+        const edgeUses = new Map();
+        for (const { vertices } of triangles) {
+            for (let i = 0; i < 3; i++) {
+                const from = vertices[i];
+                const to = vertices[(i + 1) % 3];
+                const key = from < to ? `${from}_${to}` : `${to}_${from}`;
+                edgeUses.set(key, (edgeUses.get(key) || 0) + 1);
+            }
+        }
+
+        const faceKeys = new Set(triangles.map(({ vertices }) => vertices.slice().sort((a, b) => a - b).join('_')));
+        const next = new Map();
+        const groupAt = new Map();
+        const branching = new Set();
+        for (const { vertices, group } of triangles) {
+            for (let i = 0; i < 3; i++) {
+                const from = vertices[i];
+                const to = vertices[(i + 1) % 3];
+                if (edgeUses.get(from < to ? `${from}_${to}` : `${to}_${from}`) !== 1) continue;
+                if (next.has(from)) branching.add(from); // Loops touching at a vertex are ambiguous
+                next.set(from, to);
+                groupAt.set(from, group);
+            }
+        }
+
+        const patches = [];
+        const visited = new Set();
+        let holes = 0;
+        for (const start of next.keys()) {
+            if (visited.has(start)) continue;
+
+            const loop = [];
+            let vertex = start;
+            let closed = false;
+            while (!visited.has(vertex) && next.has(vertex)) {
+                visited.add(vertex);
+                loop.push(vertex);
+                vertex = next.get(vertex);
+                if (vertex === start) {
+                    closed = true;
+                    break;
+                }
+            }
+
+            if (!closed || loop.length < 3 || loop.length > MAX_FILLED_HOLE_EDGES || loop.some(id => branching.has(id))) {
+                continue;
+            }
+            // The rim of a lone face is not a hole; patching it would only double the face
+            if (loop.length === 3 && faceKeys.has(loop.slice().sort((a, b) => a - b).join('_'))) {
+                continue;
+            }
+
+            // The boundary runs loop[i] -> loop[i + 1] on the existing faces, so the patch runs backwards
+            for (let i = 1; i < loop.length - 1; i++) {
+                patches.push({ vertices: [loop[0], loop[i + 1], loop[i]], group: groupAt.get(start), source: null });
+            }
+            holes++;
+        }
+
+        return { holes, triangles: patches };
+    }
+}
@@ -0,0 +1,124 @@
+/**
+ * OBJ Parser Worker - Streams and parses OBJ files off the main thread
+ * The response body is parsed chunk by chunk with PartAnalyzer, and every part
+ * is posted as soon as it is finalized with its geometry as transferable typed arrays
+ *
+ * Messages in:  { type: 'parse', url, options: { splitByShells, nameDelimiters, multiNameGroupsAsPath,
+ *                 numberingStrategy, partNumberPattern, partNumberMapping } },
+ *               { type: 'cancel' }
+ * Messages out: { type: 'progress', loaded, total }, { type: 'part', part },
+ *               { type: 'complete', partCount, materialLibraries, diagnostics },
+ *               { type: 'cancelled', diagnostics }, { type: 'error', message }
+ */
+
+importScripts('geometry-utils.js', 'part-classifier.js', 'mesh-health-checker.js', 'part-analyzer.js');
+
+let abortController = null;
+
+self.onmessage = (event) => {
+    switch (event.data.type) {
+        case 'parse':
+            parseOBJ(event.data.url, event.data.options || {});
+            break;
+        case 'cancel':
+            if (abortController) {
+                abortController.abort();
+            }
+            break;
+    }
+};
+
+/**
+ * Post a finalized part to the main thread and release its parsed arrays here
+ */
+function postPart(analyzer, part) {
+    const geometry = analyzer.buildGeometryBuffers(part);
+    const { vertices, normals, textureCoords, faces, ...record } = part;
+    record.geometry = geometry;
+
+    const transfer = [geometry.positions.buffer, geometry.indices.buffer];
+    if (geometry.normals) transfer.push(geometry.normals.buffer);
+    if (geometry.uvs) transfer.push(geometry.uvs.buffer);
+
+    self.postMessage({ type: 'part', part: record }, transfer);
+
+    // The main thread owns the geometry now; keep only the metadata
+    part.vertices = [];
+    part.normals = [];
+    part.textureCoords = [];
+    part.faces = [];
+}
+
+/**
+ * Fetch an OBJ file and parse it as the bytes arrive
+ */
+async function parseOBJ(url, options) {
+    abortController = new AbortController();
+    const analyzer = new PartAnalyzer();
+    analyzer.splitByShells = Boolean(options.splitByShells);
+    if (options.nameDelimiters) {
+        analyzer.nameDelimiters = options.nameDelimiters;
+    }
+    if (options.multiNameGroupsAsPath !== undefined) {
+        analyzer.multiNameGroupsAsPath = options.multiNameGroupsAsPath;
+    }
+    if (options.numberingStrategy) {
+        analyzer.numberingStrategy = options.numberingStrategy;
+        analyzer.partNumberPattern = options.partNumberPattern || analyzer.partNumberPattern;
+        analyzer.partNumberMapping = options.partNumberMapping || {};
+    }
+    analyzer.onPartFinalized = (part) => postPart(analyzer, part);
+
+    try {
+        const response = await fetch(url, { signal: abortController.signal });
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        // Content-Length is the transferred size; with compression it is only an estimate
+        const total = parseInt(response.headers.get('Content-Length')) || 0;
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let loaded = 0;
+        let lineNumber = 0;
+        let remainder = '';
+
+        analyzer.beginOBJ();
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            loaded += value.byteLength;
+            const lines = (remainder + decoder.decode(value, { stream: true })).split('\n');
+            remainder = lines.pop(); // Last line may continue in the next chunk
+
+            for (const line of lines) {
+                analyzer.processOBJLine(line, ++lineNumber);
+            }
+
+            self.postMessage({ type: 'progress', loaded, total });
+        }
+
+        remainder += decoder.decode();
+        if (remainder) {
+            analyzer.processOBJLine(remainder, ++lineNumber);
+        }
+        analyzer.endOBJ();
+
+        self.postMessage({
+            type: 'complete',
+            partCount: analyzer.parts.length,
+            materialLibraries: analyzer.materialLibraries,
+            diagnostics: analyzer.getDiagnostics()
+        });
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            self.postMessage({ type: 'cancelled', diagnostics: analyzer.getDiagnostics() });
+        } else {
+            self.postMessage({ type: 'error', message: error.message });
+        }
+    } finally {
+        abortController = null;
+    }
+}
@@ -4,12 +4,113 @@
  * separate parts within a multi-part assembly
  */
 
+// Issues beyond this count are only tallied in diagnostics.counts
+const MAX_DIAGNOSTIC_ISSUES = 1000;
+
+// Vertices closer than this fraction of a part's bounding box diagonal are the same point
+const WELD_TOLERANCE = 1e-6;
+
+// Matched vertices of two instances may be this fraction of the part's bounding box diagonal apart
+const INSTANCE_TOLERANCE = 1e-4;
+
+// Column-major 4x4 identity, the transform of an instance definition onto itself
+const IDENTITY_TRANSFORM = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+
+// Planar faces count as one port face when their plane offsets agree to this fraction of the part's diagonal
+const PORT_PLANE_TOLERANCE = 1e-4;
+
+// A port's rim needs this many vertices within 2% of its radius, with no angular gap wider than 60°
+const PORT_MIN_RIM_VERTICES = 8;
+const PORT_MAX_RIM_GAP = Math.PI / 3;
+
+// Part numbering strategies: parse order, part name plus geometry fingerprint, a number
+// found in the part name, or a mapping file
+const NUMBERING_STRATEGIES = ['sequential', 'fingerprint', 'pattern', 'mapping'];
+
+// Material densities in kg/m³. Keys are matched case-insensitively against part material names
+const DEFAULT_MATERIAL_DENSITIES = {
+    HDPE: 950,
+    PE100: 960,
+    PP: 905,
+    PVC: 1380,
+    EPDM: 1150,
+    Steel: 7850,
+    'Stainless steel': 8000,
+    'Cast iron': 7200,
+    Aluminium: 2700
+};
+
+// Material assumed for parts whose material name is not in the density table
+const DEFAULT_TYPE_MATERIALS = {
+    Pipe: 'HDPE',
+    Elbow: 'HDPE',
+    Tee: 'HDPE',
+    Fitting: 'HDPE',
+    Flange: 'Steel',
+    Support: 'Steel',
+    Fastener: 'Steel',
+    Nut: 'Steel',
+    Valve: 'Cast iron',
+    Gasket: 'EPDM'
+};
+
 class PartAnalyzer {
     constructor() {
         this.parts = [];
         this.materials = new Map();
+        this.materialLibraries = [];
         this.currentPart = null;
         this.currentMaterial = null;
+
+        // OBJ indices are global across the file, so v/vn/vt data is pooled here
+        // and each part keeps a map from global to part-local indices
+        this.globalVertices = [];
+        this.globalNormals = [];
+        this.globalTextureCoords = [];
+        this.localIndexMaps = null;
+
+        // Parse problems and rejected parts from the last analysis
+        this.diagnostics = this.createDiagnostics();
+        this.currentLine = null;
+
+        // Optional callback invoked with each part as soon as it is accepted
+        this.onPartFinalized = null;
+
+        // When true, every o/g part is split into one part per connected shell
+        this.splitByShells = false;
+
+        // Sub-assembly naming: o/g names are split on these delimiters into a path
+        // (e.g. "Line100/Spool3/Elbow_2") and g parts nest under the enclosing o. A multi-name
+        // g statement is one name with spaces ("Pipe 110 SDR11") unless multiNameGroupsAsPath
+        // is set, when it lists the path outermost first
+        this.nameDelimiters = ['/', '|'];
+        this.multiNameGroupsAsPath = false;
+        this.objectPath = [];
+        this.objectPart = null;
+
+        // Recognizes part types from geometry; the name is only a fallback
+        this.classifier = new PartClassifier();
+
+        // Finds open edges, bad faces and winding problems, and repairs them on request
+        this.meshHealthChecker = new MeshHealthChecker();
+
+        // Density table for weights: material name -> kg/m³, and part type -> material name
+        this.materialDensities = { ...DEFAULT_MATERIAL_DENSITIES };
+        this.typeMaterials = { ...DEFAULT_TYPE_MATERIALS };
+        this.defaultMaterial = 'HDPE';
+
+        // Length of one model unit in metres (models are authored in millimetres)
+        this.metersPerUnit = 0.001;
+
+        // Groups of identical parts found by detectInstances
+        this.instanceDefinitions = [];
+
+        // How parts are numbered (one of NUMBERING_STRATEGIES). pattern and mapping fall back
+        // to the fingerprint number for parts they do not cover
+        this.numberingStrategy = 'sequential';
+        this.partNumberPattern = /PN-\d+/i; // First capture group, or the whole match, is the number
+        this.partNumberMapping = {}; // Part name or fingerprint number -> part number
+        this.usedPartNumbers = new Set();
     }
 
     /**
@@ -23,77 +124,513 @@ class PartAnalyzer {
             return [];
         }
 
+        this.beginOBJ();
+
+        const lines = objContent.split('\n');
+        let lineNumber = 0;
+
+        for (const line of lines) {
+            lineNumber++;
+            this.processOBJLine(line, lineNumber);
+        }
+
+        return this.endOBJ();
+    }
+
+    /**
+     * Start an incremental OBJ analysis; feed lines with processOBJLine and finish with endOBJ.
+     * Parts are reported through onPartFinalized as soon as they are complete.
+     */
+    beginOBJ() {
         console.log('🔍 Starting OBJ analysis...');
+        this.resetAnalysis();
+    }
+
+    /**
+     * Process a single OBJ line
+     * @param {string} line - The raw line
+     * @param {number} lineNumber - 1-based line number, used in error messages
+     */
+    processOBJLine(line, lineNumber) {
+        this.currentLine = lineNumber;
+        const trimmedLine = line.trim();
         
+        if (!trimmedLine || trimmedLine.startsWith('#')) {
+            return;
+        }
+
+        const parts = trimmedLine.split(/\s+/);
+        const command = parts[0];
+
+        try {
+            switch (command) {
+                case 'o': { // Object name; groups that follow are nested under it
+                    const { name, assemblyPath } = this.parseAssemblyName([parts.slice(1).join(' ')], []);
+                    this.handleObjectName(name, assemblyPath);
+                    this.objectPart = this.currentPart;
+                    this.objectPath = name ? [...assemblyPath, name] : [];
+                    break;
+                }
+                case 'g': { // Group name (treat as object for parts)
+                    const names = this.multiNameGroupsAsPath ? parts.slice(1) : [parts.slice(1).join(' ')];
+                    const { name, assemblyPath } = this.parseAssemblyName(names, this.objectPath);
+                    // A group named like its object is the object itself, not a child of it
+                    const isObjectItself = name === this.objectPath[this.objectPath.length - 1] &&
+                        assemblyPath.join('/') === this.objectPath.join('/');
+                    this.handleGroupName(name, isObjectItself ? this.objectPath.slice(0, -1) : assemblyPath);
+                    break;
+                }
+                case 'usemtl': // Material usage
+                    this.handleMaterialUsage(parts[1]);
+                    break;
+                case 'v': // Vertex
+                    this.handleVertex(parts.slice(1), lineNumber);
+                    break;
+                case 'vn': // Normal
+                    this.handleNormal(parts.slice(1), lineNumber);
+                    break;
+                case 'vt': // Texture coordinate
+                    this.handleTextureCoord(parts.slice(1), lineNumber);
+                    break;
+                case 'f': // Face
+                    this.handleFace(parts.slice(1), lineNumber);
+                    break;
+                case 'mtllib': // Material library
+                    this.handleMaterialLibrary(parts.slice(1));
+                    break;
+            }
+        } catch (error) {
+            this.addIssue(lineNumber, error.kind || 'parse-error', error.message);
+            // Tells a part whose faces were all invalid from a header-only group
+            if (command === 'f' && this.currentPart) {
+                this.currentPart.discardedFaces = (this.currentPart.discardedFaces || 0) + 1;
+            }
+        }
+    }
+
+    /**
+     * Finish an incremental OBJ analysis
+     * @returns {Array} Array of part objects with geometry and metadata
+     */
+    endOBJ() {
+        // Finalize the last part
+        if (this.currentPart) {
+            this.finalizePart();
+        }
+
+        console.log(`✅ Analysis complete! Found ${this.parts.length} parts`);
+        this.logDiagnosticsSummary();
+        return this.parts;
+    }
+
+    /**
+     * Analyze an STL file (ASCII or binary) and extract individual parts.
+     * ASCII files yield one part per solid block, binary files one part per
+     * connected shell. Parts have the same shape as those from analyzeOBJ.
+     * @param {ArrayBuffer|string} stlData - The raw STL file content
+     * @param {string} [baseName] - Name used for parts when the file carries none
+     * @returns {Array} Array of part objects with geometry and metadata
+     */
+    analyzeSTL(stlData, baseName = 'Part') {
+        if (!stlData || (typeof stlData !== 'string' && !(stlData instanceof ArrayBuffer))) {
+            console.error('❌ Invalid STL content');
+            return [];
+        }
+
+        console.log('🔍 Starting STL analysis...');
+
+        this.resetAnalysis();
+
+        // Binary headers may start with "solid" too, so the size check comes first
+        const text = typeof stlData === 'string' ? stlData : null;
+        if (text === null && this.isBinarySTL(stlData)) {
+            this.parseBinarySTL(stlData, baseName);
+        } else {
+            const content = text !== null ? text : new TextDecoder().decode(stlData);
+            if (this.isASCIISTL(content)) {
+                this.parseASCIISTL(content, baseName);
+            } else {
+                this.addIssue(null, 'invalid-stl', 'File is neither binary STL (too short for its triangle count) nor ASCII STL');
+            }
+        }
+
+        console.log(`✅ Analysis complete! Found ${this.parts.length} parts`);
+        this.logDiagnosticsSummary();
+        return this.parts;
+    }
+
+    /**
+     * Reset parser state before analyzing a new file
+     */
+    resetAnalysis() {
         this.parts = [];
         this.materials = new Map();
+        this.materialLibraries = [];
         this.currentPart = null;
         this.currentMaterial = null;
+        this.globalVertices = [];
+        this.globalNormals = [];
+        this.globalTextureCoords = [];
+        this.localIndexMaps = null;
+        this.diagnostics = this.createDiagnostics();
+        this.currentLine = null;
+        this.objectPath = [];
+        this.objectPart = null;
+        this.instanceDefinitions = [];
+        this.usedPartNumbers = new Set();
+    }
 
-        const lines = objContent.split('\n');
+    /**
+     * Create an empty diagnostics report.
+     * issues: { line, kind, severity, message } per problem (line is null when not line-based)
+     * rejectedParts: { name, line, kind, reason } per part left out of the model
+     * counts: occurrences per kind, including issues beyond the stored limit
+     */
+    createDiagnostics() {
+        return {
+            issues: [],
+            rejectedParts: [],
+            counts: {},
+            truncated: false
+        };
+    }
+
+    /**
+     * Record a parse issue; only the first MAX_DIAGNOSTIC_ISSUES are kept in full
+     */
+    addIssue(line, kind, message, severity = 'error') {
+        this.diagnostics.counts[kind] = (this.diagnostics.counts[kind] || 0) + 1;
+        if (this.diagnostics.issues.length < MAX_DIAGNOSTIC_ISSUES) {
+            this.diagnostics.issues.push({ line, kind, severity, message });
+        } else {
+            this.diagnostics.truncated = true;
+        }
+    }
+
+    /**
+     * Record a part that was left out of the model and why
+     */
+    rejectPart(part, kind, reason) {
+        this.diagnostics.counts[kind] = (this.diagnostics.counts[kind] || 0) + 1;
+        this.diagnostics.rejectedParts.push({ name: part.name, line: part.sourceLine, kind, reason });
+    }
+
+    /**
+     * Get the diagnostics of the last analysis
+     */
+    getDiagnostics() {
+        return this.diagnostics;
+    }
+
+    /**
+     * Log a one-line summary of the diagnostics
+     */
+    logDiagnosticsSummary() {
+        const { issues, rejectedParts, counts } = this.diagnostics;
+        if (issues.length > 0 || rejectedParts.length > 0) {
+            const issueCount = Object.values(counts).reduce((sum, count) => sum + count, 0) - rejectedParts.length;
+            console.log(`⚠️ ${issueCount} issues, ${rejectedParts.length} rejected parts (see diagnostics)`);
+        }
+    }
+
+    /**
+     * Create an error carrying a diagnostics kind
+     */
+    createParseError(kind, message) {
+        const error = new Error(message);
+        error.kind = kind;
+        return error;
+    }
+
+    /**
+     * Check whether an STL buffer is binary: long enough for the triangle count in the header.
+     * Some exporters pad the file, so extra bytes after the triangles are allowed.
+     */
+    isBinarySTL(buffer) {
+        if (buffer.byteLength < 84) return false;
+        const triangleCount = new DataView(buffer).getUint32(80, true);
+        return buffer.byteLength >= 84 + triangleCount * 50;
+    }
+
+    /**
+     * Check whether STL text is ASCII: it opens with "solid" and has facets or an endsolid
+     */
+    isASCIISTL(content) {
+        return /^\s*solid\b/i.test(content) && /\b(facet|endsolid)\b/i.test(content);
+    }
+
+    /**
+     * Parse ASCII STL content, one part per solid ... endsolid block
+     */
+    parseASCIISTL(stlContent, baseName) {
+        const lines = stlContent.split('\n');
+        let solidName = null;
+        let triangles = [];
+        let facetNormal = null;
+        let facetVertices = [];
         let lineNumber = 0;
 
-        for (const line of lines) {
-            lineNumber++;
-            const trimmedLine = line.trim();
-            
-            if (!trimmedLine || trimmedLine.startsWith('#')) {
-                continue;
+        const flushSolid = () => {
+            if (triangles.length > 0) {
+                this.addSTLPart(solidName || `${baseName}_${this.parts.length + 1}`, triangles);
             }
+            triangles = [];
+        };
 
-            const parts = trimmedLine.split(/\s+/);
-            const command = parts[0];
+        for (const line of lines) {
+            lineNumber++;
+            this.currentLine = lineNumber;
+            const parts = line.trim().split(/\s+/);
+            const command = parts[0].toLowerCase();
 
             try {
                 switch (command) {
-                    case 'o': // Object name
-                        this.handleObjectName(parts.slice(1).join(' '));
-                        break;
-                    case 'g': // Group name (treat as object for parts)
-                        this.handleGroupName(parts.slice(1).join(' '));
-                        break;
-                    case 'usemtl': // Material usage
-                        this.handleMaterialUsage(parts[1]);
+                    case 'solid':
+                        flushSolid();
+                        solidName = parts.slice(1).join(' ') || null;
                         break;
-                    case 'v': // Vertex
-                        this.handleVertex(parts.slice(1), lineNumber);
+                    case 'facet':
+                        facetVertices = [];
+                        facetNormal = this.parseSTLVector(parts.slice(2), 'normal', lineNumber);
                         break;
-                    case 'vn': // Normal
-                        this.handleNormal(parts.slice(1), lineNumber);
+                    case 'vertex':
+                        facetVertices.push(this.parseSTLVector(parts.slice(1), 'vertex', lineNumber));
                         break;
-                    case 'vt': // Texture coordinate
-                        this.handleTextureCoord(parts.slice(1), lineNumber);
+                    case 'endfacet':
+                        if (facetVertices.length !== 3) {
+                            throw this.createParseError('invalid-facet', `Facet has ${facetVertices.length} vertices instead of three`);
+                        }
+                        triangles.push({ normal: facetNormal, vertices: facetVertices });
+                        facetVertices = [];
                         break;
-                    case 'f': // Face
-                        this.handleFace(parts.slice(1), lineNumber);
-                        break;
-                    case 'mtllib': // Material library
-                        this.handleMaterialLibrary(parts[1]);
+                    case 'endsolid':
+                        flushSolid();
+                        solidName = null;
                         break;
                 }
             } catch (error) {
-                console.warn(`⚠️ Error processing line ${lineNumber}: ${error.message}`);
+                this.addIssue(lineNumber, error.kind || 'parse-error', error.message);
             }
         }
 
-        // Finalize the last part
-        if (this.currentPart) {
-            this.finalizePart();
+        // Files without a closing endsolid still yield their triangles
+        flushSolid();
+    }
+
+    /**
+     * Parse an "x y z" STL vector
+     */
+    parseSTLVector(coords, kind, lineNumber) {
+        const [x, y, z] = coords.map(coord => parseFloat(coord));
+        if (isNaN(x) || isNaN(y) || isNaN(z)) {
+            throw this.createParseError(`invalid-${kind}`, `Invalid ${kind} coordinate`);
         }
+        return { x, y, z };
+    }
 
-        console.log(`✅ Analysis complete! Found ${this.parts.length} parts`);
-        return this.parts;
+    /**
+     * Parse binary STL content, one part per connected shell
+     */
+    parseBinarySTL(buffer, baseName) {
+        const view = new DataView(buffer);
+        const triangleCount = view.getUint32(80, true);
+        const readVector = (offset) => ({
+            x: view.getFloat32(offset, true),
+            y: view.getFloat32(offset + 4, true),
+            z: view.getFloat32(offset + 8, true)
+        });
+
+        // Binary headers often start with "solid <name>" - use it when present
+        const header = new TextDecoder().decode(new Uint8Array(buffer, 0, 80)).replace(/\0/g, '').trim();
+        const headerName = header.startsWith('solid ') ? header.substring(6).trim() : '';
+        const name = headerName || baseName;
+
+        const triangles = [];
+        for (let i = 0; i < triangleCount; i++) {
+            const offset = 84 + i * 50;
+            triangles.push({
+                normal: readVector(offset),
+                vertices: [readVector(offset + 12), readVector(offset + 24), readVector(offset + 36)]
+            });
+        }
+
+        const shells = this.splitSTLShells(triangles);
+        shells.forEach((shell, index) => {
+            const shellName = shells.length > 1 ? `${name}_${index + 1}` : name;
+            this.addSTLPart(shellName, shell);
+        });
+    }
+
+    /**
+     * Group STL triangles into connected shells (triangles sharing a vertex)
+     */
+    splitSTLShells(triangles) {
+        const vertexKeys = new Map();
+        const parent = [];
+        const find = (index) => {
+            while (parent[index] !== index) {
+                parent[index] = parent[parent[index]];
+                index = parent[index];
+            }
+            return index;
+        };
+
+        const triangleVertexIds = triangles.map(triangle => triangle.vertices.map(vertex => {
+            const key = `${vertex.x},${vertex.y},${vertex.z}`;
+            if (!vertexKeys.has(key)) {
+                vertexKeys.set(key, parent.length);
+                parent.push(parent.length);
+            }
+            return vertexKeys.get(key);
+        }));
+
+        for (const [a, b, c] of triangleVertexIds) {
+            parent[find(b)] = find(a);
+            parent[find(c)] = find(a);
+        }
+
+        const shells = new Map();
+        triangles.forEach((triangle, index) => {
+            const root = find(triangleVertexIds[index][0]);
+            if (!shells.has(root)) {
+                shells.set(root, []);
+            }
+            shells.get(root).push(triangle);
+        });
+
+        return Array.from(shells.values());
+    }
+
+    /**
+     * Create and finalize a part from STL triangles, welding identical vertices
+     */
+    addSTLPart(name, triangles) {
+        this.handleObjectName(name);
+
+        const vertexIndices = new Map();
+        for (const triangle of triangles) {
+            this.currentPart.normals.push(this.getSTLFacetNormal(triangle));
+            const normalIndex = this.currentPart.normals.length - 1;
+
+            const face = triangle.vertices.map(vertex => {
+                const key = `${vertex.x},${vertex.y},${vertex.z}`;
+                if (!vertexIndices.has(key)) {
+                    vertexIndices.set(key, this.currentPart.vertices.length);
+                    this.currentPart.vertices.push(vertex);
+                }
+                return {
+                    vertexIndex: vertexIndices.get(key),
+                    textureIndex: -1,
+                    normalIndex
+                };
+            });
+            this.currentPart.faces.push(face);
+        }
+
+        this.finalizePart();
+    }
+
+    /**
+     * Create and finalize a part from triangle buffers, e.g. a glTF mesh node
+     * @param {Object} options - Part geometry and metadata
+     * @param {string} options.name - Part name
+     * @param {ArrayLike<number>} options.positions - xyz triplets in model space
+     * @param {ArrayLike<number>} [options.indices] - Triangle indices, sequential when omitted
+     * @param {string} [options.partNumber] - Part number to use instead of a generated one
+     * @param {string} [options.type] - Part type to use instead of the name-based one
+     * @param {Array<string>} [options.assemblyPath] - Names of the enclosing sub-assemblies
+     * @param {Object} [options.metadata] - Custom metadata carried with the part
+     * @returns {Object|null} The finalized part, or null if it was rejected
+     */
+    addMeshPart({ name, positions, indices, partNumber, type, assemblyPath = [], metadata = {} }) {
+        this.handleObjectName(name);
+
+        if (partNumber) {
+            this.currentPart.partNumber = String(partNumber);
+            this.currentPart.partNumberSource = 'metadata';
+        }
+        if (type) {
+            this.currentPart.type = type;
+            this.currentPart.typeSource = 'metadata';
+        }
+        this.currentPart.assemblyPath = assemblyPath;
+        this.currentPart.metadata = metadata;
+
+        for (let i = 0; i < positions.length; i += 3) {
+            this.currentPart.vertices.push({ x: positions[i], y: positions[i + 1], z: positions[i + 2] });
+        }
+
+        const triangleCount = indices ? indices.length / 3 : this.currentPart.vertices.length / 3;
+        for (let i = 0; i < triangleCount; i++) {
+            const face = [0, 1, 2].map(corner => ({
+                vertexIndex: indices ? indices[i * 3 + corner] : i * 3 + corner,
+                textureIndex: -1,
+                normalIndex: -1
+            }));
+            this.currentPart.faces.push(face);
+        }
+
+        const part = this.currentPart;
+        const partCount = this.parts.length;
+        this.finalizePart();
+        return this.parts.length > partCount ? part : null;
+    }
+
+    /**
+     * Get a facet's unit normal, computing it from the winding when the file stores a zero normal
+     */
+    getSTLFacetNormal(triangle) {
+        const { normal, vertices: [a, b, c] } = triangle;
+        if (normal && (normal.x !== 0 || normal.y !== 0 || normal.z !== 0)) {
+            return normal;
+        }
+
+        const ux = b.x - a.x, uy = b.y - a.y, uz = b.z - a.z;
+        const vx = c.x - a.x, vy = c.y - a.y, vz = c.z - a.z;
+        const nx = uy * vz - uz * vy;
+        const ny = uz * vx - ux * vz;
+        const nz = ux * vy - uy * vx;
+        const length = Math.sqrt(nx * nx + ny * ny + nz * nz) || 1;
+        return { x: nx / length, y: ny / length, z: nz / length };
+    }
+
+    /**
+     * Split o/g names into a part name and the path of sub-assemblies above it
+     * @param {Array<string>} names - Names from the statement, outermost first
+     * @param {Array<string>} parentPath - Path of the enclosing object
+     * @returns {Object} { name, assemblyPath } where name is the innermost segment
+     */
+    parseAssemblyName(names, parentPath) {
+        const segments = [];
+        names.forEach(name => {
+            let pieces = [name];
+            this.nameDelimiters.forEach(delimiter => {
+                pieces = pieces.flatMap(piece => piece.split(delimiter));
+            });
+            pieces.map(piece => piece.trim()).filter(Boolean).forEach(piece => segments.push(piece));
+        });
+
+        const name = segments.pop() || '';
+        return { name, assemblyPath: [...parentPath, ...segments] };
     }
 
     /**
      * Handle object name declaration
+     * @param {string} name - Part name
+     * @param {Array<string>} [assemblyPath] - Names of the enclosing sub-assemblies
      */
-    handleObjectName(name) {
+    handleObjectName(name, assemblyPath = []) {
         // Finalize previous part if exists
         if (this.currentPart) {
             this.finalizePart();
         }
 
+        this.localIndexMaps = {
+            vertex: new Map(),
+            normal: new Map(),
+            texture: new Map()
+        };
+
         // Start new part
         this.currentPart = {
             name: name || `Part_${this.parts.length + 1}`,
@@ -101,134 +638,760 @@ class PartAnalyzer {
             normals: [],
             textureCoords: [],
             faces: [],
-            material: null,
+            material: this.currentMaterial,
+            materialGroups: [],
             boundingBox: null,
             center: null,
             partNumber: this.generatePartNumber(),
-            type: this.detectPartType(name)
+            partNumberSource: 'sequential',
+            type: this.detectPartType(name),
+            sourceLine: this.currentLine,
+            assemblyPath
+        };
+    }
+
+    /**
+     * Handle group name declaration
+     * @param {string} name - Part name
+     * @param {Array<string>} [assemblyPath] - Names of the enclosing sub-assemblies
+     */
+    handleGroupName(name, assemblyPath = []) {
+        // Groups can define separate parts, so treat them like objects
+        if (!this.currentPart) {
+            this.handleObjectName(name, assemblyPath);
+        } else if (name && (name !== this.currentPart.name || assemblyPath.join('/') !== this.currentPart.assemblyPath.join('/'))) {
+            // An object that only holds groups is a sub-assembly, not an empty part; one whose
+            // face lines were all invalid is finalized, so it is reported as rejected
+            if (this.currentPart === this.objectPart && this.currentPart.faces.length === 0 && !this.currentPart.discardedFaces) {
+                this.currentPart = null;
+            } else {
+                // This is a new group/part, finalize the previous one
+                this.finalizePart();
+            }
+            this.handleObjectName(name, assemblyPath);
+        }
+    }
+
+    /**
+     * Handle material usage
+     */
+    handleMaterialUsage(materialName) {
+        this.currentMaterial = materialName || 'default';
+        if (this.currentPart) {
+            if (!this.currentPart.material || this.currentPart.faces.length === 0) {
+                this.currentPart.material = this.currentMaterial;
+            }
+            this.currentPart.materialGroups.push({
+                material: this.currentMaterial,
+                faceStart: this.currentPart.faces.length
+            });
+        }
+    }
+
+    /**
+     * Handle vertex data
+     */
+    handleVertex(coords, lineNumber) {
+        if (coords.length < 3) {
+            throw this.createParseError('invalid-vertex', `Vertex has ${coords.length} coordinates instead of three`);
+        }
+        const [x, y, z] = coords.map(coord => {
+            const value = parseFloat(coord);
+            if (isNaN(value)) {
+                throw this.createParseError('invalid-vertex', `Invalid vertex coordinate "${coord}"`);
+            }
+            return value;
+        });
+        this.globalVertices.push({ x, y, z });
+    }
+
+    /**
+     * Handle normal data
+     */
+    handleNormal(coords, lineNumber) {
+        if (coords.length >= 3) {
+            const [x, y, z] = coords.map(coord => {
+                const value = parseFloat(coord);
+                if (isNaN(value)) {
+                    throw this.createParseError('invalid-normal', `Invalid normal coordinate "${coord}"`);
+                }
+                return value;
+            });
+            this.globalNormals.push({ x, y, z });
+        }
+    }
+
+    /**
+     * Handle texture coordinate data
+     */
+    handleTextureCoord(coords, lineNumber) {
+        if (coords.length >= 2) {
+            const [u, v] = coords.map(coord => {
+                const value = parseFloat(coord);
+                if (isNaN(value)) {
+                    throw this.createParseError('invalid-texture-coordinate', `Invalid texture coordinate "${coord}"`);
+                }
+                return value;
+            });
+            this.globalTextureCoords.push({ u, v });
+        }
+    }
+
+    /**
+     * Handle face data, resolving global (and negative relative) indices
+     * and re-indexing them into the current part's local arrays
+     */
+    handleFace(faceData, lineNumber) {
+        // Faces before any o/g statement still belong to a part
+        if (!this.currentPart) {
+            this.handleObjectName('');
+        }
+
+        if (faceData.length < 3) {
+            throw this.createParseError('degenerate-face', `Face has ${faceData.length} vertices, at least three are needed`);
+        }
+
+        // Resolve every corner before touching the part so a bad face adds nothing
+        const corners = faceData.map(vertexData => {
+            const indices = vertexData.split('/');
+            const vertexIndex = this.resolveIndex(indices[0], this.globalVertices.length);
+            if (vertexIndex === -1) {
+                throw this.createParseError('invalid-face-index', `Invalid or out-of-range face vertex index "${vertexData}"`);
+            }
+            const textureIndex = indices[1] ? this.resolveIndex(indices[1], this.globalTextureCoords.length) : -1;
+            const normalIndex = indices[2] ? this.resolveIndex(indices[2], this.globalNormals.length) : -1;
+            if ((indices[1] && textureIndex === -1) || (indices[2] && normalIndex === -1)) {
+                throw this.createParseError('invalid-face-index', `Invalid or out-of-range face texture/normal index "${vertexData}"`);
+            }
+            return { vertexIndex, textureIndex, normalIndex };
+        });
+
+        const face = corners.map(corner => ({
+            vertexIndex: this.toLocalIndex('vertex', corner.vertexIndex, this.globalVertices, this.currentPart.vertices),
+            textureIndex: this.toLocalIndex('texture', corner.textureIndex, this.globalTextureCoords, this.currentPart.textureCoords),
+            normalIndex: this.toLocalIndex('normal', corner.normalIndex, this.globalNormals, this.currentPart.normals)
+        }));
+        this.currentPart.faces.push(face);
+    }
+
+    /**
+     * Resolve a 1-based or negative (relative) OBJ index to a 0-based global index
+     * @returns {number} The global index, or -1 if it is out of range
+     */
+    resolveIndex(indexString, poolSize) {
+        const index = parseInt(indexString);
+        if (isNaN(index) || index === 0) return -1;
+
+        const resolved = index > 0 ? index - 1 : poolSize + index;
+        return resolved >= 0 && resolved < poolSize ? resolved : -1;
+    }
+
+    /**
+     * Map a global index to the current part's local array, copying the element on first use
+     */
+    toLocalIndex(kind, globalIndex, globalPool, localArray) {
+        if (globalIndex === -1) return -1;
+
+        const indexMap = this.localIndexMaps[kind];
+        if (!indexMap.has(globalIndex)) {
+            indexMap.set(globalIndex, localArray.length);
+            localArray.push(globalPool[globalIndex]);
+        }
+        return indexMap.get(globalIndex);
+    }
+
+    /**
+     * Handle material library reference
+     */
+    handleMaterialLibrary(libNames) {
+        for (const libName of libNames) {
+            if (libName && !this.materialLibraries.includes(libName)) {
+                this.materialLibraries.push(libName);
+                console.log(`📚 Material library: ${libName}`);
+            }
+        }
+    }
+
+    /**
+     * Fetch and parse every material library referenced by the last analyzed OBJ
+     * @param {string} baseUrl - URL of the OBJ file, used to resolve relative library paths
+     * @returns {Promise<Map>} Map of material name to material definition
+     */
+    async loadMaterialLibraries(baseUrl) {
+        for (const libName of this.materialLibraries) {
+            const libUrl = new URL(libName, baseUrl).href;
+            try {
+                const response = await fetch(libUrl);
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                this.parseMTL(await response.text(), libUrl);
+            } catch (error) {
+                console.warn(`⚠️ Could not load material library ${libName}: ${error.message}`);
+                this.addIssue(null, 'missing-material-library', `Could not load material library ${libName}: ${error.message}`, 'warning');
+            }
+        }
+
+        console.log(`📚 Loaded ${this.materials.size} materials`);
+        return this.materials;
+    }
+
+    /**
+     * Parse MTL content and merge its materials into this.materials
+     * @param {string} mtlContent - The raw MTL file content
+     * @param {string} [libUrl] - URL of the MTL file, used to resolve texture paths
+     * @returns {Array} Array of parsed material definitions
+     */
+    parseMTL(mtlContent, libUrl) {
+        const parsed = [];
+        let current = null;
+
+        const lines = mtlContent.split('\n');
+        for (const line of lines) {
+            const trimmedLine = line.trim();
+            if (!trimmedLine || trimmedLine.startsWith('#')) {
+                continue;
+            }
+
+            const parts = trimmedLine.split(/\s+/);
+            const command = parts[0].toLowerCase();
+            const values = parts.slice(1);
+
+            if (command === 'newmtl') {
+                current = {
+                    name: values.join(' '),
+                    diffuse: { r: 0.8, g: 0.8, b: 0.8 },
+                    specular: { r: 0, g: 0, b: 0 },
+                    shininess: 0,
+                    opacity: 1,
+                    diffuseMap: null
+                };
+                this.materials.set(current.name, current);
+                parsed.push(current);
+                continue;
+            }
+
+            if (!current) {
+                continue;
+            }
+
+            switch (command) {
+                case 'kd': // Diffuse colour
+                    current.diffuse = this.parseMTLColor(values, current.diffuse);
+                    break;
+                case 'ks': // Specular colour
+                    current.specular = this.parseMTLColor(values, current.specular);
+                    break;
+                case 'ns': // Specular exponent
+                    current.shininess = parseFloat(values[0]) || 0;
+                    break;
+                case 'd': // Dissolve
+                    current.opacity = this.parseMTLFactor(values[0], current.opacity);
+                    break;
+                case 'tr': // Transparency (inverse of dissolve)
+                    current.opacity = 1 - this.parseMTLFactor(values[0], 1 - current.opacity);
+                    break;
+                case 'map_kd': // Diffuse texture, options precede the file name
+                    if (values.length > 0) {
+                        const fileName = values[values.length - 1];
+                        current.diffuseMap = libUrl ? new URL(fileName, libUrl).href : fileName;
+                    }
+                    break;
+            }
+        }
+
+        return parsed;
+    }
+
+    /**
+     * Parse an MTL "r g b" colour statement, keeping the fallback on bad input
+     */
+    parseMTLColor(values, fallback) {
+        const [r, g, b] = values.map(value => parseFloat(value));
+        if (isNaN(r)) return fallback;
+        return {
+            r,
+            g: isNaN(g) ? r : g,
+            b: isNaN(b) ? r : b
+        };
+    }
+
+    /**
+     * Parse a 0..1 MTL factor, keeping the fallback on bad input
+     */
+    parseMTLFactor(value, fallback) {
+        const factor = parseFloat(value);
+        return isNaN(factor) ? fallback : Math.min(1, Math.max(0, factor));
+    }
+
+    /**
+     * Get a parsed material definition by name
+     */
+    getMaterial(name) {
+        return this.materials.get(name) || null;
+    }
+
+    /**
+     * Finalize the current part and add it to the parts array
+     */
+    finalizePart() {
+        if (!this.currentPart) {
+            return;
+        }
+
+        // Header-only groups (e.g. "g default", or an o followed straight by a g) are not parts.
+        // Only a part whose face lines were all invalid is reported as rejected.
+        if (this.currentPart.faces.length === 0 && !this.currentPart.discardedFaces) {
+            this.currentPart = null;
+            return;
+        }
+
+        // Calculate bounding box and center
+        this.calculateBoundingBox(this.currentPart);
+
+        // Groups often hold a whole pipe run; give each connected shell its own part.
+        // Merged parts are kept whole even when their pieces do not touch.
+        if (this.splitByShells && !this.currentPart.mergedFrom) {
+            const shells = this.splitPartByShells(this.currentPart);
+            if (shells.length > 1) {
+                console.log(`✂️ Split ${this.currentPart.name} into ${shells.length} shells`);
+                shells.forEach((shell, index) => {
+                    if (index > 0) {
+                        shell.partNumber = this.generatePartNumber();
+                    }
+                    this.currentPart = shell;
+                    this.finalizePart();
+                });
+                return;
+            }
+        }
+        
+        // Validate part
+        const rejection = this.getRejection(this.currentPart);
+        if (!rejection) {
+            const flatAxes = ['x', 'y', 'z'].filter(axis => this.currentPart.size[axis] === 0);
+            if (flatAxes.length > 0) {
+                this.addIssue(this.currentPart.sourceLine, 'flat-part',
+                    `Part "${this.currentPart.name}" has zero thickness along ${flatAxes[0].toUpperCase()}`, 'warning');
+            }
+
+            this.currentPart.vertexCount = this.currentPart.vertices.length;
+            this.currentPart.faceCount = this.currentPart.faces.length;
+            this.classifyPart(this.currentPart);
+            this.currentPart.dimensions = this.computePipeDimensions(this.currentPart);
+            const triangles = this.getTriangleBuffers(this.currentPart);
+            this.currentPart.massProperties = this.computeMassProperties(this.currentPart, triangles);
+            this.currentPart.meshHealth = this.checkMeshHealth(this.currentPart, triangles);
+            this.currentPart.ports = this.findPorts(this.currentPart, triangles);
+            this.assignPartNumber(this.currentPart);
+            this.parts.push(this.currentPart);
+            console.log(`✅ Part added: ${this.currentPart.name} (${this.currentPart.vertexCount} vertices, ${this.currentPart.faceCount} faces)`);
+            if (this.onPartFinalized) {
+                this.onPartFinalized(this.currentPart);
+            }
+        } else {
+            this.rejectPart(this.currentPart, rejection.kind, rejection.reason);
+        }
+
+        this.currentPart = null;
+    }
+
+    /**
+     * Set a part's type from its geometry, keeping the name-based type as fallback.
+     * Types authored in the model file (glTF extras) are kept as they are, but still get
+     * the matching primitive fit so their dimensions can be measured.
+     * Adds typeConfidence (0..1), typeSource, typeCandidates and primitiveFit to the part.
+     */
+    classifyPart(part) {
+        if (part.typeSource === 'metadata') {
+            const candidates = ['Pipe', 'Elbow'].includes(part.type) ? this.classifier.getCandidates(part) : [];
+            const match = candidates.find(candidate => candidate.type === part.type);
+            part.typeConfidence = 1;
+            part.typeCandidates = candidates.map(({ type, confidence }) => ({ type, confidence }));
+            part.primitiveFit = match ? match.fit : null;
+            return;
+        }
+
+        const classification = this.classifier.classify(part, this.detectPartType(part.name));
+        part.type = classification.type;
+        part.typeConfidence = classification.confidence;
+        part.typeSource = classification.source;
+        part.typeCandidates = classification.candidates;
+        part.primitiveFit = classification.fit;
+    }
+
+    /**
+     * Engineering dimensions of a pipe or elbow, taken from its fitted primitive (model units)
+     * Centerline length of an elbow is the bend arc plus any straight tangents.
+     * @returns {Object|null} { outerDiameter, innerDiameter, wallThickness, centerlineLength,
+     *   bendRadius, bendAngle } - inner values are null for solid parts, bend values for straight pipes
+     */
+    computePipeDimensions(part) {
+        const fit = part.primitiveFit;
+        if (!fit || !['Pipe', 'Elbow'].includes(part.type)) return null;
+
+        const dimensions = {
+            outerDiameter: fit.outerDiameter,
+            innerDiameter: fit.innerDiameter,
+            wallThickness: fit.innerDiameter ? (fit.outerDiameter - fit.innerDiameter) / 2 : null,
+            centerlineLength: fit.length,
+            bendRadius: null,
+            bendAngle: null
+        };
+
+        if (part.type === 'Elbow') {
+            const arcLength = fit.bendRadius * fit.bendAngle * Math.PI / 180;
+            dimensions.centerlineLength = arcLength + fit.tangentLengths[0] + fit.tangentLengths[1];
+            dimensions.bendRadius = fit.bendRadius;
+            dimensions.bendAngle = fit.bendAngle;
+        }
+
+        return dimensions;
+    }
+
+    /**
+     * Get a part's faces as a flat triangle list (polygons fan-triangulated), indexing part.vertices
+     * @returns {Object} { positions, indices }
+     */
+    getTriangleBuffers(part) {
+        const positions = new Float64Array(part.vertices.length * 3);
+        part.vertices.forEach((vertex, index) => positions.set([vertex.x, vertex.y, vertex.z], index * 3));
+
+        const indices = [];
+        for (const face of part.faces) {
+            for (let i = 1; i < face.length - 1; i++) {
+                indices.push(face[0].vertexIndex, face[i].vertexIndex, face[i + 1].vertexIndex);
+            }
+        }
+        return { positions, indices: new Uint32Array(indices) };
+    }
+
+    /**
+     * Distance below which two vertices of a part count as the same point
+     */
+    getWeldTolerance(part) {
+        const { x, y, z } = part.size;
+        return Math.sqrt(x * x + y * y + z * z) * WELD_TOLERANCE || WELD_TOLERANCE;
+    }
+
+    /**
+     * Compute volume, surface area, centre of mass and inertia of a part's mesh (model units).
+     * Volume and inertia are summed from signed tetrahedra, which is only valid on closed,
+     * consistently wound shells; open parts get the surface centroid and null volume/inertia.
+     * @param {Object} part - Analyzed part; its bounding box centre is the reference point
+     * @param {Object} buffers - { positions, indices } triangles, defaults to the part's faces
+     * @returns {Object} { closed, volume, surfaceArea, centerOfMass: {x, y, z}, inertia, surfaceMoments } where
+     *   inertia is the 3x3 tensor about the centre of mass for unit density and surfaceMoments the 3x3
+     *   second moments of the surface about its centroid, which open parts have too
+     */
+    computeMassProperties(part, { positions, indices } = this.getTriangleBuffers(part)) {
+        // Triangle soup exports repeat corners, so shells are checked on welded positions
+        const { ids } = GeometryUtils.weldPositions(positions, this.getWeldTolerance(part));
+
+        // Each edge of a closed, consistently wound shell is used once in each direction
+        const edgeBalance = new Map();
+        const countEdge = (from, to) => {
+            if (from === to) return;
+            const key = from < to ? `${from}_${to}` : `${to}_${from}`;
+            edgeBalance.set(key, (edgeBalance.get(key) || 0) + (from < to ? 1 : -1));
         };
+
+        // Moments are taken about the bounding box centre to keep the sums well conditioned
+        const origin = part.center;
+        let signedVolume = 0;
+        let surfaceArea = 0;
+        const firstMoment = [0, 0, 0];
+        const areaMoment = [0, 0, 0];
+        const secondMoment = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+        const surfaceSecondMoment = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+        const toLocal = index => [
+            positions[index * 3] - origin.x,
+            positions[index * 3 + 1] - origin.y,
+            positions[index * 3 + 2] - origin.z
+        ];
+
+        for (let t = 0; t < indices.length; t += 3) {
+            countEdge(ids[indices[t]], ids[indices[t + 1]]);
+            countEdge(ids[indices[t + 1]], ids[indices[t + 2]]);
+            countEdge(ids[indices[t + 2]], ids[indices[t]]);
+
+            const a = toLocal(indices[t]);
+            const b = toLocal(indices[t + 1]);
+            const c = toLocal(indices[t + 2]);
+            const sum = [a[0] + b[0] + c[0], a[1] + b[1] + c[1], a[2] + b[2] + c[2]];
+
+            // Tetrahedron (origin, a, b, c): six times its signed volume
+            const det = GeometryUtils.dot(a, GeometryUtils.cross(b, c));
+            signedVolume += det;
+
+            const triangleArea = GeometryUtils.length(GeometryUtils.cross(GeometryUtils.sub(b, a), GeometryUtils.sub(c, a))) / 2;
+            surfaceArea += triangleArea;
+
+            for (let j = 0; j < 3; j++) {
+                firstMoment[j] += det * sum[j];
+                areaMoment[j] += triangleArea * sum[j] / 3;
+                for (let k = j; k < 3; k++) {
+                    const corners = a[j] * a[k] + b[j] * b[k] + c[j] * c[k] + sum[j] * sum[k];
+                    secondMoment[j][k] += det * corners;
+                    surfaceSecondMoment[j][k] += triangleArea * corners / 12;
+                }
+            }
+        }
+
+        const closed = edgeBalance.size > 0 && [...edgeBalance.values()].every(balance => balance === 0);
+        const volume = signedVolume / 6;
+        const toModel = local => ({ x: local[0] + origin.x, y: local[1] + origin.y, z: local[2] + origin.z });
+
+        // Surface spread about its centroid; unlike the bounding box it does not change when the part is rotated
+        const surfaceCentroid = surfaceArea > 0 ? areaMoment.map(moment => moment / surfaceArea) : [0, 0, 0];
+        const surfaceMoments = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+        for (let j = 0; j < 3; j++) {
+            for (let k = j; k < 3; k++) {
+                surfaceMoments[j][k] = surfaceSecondMoment[j][k] - surfaceArea * surfaceCentroid[j] * surfaceCentroid[k];
+                surfaceMoments[k][j] = surfaceMoments[j][k];
+            }
+        }
+
+        if (!closed || Math.abs(volume) < 1e-12) {
+            return { closed: false, volume: null, surfaceArea, centerOfMass: toModel(surfaceCentroid), inertia: null, surfaceMoments };
+        }
+
+        // Inward-wound shells give a negative volume; the sign cancels out of the centroid
+        const sign = Math.sign(volume);
+        const centroid = firstMoment.map(moment => moment / (24 * volume));
+
+        // Covariance about the centroid, then I = trace(C) * E - C
+        const covariance = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+        for (let j = 0; j < 3; j++) {
+            for (let k = j; k < 3; k++) {
+                covariance[j][k] = sign * (secondMoment[j][k] / 120 - volume * centroid[j] * centroid[k]);
+                covariance[k][j] = covariance[j][k];
+            }
+        }
+        const trace = covariance[0][0] + covariance[1][1] + covariance[2][2];
+        const inertia = covariance.map((row, j) => row.map((value, k) => (j === k ? trace : 0) - value));
+
+        return { closed: true, volume: Math.abs(volume), surfaceArea, centerOfMass: toModel(centroid), inertia, surfaceMoments };
+    }
+
+    /**
+     * Find a part's ports: flat faces with a circular rim, such as pipe ends and flange faces,
+     * where the part can mate with another part. Triangles are grouped by plane, and a plane
+     * is a port when its outermost vertices lie on a circle around the face centroid.
+     * @param {Object} part - Analyzed part
+     * @param {Object} buffers - { positions, indices } triangles, defaults to the part's faces
+     * @returns {Array} Ports { center: {x, y, z}, normal: {x, y, z}, radius, innerRadius } in model units;
+     *   innerRadius is the bore of an annular face and 0 for a solid one. Normals point out of
+     *   consistently wound parts
+     */
+    findPorts(part, { positions, indices } = this.getTriangleBuffers(part)) {
+        const { sub, cross, dot, length, scale, add } = GeometryUtils;
+        const planeTolerance = Math.sqrt(part.size.x ** 2 + part.size.y ** 2 + part.size.z ** 2) * PORT_PLANE_TOLERANCE || PORT_PLANE_TOLERANCE;
+        const vertex = index => [positions[index * 3], positions[index * 3 + 1], positions[index * 3 + 2]];
+
+        const planes = new Map();
+        for (let i = 0; i < indices.length; i += 3) {
+            const [a, b, c] = [indices[i], indices[i + 1], indices[i + 2]].map(vertex);
+            const normal = cross(sub(b, a), sub(c, a));
+            const area = length(normal) / 2;
+            if (area === 0) continue;
+
+            const unit = scale(normal, 0.5 / area);
+            const key = [...unit.map(value => Math.round(value * 100)), Math.round(dot(unit, a) / planeTolerance)].join('_');
+            if (!planes.has(key)) {
+                planes.set(key, { area: 0, centroid: [0, 0, 0], normal: [0, 0, 0], vertices: new Set() });
+            }
+            const plane = planes.get(key);
+            plane.area += area;
+            plane.centroid = add(plane.centroid, scale(add(add(a, b), c), area / 3));
+            plane.normal = add(plane.normal, scale(unit, area));
+            [indices[i], indices[i + 1], indices[i + 2]].forEach(index => plane.vertices.add(index));
+        }
+
+        const ports = [];
+        for (const plane of planes.values()) {
+            if (plane.vertices.size < PORT_MIN_RIM_VERTICES) continue;
+
+            const center = scale(plane.centroid, 1 / plane.area);
+            const normal = GeometryUtils.normalize(plane.normal);
+            const [u, v] = GeometryUtils.perpendicularBasis(normal);
+            const rim = [...plane.vertices].map(index => {
+                const offset = sub(vertex(index), center);
+                return { radius: length(sub(offset, scale(normal, dot(offset, normal)))), angle: Math.atan2(dot(offset, v), dot(offset, u)) };
+            });
+            const radius = rim.reduce((max, point) => Math.max(max, point.radius), 0);
+            const angles = rim.filter(point => point.radius >= radius * 0.98).map(point => point.angle).sort((a, b) => a - b);
+            if (angles.length < PORT_MIN_RIM_VERTICES) continue;
+
+            const gaps = angles.map((angle, index) => (index > 0 ? angle - angles[index - 1] : angle + 2 * Math.PI - angles[angles.length - 1]));
+            if (gaps.some(gap => gap > PORT_MAX_RIM_GAP)) continue;
+
+            const innerRadius = rim.reduce((min, point) => (point.radius < radius * 0.98 ? Math.min(min, point.radius) : min), Infinity);
+            ports.push({
+                center: { x: center[0], y: center[1], z: center[2] },
+                normal: { x: normal[0], y: normal[1], z: normal[2] },
+                radius,
+                innerRadius: Number.isFinite(innerRadius) ? innerRadius : 0
+            });
+        }
+        return ports;
     }
 
     /**
-     * Handle group name declaration
+     * Check a part's mesh for topology problems (see MeshHealthChecker.inspect)
+     * @param {Object} part - Analyzed part
+     * @param {Object} buffers - { positions, indices } triangles, defaults to the part's faces
      */
-    handleGroupName(name) {
-        // Groups can define separate parts, so treat them like objects
-        if (!this.currentPart) {
-            this.handleObjectName(name);
-        } else if (name && name !== this.currentPart.name) {
-            // This is a new group/part, finalize the previous one
-            this.finalizePart();
-            this.handleObjectName(name);
-        }
+    checkMeshHealth(part, { positions, indices } = this.getTriangleBuffers(part)) {
+        return this.meshHealthChecker.inspect(positions, indices, this.getWeldTolerance(part));
     }
 
     /**
-     * Handle material usage
+     * Repair a part's mesh and refresh everything derived from it. The repaired buffers
+     * become the part's geometry, and its faces when it still has them.
+     * @param {Object} part - Analyzed part
+     * @param {Object} buffers - { positions, indices, uvs, groups } of the part in model coordinates
+     * @param {Object} options - { weld, fillHoles, unifyNormals }
+     * @returns {Object} The repaired buffers with a summary of the changes
      */
-    handleMaterialUsage(materialName) {
-        if (this.currentPart) {
-            this.currentPart.material = materialName || 'default';
+    repairMesh(part, buffers, options) {
+        const repaired = this.meshHealthChecker.repair(buffers, this.getWeldTolerance(part), options);
+        const { summary, ...geometry } = repaired;
+
+        part.geometry = geometry;
+        part.vertexCount = geometry.positions.length / 3;
+        part.faceCount = geometry.indices.length / 3;
+        if (part.faces) {
+            part.vertices = [];
+            for (let i = 0; i < geometry.positions.length; i += 3) {
+                part.vertices.push({ x: geometry.positions[i], y: geometry.positions[i + 1], z: geometry.positions[i + 2] });
+            }
+            part.faces = [];
+            for (let i = 0; i < geometry.indices.length; i += 3) {
+                part.faces.push([0, 1, 2].map(corner => ({ vertexIndex: geometry.indices[i + corner], textureIndex: -1, normalIndex: -1 })));
+            }
+            part.normals = [];
+            part.textureCoords = [];
         }
+
+        part.massProperties = this.computeMassProperties(part, geometry);
+        part.meshHealth = this.checkMeshHealth(part, geometry);
+        part.ports = this.findPorts(part, geometry);
+
+        console.log(`🔧 Repaired ${part.name}: ${summary.weldedVertices} vertices welded, ${summary.removedFaces} faces removed, ` +
+            `${summary.flippedFaces} flipped, ${summary.filledHoles} holes filled`);
+        return repaired;
     }
 
     /**
-     * Handle vertex data
+     * Find the density for a part: its material name first, then the material assumed for its type
+     * @returns {Object} { material, density } with density in kg/m³
      */
-    handleVertex(coords, lineNumber) {
-        if (this.currentPart && coords.length >= 3) {
-            const [x, y, z] = coords.map(coord => {
-                const value = parseFloat(coord);
-                if (isNaN(value)) {
-                    throw new Error(`Invalid vertex coordinate at line ${lineNumber}`);
-                }
-                return value;
-            });
-            this.currentPart.vertices.push({ x, y, z });
-        }
+    resolvePartDensity(part) {
+        const materialName = (part.material || '').toLowerCase();
+        const byName = Object.keys(this.materialDensities)
+            .filter(material => materialName.includes(material.toLowerCase()))
+            .sort((a, b) => b.length - a.length)[0]; // 'Stainless steel' before 'Steel'
+        const material = byName || this.typeMaterials[part.type] || this.defaultMaterial;
+        return { material, density: this.materialDensities[material] || 0 };
     }
 
     /**
-     * Handle normal data
+     * Set the density (kg/m³) of a material, adding it to the table if needed
      */
-    handleNormal(coords, lineNumber) {
-        if (this.currentPart && coords.length >= 3) {
-            const [x, y, z] = coords.map(coord => {
-                const value = parseFloat(coord);
-                if (isNaN(value)) {
-                    throw new Error(`Invalid normal coordinate at line ${lineNumber}`);
-                }
-                return value;
-            });
-            this.currentPart.normals.push({ x, y, z });
-        }
+    setMaterialDensity(material, density) {
+        this.materialDensities[material] = density;
     }
 
     /**
-     * Handle texture coordinate data
+     * Set the material assumed for parts of a type without a known material name
      */
-    handleTextureCoord(coords, lineNumber) {
-        if (this.currentPart && coords.length >= 2) {
-            const [u, v] = coords.map(coord => {
-                const value = parseFloat(coord);
-                if (isNaN(value)) {
-                    throw new Error(`Invalid texture coordinate at line ${lineNumber}`);
-                }
-                return value;
-            });
-            this.currentPart.textureCoords.push({ u, v });
-        }
+    setTypeMaterial(type, material) {
+        this.typeMaterials[type] = material;
     }
 
     /**
-     * Handle face data
+     * Get a part's weight in kg, or null when its mesh is not a closed shell
      */
-    handleFace(faceData, lineNumber) {
-        if (this.currentPart && faceData.length >= 3) {
-            const face = faceData.map(vertexData => {
-                const indices = vertexData.split('/');
-                const vertexIndex = parseInt(indices[0]);
-                if (isNaN(vertexIndex) || vertexIndex < 1) {
-                    throw new Error(`Invalid face vertex index at line ${lineNumber}`);
-                }
-                return {
-                    vertexIndex: vertexIndex - 1, // OBJ is 1-indexed
-                    textureIndex: indices[1] ? parseInt(indices[1]) - 1 : -1,
-                    normalIndex: indices[2] ? parseInt(indices[2]) - 1 : -1
-                };
-            });
-            this.currentPart.faces.push(face);
-        }
+    getPartMass(part) {
+        const properties = part.massProperties;
+        if (!properties || properties.volume === null) return null;
+        return properties.volume * Math.pow(this.metersPerUnit, 3) * this.resolvePartDensity(part).density;
     }
 
     /**
-     * Handle material library reference
+     * Get a part's render-ready typed arrays, building and caching them on first use
      */
-    handleMaterialLibrary(libName) {
-        console.log(`📚 Material library: ${libName}`);
-        // Note: Add material loading logic if needed
+    getGeometryBuffers(part) {
+        if (!part.geometry) {
+            part.geometry = this.buildGeometryBuffers(part);
+        }
+        return part.geometry;
     }
 
     /**
-     * Finalize the current part and add it to the parts array
+     * Build render-ready typed arrays for a part. Polygons are fan-triangulated and
+     * each distinct vertex/texture/normal corner becomes one indexed vertex.
+     * @param {Object} part - A part returned by analyzeOBJ/analyzeSTL
+     * @returns {Object} { positions, normals, uvs, indices, groups } where normals/uvs are
+     *   null when the part lacks them and groups lists { start, count, material } index ranges
      */
-    finalizePart() {
-        if (!this.currentPart || this.currentPart.vertices.length === 0) {
-            return;
-        }
+    buildGeometryBuffers(part) {
+        const cornerIndices = new Map();
+        const positions = [];
+        const normals = [];
+        const uvs = [];
+        const indices = [];
+        const hasNormals = part.normals.length > 0 && part.faces.every(face => face.every(corner => corner.normalIndex !== -1));
+        const hasUVs = part.textureCoords.length > 0 && part.faces.every(face => face.every(corner => corner.textureIndex !== -1));
 
-        // Calculate bounding box and center
-        this.calculateBoundingBox(this.currentPart);
-        
-        // Validate part
-        if (this.validatePart(this.currentPart)) {
-            this.parts.push(this.currentPart);
-            console.log(`✅ Part added: ${this.currentPart.name} (${this.currentPart.vertices.length} vertices, ${this.currentPart.faces.length} faces)`);
-        } else {
-            console.warn(`⚠️ Part rejected: ${this.currentPart.name} (invalid geometry)`);
-        }
+        const addCorner = (corner) => {
+            const key = `${corner.vertexIndex}/${hasUVs ? corner.textureIndex : ''}/${hasNormals ? corner.normalIndex : ''}`;
+            if (!cornerIndices.has(key)) {
+                cornerIndices.set(key, positions.length / 3);
+                const vertex = part.vertices[corner.vertexIndex];
+                positions.push(vertex.x, vertex.y, vertex.z);
+                if (hasNormals) {
+                    const normal = part.normals[corner.normalIndex];
+                    normals.push(normal.x, normal.y, normal.z);
+                }
+                if (hasUVs) {
+                    const textureCoord = part.textureCoords[corner.textureIndex];
+                    uvs.push(textureCoord.u, textureCoord.v);
+                }
+            }
+            indices.push(cornerIndices.get(key));
+        };
 
-        this.currentPart = null;
+        // Material groups are recorded by face; convert them to index ranges
+        const materialGroups = [{ material: part.material, faceStart: 0 }, ...(part.materialGroups || [])]
+            .filter(group => group.faceStart < part.faces.length);
+        const groups = [];
+        let groupIndex = -1;
+
+        part.faces.forEach((face, faceIndex) => {
+            while (groupIndex + 1 < materialGroups.length && materialGroups[groupIndex + 1].faceStart <= faceIndex) {
+                groupIndex++;
+                groups.push({ start: indices.length, count: 0, material: materialGroups[groupIndex].material });
+            }
+            for (let i = 1; i < face.length - 1; i++) {
+                addCorner(face[0]);
+                addCorner(face[i]);
+                addCorner(face[i + 1]);
+            }
+        });
+
+        groups.forEach((group, index) => {
+            group.count = (index + 1 < groups.length ? groups[index + 1].start : indices.length) - group.start;
+        });
+
+        return {
+            positions: new Float32Array(positions),
+            normals: hasNormals ? new Float32Array(normals) : null,
+            uvs: hasUVs ? new Float32Array(uvs) : null,
+            indices: new Uint32Array(indices),
+            groups: groups.filter(group => group.count > 0)
+        };
     }
 
     /**
@@ -267,16 +1430,181 @@ class PartAnalyzer {
         };
     }
 
+    /**
+     * Split a part into one part per connected shell (faces sharing a vertex position).
+     * Vertex, normal and texture pools are re-indexed per shell and material groups carried over.
+     * @returns {Array} The shell parts named <name>_1, <name>_2..., or [part] for a single shell
+     */
+    splitPartByShells(part) {
+        const { ids } = GeometryUtils.weldPositions(this.getTriangleBuffers(part).positions, this.getWeldTolerance(part));
+        const parent = Array.from({ length: part.vertices.length }, (_, index) => index);
+        const find = (index) => {
+            while (parent[index] !== index) {
+                parent[index] = parent[parent[index]];
+                index = parent[index];
+            }
+            return index;
+        };
+
+        // Welded ids are vertex indices of the first copy, so union on those
+        const weldRoot = new Map();
+        const rootOf = vertexIndex => {
+            const id = ids[vertexIndex];
+            if (!weldRoot.has(id)) weldRoot.set(id, vertexIndex);
+            return weldRoot.get(id);
+        };
+        for (const face of part.faces) {
+            const first = find(rootOf(face[0].vertexIndex));
+            for (let i = 1; i < face.length; i++) {
+                parent[find(rootOf(face[i].vertexIndex))] = first;
+            }
+        }
+
+        const shellFaces = new Map();
+        part.faces.forEach((face, faceIndex) => {
+            const root = find(rootOf(face[0].vertexIndex));
+            if (!shellFaces.has(root)) shellFaces.set(root, []);
+            shellFaces.get(root).push(faceIndex);
+        });
+        if (shellFaces.size <= 1) return [part];
+
+        // Material of every face, from the part material and its usemtl switches
+        const faceMaterials = new Array(part.faces.length).fill(part.material);
+        for (const group of part.materialGroups || []) {
+            faceMaterials.fill(group.material, group.faceStart);
+        }
+
+        return Array.from(shellFaces.values(), (faceIndices, index) => {
+            const shell = {
+                ...part,
+                name: `${part.name}_${index + 1}`,
+                vertices: [],
+                normals: [],
+                textureCoords: [],
+                faces: [],
+                material: faceMaterials[faceIndices[0]],
+                materialGroups: [],
+                boundingBox: null,
+                center: null
+            };
+            const maps = { vertex: new Map(), normal: new Map(), texture: new Map() };
+            const remap = (index, map, source, target) => {
+                if (index === -1) return -1;
+                if (!map.has(index)) {
+                    map.set(index, target.length);
+                    target.push(source[index]);
+                }
+                return map.get(index);
+            };
+
+            for (const faceIndex of faceIndices) {
+                const material = faceMaterials[faceIndex];
+                const lastMaterial = shell.materialGroups.length ? shell.materialGroups[shell.materialGroups.length - 1].material : shell.material;
+                if (material !== lastMaterial) {
+                    shell.materialGroups.push({ material, faceStart: shell.faces.length });
+                }
+                shell.faces.push(part.faces[faceIndex].map(corner => ({
+                    vertexIndex: remap(corner.vertexIndex, maps.vertex, part.vertices, shell.vertices),
+                    textureIndex: remap(corner.textureIndex, maps.texture, part.textureCoords, shell.textureCoords),
+                    normalIndex: remap(corner.normalIndex, maps.normal, part.normals, shell.normals)
+                })));
+            }
+            return shell;
+        });
+    }
+
+    /**
+     * Merge parts into one new part, e.g. a fitting exported as several groups. The merged part
+     * is analyzed like a parsed one and replaces the source parts in this.parts.
+     * @param {Array} parts - Parts from this.parts
+     * @param {Object} [options] - { name, partNumber } of the merged part; defaults to the first
+     *   part's name and the next free part number
+     * @returns {Object|null} The merged part (with mergedFrom listing the source part numbers),
+     *   or null when the merged geometry was rejected
+     */
+    mergeParts(parts, { name = parts[0].name, partNumber = this.getNextPartNumber() } = {}) {
+        const buffers = parts.map(part => this.getGeometryBuffers(part));
+        const hasNormals = buffers.every(buffer => buffer.normals);
+        const hasUVs = buffers.every(buffer => buffer.uvs);
+
+        this.currentPart = null;
+        this.handleObjectName(name);
+        const merged = this.currentPart;
+        Object.assign(merged, {
+            partNumber,
+            partNumberSource: 'merge',
+            mergedFrom: parts.map(part => part.partNumber),
+            sourceLine: null,
+            assemblyPath: parts[0].assemblyPath || []
+        });
+
+        buffers.forEach((buffer, partIndex) => {
+            const vertexOffset = merged.vertices.length;
+            const faceOffset = merged.faces.length;
+
+            for (let i = 0; i < buffer.positions.length / 3; i++) {
+                merged.vertices.push({ x: buffer.positions[i * 3], y: buffer.positions[i * 3 + 1], z: buffer.positions[i * 3 + 2] });
+                if (hasNormals) {
+                    merged.normals.push({ x: buffer.normals[i * 3], y: buffer.normals[i * 3 + 1], z: buffer.normals[i * 3 + 2] });
+                }
+                if (hasUVs) {
+                    merged.textureCoords.push({ u: buffer.uvs[i * 2], v: buffer.uvs[i * 2 + 1] });
+                }
+            }
+
+            for (let i = 0; i < buffer.indices.length; i += 3) {
+                merged.faces.push([0, 1, 2].map(corner => {
+                    const index = vertexOffset + buffer.indices[i + corner];
+                    return { vertexIndex: index, textureIndex: hasUVs ? index : -1, normalIndex: hasNormals ? index : -1 };
+                }));
+            }
+
+            const groups = buffer.groups.length ? buffer.groups : [{ start: 0, material: parts[partIndex].material }];
+            for (const group of groups) {
+                merged.materialGroups.push({ material: group.material, faceStart: faceOffset + group.start / 3 });
+            }
+        });
+        merged.material = merged.materialGroups.length ? merged.materialGroups[0].material : parts[0].material;
+
+        this.finalizePart();
+        if (!this.parts.includes(merged)) return null;
+
+        this.parts = this.parts.filter(part => !parts.includes(part));
+        console.log(`🔗 Merged ${parts.length} parts into ${merged.partNumber} (${merged.name})`);
+        return merged;
+    }
+
     /**
      * Validate a part to ensure it has valid geometry
      */
     validatePart(part) {
-        return part.vertices.length > 0 && 
-               part.faces.length > 0 && 
-               part.boundingBox &&
-               part.size.x > 0 && 
-               part.size.y > 0 && 
-               part.size.z > 0;
+        return this.getRejection(part) === null;
+    }
+
+    /**
+     * Get why a part cannot be used, or null if it is valid.
+     * Flat parts (zero thickness on one axis, e.g. gasket faces) are valid.
+     * @returns {Object|null} { kind, reason }
+     */
+    getRejection(part) {
+        if (part.faces.length === 0 || part.vertices.length === 0) {
+            return {
+                kind: 'empty-part',
+                reason: part.discardedFaces ? `All ${part.discardedFaces} face lines were invalid` : 'Part has no faces'
+            };
+        }
+
+        const { x, y, z } = part.size;
+        if (![x, y, z].every(Number.isFinite)) {
+            return { kind: 'invalid-bounds', reason: 'Part has non-finite vertex coordinates' };
+        }
+
+        const extentAxes = [x, y, z].filter(extent => extent > 0).length;
+        if (extentAxes < 2) {
+            return { kind: 'degenerate-part', reason: 'All vertices lie on a single line or point' };
+        }
+
+        return null;
     }
 
     /**
@@ -288,7 +1616,339 @@ class PartAnalyzer {
     }
 
     /**
-     * Detect part type based on name and geometry
+     * Give a finalized part its number under the numbering strategy, and make it unique:
+     * a number that is already taken gets a "-2", "-3", ... suffix
+     */
+    assignPartNumber(part) {
+        if (part.partNumberSource === 'sequential' && this.numberingStrategy !== 'sequential') {
+            Object.assign(part, this.derivePartNumber(part));
+        }
+
+        if (this.usedPartNumbers.has(part.partNumber)) {
+            let suffix = 2;
+            while (this.usedPartNumbers.has(`${part.partNumber}-${suffix}`)) {
+                suffix++;
+            }
+            // Same-named copies share a fingerprint by design; other clashes are worth a look
+            if (!['sequential', 'fingerprint'].includes(part.partNumberSource)) {
+                this.addIssue(part.sourceLine, 'duplicate-part-number',
+                    `Part number ${part.partNumber} of "${part.name}" is already used, numbered ${part.partNumber}-${suffix}`, 'warning');
+            }
+            part.partNumber = `${part.partNumber}-${suffix}`;
+        }
+        this.usedPartNumbers.add(part.partNumber);
+    }
+
+    /**
+     * Part number from the pattern, mapping or fingerprint strategy
+     * @returns {Object} { partNumber, partNumberSource }
+     */
+    derivePartNumber(part) {
+        const fingerprint = this.getGeometryFingerprint(part);
+
+        if (this.numberingStrategy === 'pattern') {
+            const match = this.partNumberPattern.exec(part.name);
+            if (match) {
+                return { partNumber: match[1] || match[0], partNumberSource: 'pattern' };
+            }
+        } else if (this.numberingStrategy === 'mapping') {
+            const mapped = this.partNumberMapping[part.name] || this.partNumberMapping[fingerprint];
+            if (mapped) {
+                return { partNumber: String(mapped), partNumberSource: 'mapping' };
+            }
+        }
+
+        return { partNumber: fingerprint, partNumberSource: 'fingerprint' };
+    }
+
+    /**
+     * Stable part number from the part name and its shape: surface area, volume and principal
+     * moments (of the surface for open parts) to four significant digits, hashed (FNV-1a).
+     * It survives re-exports that reorder parts or vertices and moving or rotating the part,
+     * but not renames or reshaping.
+     */
+    getGeometryFingerprint(part) {
+        const { surfaceArea, volume, inertia, surfaceMoments } = part.massProperties;
+        // Moments that vanish (the thickness of a flat part) are rounding noise that changes with rotation
+        const moments = GeometryUtils.eigenSymmetric(inertia || surfaceMoments).values;
+        const largest = Math.max(...moments.map(Math.abs));
+        const extents = moments.map(value => (Math.abs(value) <= largest * 1e-9 ? 0 : value));
+        const key = [part.name, ...[surfaceArea, volume || 0, ...extents].map(value => value.toPrecision(4))].join('|');
+
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < key.length; i++) {
+            hash = Math.imul(hash ^ key.charCodeAt(i), 0x01000193);
+        }
+        return `P-${(hash >>> 0).toString(36).toUpperCase().padStart(7, '0')}`;
+    }
+
+    /**
+     * Load a part number mapping for the mapping strategy: JSON ({ "name": "number" } or
+     * [{ name, partNumber }]) or CSV/TSV with name and part number columns. Keys are part
+     * names or fingerprint numbers.
+     * @returns {Object} The mapping, empty when the file could not be read
+     */
+    async loadPartNumberMapping(url) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            this.partNumberMapping = this.parsePartNumberMapping(await response.text());
+            console.log(`🏷️ Loaded ${Object.keys(this.partNumberMapping).length} part numbers from ${url}`);
+        } catch (error) {
+            console.warn(`⚠️ Could not load part number mapping ${url}: ${error.message}`);
+            this.partNumberMapping = {};
+        }
+        return this.partNumberMapping;
+    }
+
+    /**
+     * Parse part number mapping content (see loadPartNumberMapping)
+     */
+    parsePartNumberMapping(content) {
+        const trimmed = content.trim();
+        if (trimmed.startsWith('{')) {
+            return JSON.parse(trimmed);
+        }
+        if (trimmed.startsWith('[')) {
+            return Object.fromEntries(JSON.parse(trimmed).map(entry => [entry.name, entry.partNumber]));
+        }
+
+        const mapping = {};
+        for (const line of trimmed.split(/\r?\n/)) {
+            const [name, partNumber] = line.split(/[,;\t]/).map(cell => cell.trim().replace(/^"(.*)"$/, '$1'));
+            // Skip blank lines and a heading row
+            if (!name || !partNumber || /^(part ?number|delenummer|pn)$/i.test(partNumber)) continue;
+            mapping[name] = partNumber;
+        }
+        return mapping;
+    }
+
+    /**
+     * Get a part number above every numbered part, for parts created after parsing
+     */
+    getNextPartNumber() {
+        const highest = this.parts.reduce((max, part) => {
+            const match = /^P-(\d+)$/.exec(part.partNumber);
+            return match ? Math.max(max, parseInt(match[1])) : max;
+        }, 0);
+        return `P-${(highest + 1).toString().padStart(3, '0')}`;
+    }
+
+    /**
+     * Find parts whose geometry is identical up to a rigid transform (bolts, nuts, repeated
+     * fittings) and record them as instances of one definition. Vertices are matched in order,
+     * as CAD exporters write copied and patterned parts, and the transform is the best rigid
+     * fit over the matched vertices.
+     * Every part gets part.instance = { definition, name, index, count, transform }, where
+     * definition is the part number of the first part with that geometry and transform the
+     * column-major 4x4 matrix that places the definition's geometry onto this part.
+     * @returns {Array} Definitions { partNumber, name, type, partNumbers } with two or more instances
+     */
+    detectInstances() {
+        const buckets = new Map();
+        const groups = [];
+
+        for (const part of this.parts) {
+            const buffers = this.getGeometryBuffers(part);
+            const key = this.getTopologyKey(buffers);
+            if (!buckets.has(key)) {
+                buckets.set(key, []);
+            }
+
+            const shape = this.getShapeDescriptor(buffers.positions);
+            const tolerance = INSTANCE_TOLERANCE * GeometryUtils.length([part.size.x, part.size.y, part.size.z]);
+            let member = null;
+
+            for (const group of buckets.get(key)) {
+                if (!this.shapesMatch(group.shape, shape) || !this.indicesMatch(group.buffers.indices, buffers.indices)) continue;
+
+                const transform = this.fitRigidTransform(group.buffers.positions, buffers.positions, tolerance);
+                if (transform) {
+                    member = { part, transform };
+                    group.members.push(member);
+                    break;
+                }
+            }
+
+            if (!member) {
+                const group = { buffers, shape, members: [{ part, transform: IDENTITY_TRANSFORM }] };
+                buckets.get(key).push(group);
+                groups.push(group);
+            }
+        }
+
+        this.instanceDefinitions = [];
+        for (const { members } of groups) {
+            const definition = members[0].part;
+            const name = this.getInstanceName(members.map(({ part }) => part.name));
+            members.forEach(({ part, transform }, index) => {
+                part.instance = { definition: definition.partNumber, name, index, count: members.length, transform };
+            });
+
+            if (members.length > 1) {
+                this.instanceDefinitions.push({
+                    partNumber: definition.partNumber,
+                    name,
+                    type: definition.type,
+                    partNumbers: members.map(({ part }) => part.partNumber)
+                });
+            }
+        }
+
+        const instancedParts = this.instanceDefinitions.reduce((sum, definition) => sum + definition.partNumbers.length, 0);
+        console.log(`🔩 ${instancedParts} parts are instances of ${this.instanceDefinitions.length} definitions`);
+        return this.instanceDefinitions;
+    }
+
+    /**
+     * Key that is equal for parts with the same vertex count, triangles and material groups
+     */
+    getTopologyKey(buffers) {
+        let checksum = 0;
+        for (let i = 0; i < buffers.indices.length; i++) {
+            checksum = (checksum * 31 + buffers.indices[i]) % 1000000007;
+        }
+        const groups = buffers.groups.map(group => `${group.start}:${group.count}:${group.material}`).join(',');
+        return `${buffers.positions.length / 3}|${buffers.indices.length}|${checksum}|${groups}`;
+    }
+
+    /**
+     * Eigenvalues of the vertex covariance, which a rigid transform leaves unchanged
+     */
+    getShapeDescriptor(positions) {
+        const vertexCount = positions.length / 3;
+        const centroid = [0, 0, 0];
+        for (let i = 0; i < positions.length; i++) {
+            centroid[i % 3] += positions[i] / vertexCount;
+        }
+
+        const covariance = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+        for (let i = 0; i < vertexCount; i++) {
+            const offset = GeometryUtils.sub([positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]], centroid);
+            for (let j = 0; j < 3; j++) {
+                for (let k = 0; k < 3; k++) {
+                    covariance[j][k] += offset[j] * offset[k] / vertexCount;
+                }
+            }
+        }
+        return GeometryUtils.eigenSymmetric(covariance).values;
+    }
+
+    /**
+     * Compare two shape descriptors with a tolerance relative to the largest spread
+     */
+    shapesMatch(a, b) {
+        const scale = Math.max(a[2], b[2]);
+        return a.every((value, index) => Math.abs(value - b[index]) <= INSTANCE_TOLERANCE * scale);
+    }
+
+    /**
+     * True when two index buffers are element-wise equal
+     */
+    indicesMatch(a, b) {
+        if (a === b) return true;
+        for (let i = 0; i < a.length; i++) {
+            if (a[i] !== b[i]) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Best rigid transform from one vertex list onto another with the same vertex order
+     * (Horn's quaternion method)
+     * @returns {Array|null} Column-major 4x4 matrix, or null when a vertex lands further than tolerance
+     *   from its counterpart (different or mirrored geometry)
+     */
+    fitRigidTransform(from, to, tolerance) {
+        const vertexCount = from.length / 3;
+        const fromCenter = [0, 0, 0];
+        const toCenter = [0, 0, 0];
+        for (let i = 0; i < from.length; i++) {
+            fromCenter[i % 3] += from[i] / vertexCount;
+            toCenter[i % 3] += to[i] / vertexCount;
+        }
+
+        // S[j][k] = sum of (from_j - fromCenter_j) * (to_k - toCenter_k)
+        const S = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+        for (let i = 0; i < vertexCount; i++) {
+            for (let j = 0; j < 3; j++) {
+                const a = from[i * 3 + j] - fromCenter[j];
+                for (let k = 0; k < 3; k++) {
+                    S[j][k] += a * (to[i * 3 + k] - toCenter[k]);
+                }
+            }
+        }
+
+        const N = [
+            [S[0][0] + S[1][1] + S[2][2], S[1][2] - S[2][1], S[2][0] - S[0][2], S[0][1] - S[1][0]],
+            [S[1][2] - S[2][1], S[0][0] - S[1][1] - S[2][2], S[0][1] + S[1][0], S[2][0] + S[0][2]],
+            [S[2][0] - S[0][2], S[0][1] + S[1][0], -S[0][0] + S[1][1] - S[2][2], S[1][2] + S[2][1]],
+            [S[0][1] - S[1][0], S[2][0] + S[0][2], S[1][2] + S[2][1], -S[0][0] - S[1][1] + S[2][2]]
+        ];
+        const [w, x, y, z] = GeometryUtils.eigenSymmetric(N).vectors[3];
+
+        const rotation = [
+            [w * w + x * x - y * y - z * z, 2 * (x * y - w * z), 2 * (x * z + w * y)],
+            [2 * (x * y + w * z), w * w - x * x + y * y - z * z, 2 * (y * z - w * x)],
+            [2 * (x * z - w * y), 2 * (y * z + w * x), w * w - x * x - y * y + z * z]
+        ];
+        const rotate = point => rotation.map(row => GeometryUtils.dot(row, point));
+        const translation = GeometryUtils.sub(toCenter, rotate(fromCenter));
+
+        for (let i = 0; i < vertexCount; i++) {
+            const moved = GeometryUtils.add(rotate([from[i * 3], from[i * 3 + 1], from[i * 3 + 2]]), translation);
+            if (GeometryUtils.distance(moved, [to[i * 3], to[i * 3 + 1], to[i * 3 + 2]]) > tolerance) {
+                return null;
+            }
+        }
+
+        return [
+            rotation[0][0], rotation[1][0], rotation[2][0], 0,
+            rotation[0][1], rotation[1][1], rotation[2][1], 0,
+            rotation[0][2], rotation[1][2], rotation[2][2], 0,
+            translation[0], translation[1], translation[2], 1
+        ];
+    }
+
+    /**
+     * Shared name of a set of instances: copy suffixes such as "_3", ".002" or " (2)" are
+     * dropped when that leaves every instance with the same name
+     */
+    getInstanceName(names) {
+        const baseNames = names.map(name => name.replace(/(\s*[._:#-]\s*\d+|\s*\(\d+\)|\s+\d+)$/, '').trim() || name);
+        const suffixed = names.some(name => name !== names[0]);
+        return suffixed && baseNames.every(name => name === baseNames[0]) ? baseNames[0] : names[0];
+    }
+
+    /**
+     * Quantity of every distinct part: instances of one definition are counted together
+     * @returns {Array} { partNumber, name, type, quantity, partNumbers } in part order, where
+     *   partNumber is the definition's
+     */
+    getQuantities() {
+        const quantities = new Map();
+        for (const part of this.parts) {
+            const key = part.instance ? part.instance.definition : part.partNumber;
+            if (!quantities.has(key)) {
+                quantities.set(key, {
+                    partNumber: key,
+                    name: part.instance ? part.instance.name : part.name,
+                    type: part.type,
+                    quantity: 0,
+                    partNumbers: []
+                });
+            }
+            const entry = quantities.get(key);
+            entry.quantity++;
+            entry.partNumbers.push(part.partNumber);
+        }
+        return Array.from(quantities.values());
+    }
+
+    /**
+     * Detect part type based on name
      */
     detectPartType(name) {
         if (!name) return 'Unknown';
@@ -310,7 +1970,10 @@ class PartAnalyzer {
     }
 
     /**
-     * Get part statistics
+     * Get part statistics, including assembly mass properties over the closed parts.
+     * centerOfMass is in model units; totalMass is in kg and inertia (about the
+     * centre of mass) in kg·m²; both are null when no part is a closed shell.
+     * quantities counts instances of one definition together (see detectInstances).
      */
     getStatistics() {
         const stats = {
@@ -318,20 +1981,71 @@ class PartAnalyzer {
             totalVertices: 0,
             totalFaces: 0,
             partTypes: {},
-            sizeRange: { min: Infinity, max: 0 }
+            sizeRange: { min: Infinity, max: 0 },
+            totalVolume: 0,
+            totalSurfaceArea: 0,
+            totalMass: null,
+            centerOfMass: null,
+            inertia: null,
+            openParts: 0,
+            quantities: this.getQuantities()
         };
 
+        const weighedParts = [];
+
         for (const part of this.parts) {
-            stats.totalVertices += part.vertices.length;
-            stats.totalFaces += part.faces.length;
+            stats.totalVertices += part.vertexCount;
+            stats.totalFaces += part.faceCount;
             
             stats.partTypes[part.type] = (stats.partTypes[part.type] || 0) + 1;
             
             const partSize = Math.max(part.size.x, part.size.y, part.size.z);
             stats.sizeRange.min = Math.min(stats.sizeRange.min, partSize);
             stats.sizeRange.max = Math.max(stats.sizeRange.max, partSize);
+
+            const properties = part.massProperties;
+            if (!properties) continue;
+            stats.totalSurfaceArea += properties.surfaceArea;
+            if (properties.volume === null) {
+                stats.openParts++;
+                continue;
+            }
+            stats.totalVolume += properties.volume;
+
+            const mass = this.getPartMass(part);
+            if (mass > 0) {
+                weighedParts.push({ part, mass });
+            }
         }
 
+        if (weighedParts.length === 0) return stats;
+
+        stats.totalMass = weighedParts.reduce((sum, { mass }) => sum + mass, 0);
+        const center = { x: 0, y: 0, z: 0 };
+        for (const { part, mass } of weighedParts) {
+            for (const axis of ['x', 'y', 'z']) {
+                center[axis] += part.massProperties.centerOfMass[axis] * mass / stats.totalMass;
+            }
+        }
+        stats.centerOfMass = center;
+
+        // Parallel axis theorem moves each part's inertia to the assembly centre of mass
+        const unit = this.metersPerUnit;
+        const inertia = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+        for (const { part, mass } of weighedParts) {
+            const { centerOfMass, inertia: partInertia } = part.massProperties;
+            const density = mass / (part.massProperties.volume * Math.pow(unit, 3));
+            const offset = ['x', 'y', 'z'].map(axis => (centerOfMass[axis] - center[axis]) * unit);
+            const offsetSquared = GeometryUtils.dot(offset, offset);
+            for (let j = 0; j < 3; j++) {
+                for (let k = 0; k < 3; k++) {
+                    inertia[j][k] += density * partInertia[j][k] * Math.pow(unit, 5)
+                        + mass * ((j === k ? offsetSquared : 0) - offset[j] * offset[k]);
+                }
+            }
+        }
+        stats.inertia = inertia;
+
         return stats;
     }
 
@@ -351,28 +2065,27 @@ class PartAnalyzer {
     }
 
     /**
-     * Get the largest part (by volume)
+     * Get the closed parts ordered by mesh volume, smallest first
+     */
+    getPartsByVolume() {
+        return this.parts
+            .filter(part => part.massProperties && part.massProperties.volume !== null)
+            .sort((a, b) => a.massProperties.volume - b.massProperties.volume);
+    }
+
+    /**
+     * Get the largest part (by mesh volume; open parts have no volume and are skipped)
      */
     getLargestPart() {
-        if (this.parts.length === 0) return null;
-        
-        return this.parts.reduce((largest, current) => {
-            const currentVolume = current.size.x * current.size.y * current.size.z;
-            const largestVolume = largest.size.x * largest.size.y * largest.size.z;
-            return currentVolume > largestVolume ? current : largest;
-        });
+        const parts = this.getPartsByVolume();
+        return parts.length > 0 ? parts[parts.length - 1] : null;
     }
 
     /**
-     * Get the smallest part (by volume)
+     * Get the smallest part (by mesh volume; open parts have no volume and are skipped)
      */
     getSmallestPart() {
-        if (this.parts.length === 0) return null;
-        
-        return this.parts.reduce((smallest, current) => {
-            const currentVolume = current.size.x * current.size.y * current.size.z;
-            const smallestVolume = smallest.size.x * smallest.size.y * smallest.size.z;
-            return currentVolume < smallestVolume ? current : smallest;
-        });
+        const parts = this.getPartsByVolume();
+        return parts.length > 0 ? parts[0] : null;
     }
 }
\ No newline at end of file
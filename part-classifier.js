@@ -0,0 +1,851 @@
+/**
+ * Part Classifier - Recognizes piping part types from mesh geometry
+ * Fits primitives (cylinder, torus, branch cylinder, bolt-hole pattern) to a part's
+ * triangles and scores how much of the surface each one explains. It has no three.js
+ * dependency so the OBJ worker can classify parts while they are parsed.
+ */
+
+// Geometric matches at or above this confidence win over the part name
+const STRONG_MATCH_CONFIDENCE = 0.75;
+// Geometric matches below this confidence are ignored
+const WEAK_MATCH_CONFIDENCE = 0.5;
+// Larger meshes are sampled with a stride so classification stays fast
+const MAX_SAMPLED_TRIANGLES = 5000;
+// Name types that say nothing about the part
+const GENERIC_PART_TYPES = ['Component', 'Unknown'];
+
+class PartClassifier {
+    /**
+     * Classify a part from its geometry. The name-based type is used as a fallback when
+     * no primitive fits well, and as a tiebreaker between near-equal geometric matches.
+     * @param {Object} part - Part with vertices, faces and boundingBox
+     * @param {string} nameType - Type detected from the part name
+     * @returns {Object} { type, confidence, source, candidates, fit } where source is
+     *   'geometry', 'geometry+name', 'name' or 'none', candidates lists every geometric
+     *   match as { type, confidence } and fit holds the winning primitive in model units
+     */
+    classify(part, nameType) {
+        const candidates = this.getCandidates(part);
+        const result = this.resolve(candidates, nameType);
+        result.candidates = candidates.map(({ type, confidence }) => ({ type, confidence }));
+        return result;
+    }
+
+    /**
+     * Combine geometric candidates with the name-based type
+     */
+    resolve(candidates, nameType) {
+        const best = candidates[0];
+        const nameMatch = candidates.find(candidate => candidate.type === nameType);
+        const hasSpecificName = nameType && !GENERIC_PART_TYPES.includes(nameType);
+
+        if (best && best.confidence >= STRONG_MATCH_CONFIDENCE) {
+            if (best === nameMatch) {
+                return { type: best.type, confidence: Math.min(1, best.confidence + 0.1), source: 'geometry+name', fit: best.fit };
+            }
+            // The name breaks near-ties between geometric matches
+            if (nameMatch && best.confidence - nameMatch.confidence <= 0.1) {
+                return { type: nameMatch.type, confidence: nameMatch.confidence, source: 'geometry+name', fit: nameMatch.fit };
+            }
+            return { type: best.type, confidence: best.confidence, source: 'geometry', fit: best.fit };
+        }
+
+        if (hasSpecificName) {
+            return {
+                type: nameType,
+                confidence: Math.max(0.5, nameMatch ? nameMatch.confidence : 0),
+                source: 'name',
+                fit: nameMatch ? nameMatch.fit : null
+            };
+        }
+
+        if (best && best.confidence >= WEAK_MATCH_CONFIDENCE) {
+            return { type: best.type, confidence: best.confidence, source: 'geometry', fit: best.fit };
+        }
+
+        return { type: nameType || 'Unknown', confidence: 0, source: 'none', fit: null };
+    }
+
+    /**
+     * Fit every primitive to the part and return the matches, best first
+     * @returns {Array} [{ type, confidence, fit }]
+     */
+    getCandidates(part) {
+        const mesh = this.prepareMesh(part);
+        if (!mesh) return [];
+
+        const candidates = [];
+        const normalAxes = this.getNormalAxes(mesh.triangles);
+
+        // Wall normals of a straight cylinder are perpendicular to its axis, so the axis is
+        // the direction with the least normal spread, unless end faces dominate (flanges)
+        for (const axis of [normalAxes[0], normalAxes[2]]) {
+            const cylinder = this.fitCylinder(mesh, mesh.triangles, axis);
+            if (cylinder) {
+                candidates.push(this.scorePipe(mesh, cylinder), this.scoreFlange(mesh, cylinder));
+            }
+        }
+
+        candidates.push(this.scoreElbow(mesh));
+
+        // The run of a tee is usually the longer cylinder, but try both orientations
+        candidates.push(
+            this.scoreTee(mesh, normalAxes[0]),
+            this.scoreTee(mesh, normalAxes[1])
+        );
+
+        const matches = new Map();
+        for (const candidate of candidates) {
+            if (!candidate || !(candidate.confidence > 0)) continue;
+            candidate.confidence = Math.round(Math.min(1, candidate.confidence) * 100) / 100;
+            const existing = matches.get(candidate.type);
+            if (!existing || candidate.confidence > existing.confidence) {
+                matches.set(candidate.type, candidate);
+            }
+        }
+
+        return [...matches.values()].sort((a, b) => b.confidence - a.confidence);
+    }
+
+    /**
+     * Convert a part into normalized points and sampled triangles. Coordinates are
+     * centred on the bounding box and scaled by its diagonal so tolerances are relative.
+     * @returns {Object|null} { points, triangles, totalArea, origin, scale }
+     */
+    prepareMesh(part) {
+        if (!part.vertices || part.vertices.length < 4 || !part.boundingBox) return null;
+
+        const { min, max } = part.boundingBox;
+        const origin = [(min.x + max.x) / 2, (min.y + max.y) / 2, (min.z + max.z) / 2];
+        const scale = GeometryUtils.length([max.x - min.x, max.y - min.y, max.z - min.z]) || 1;
+        const points = part.vertices.map(vertex => [
+            (vertex.x - origin[0]) / scale,
+            (vertex.y - origin[1]) / scale,
+            (vertex.z - origin[2]) / scale
+        ]);
+
+        let triangleCount = 0;
+        for (const face of part.faces) {
+            triangleCount += Math.max(0, face.length - 2);
+        }
+        const stride = Math.ceil(triangleCount / MAX_SAMPLED_TRIANGLES);
+
+        const triangles = [];
+        let triangleIndex = 0;
+        for (const face of part.faces) {
+            for (let i = 1; i < face.length - 1; i++) {
+                if (triangleIndex++ % stride !== 0) continue;
+
+                const indices = [face[0].vertexIndex, face[i].vertexIndex, face[i + 1].vertexIndex];
+                const [a, b, c] = indices.map(index => points[index]);
+                const crossed = GeometryUtils.cross(GeometryUtils.sub(b, a), GeometryUtils.sub(c, a));
+                const doubleArea = GeometryUtils.length(crossed);
+                if (!(doubleArea > 1e-12)) continue;
+
+                triangles.push({
+                    indices,
+                    normal: GeometryUtils.scale(crossed, 1 / doubleArea),
+                    area: doubleArea / 2,
+                    centroid: GeometryUtils.scale(GeometryUtils.add(GeometryUtils.add(a, b), c), 1 / 3)
+                });
+            }
+        }
+
+        if (triangles.length < 4) return null;
+
+        const totalArea = triangles.reduce((sum, triangle) => sum + triangle.area, 0);
+        return { points, triangles, totalArea, origin, scale };
+    }
+
+    /**
+     * Principal directions of the area-weighted surface normals, least spread first.
+     * Winding does not matter because n and -n contribute the same.
+     */
+    getNormalAxes(triangles) {
+        const covariance = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+        for (const { normal, area } of triangles) {
+            for (let j = 0; j < 3; j++) {
+                for (let k = 0; k < 3; k++) {
+                    covariance[j][k] += area * normal[j] * normal[k];
+                }
+            }
+        }
+        return GeometryUtils.eigenSymmetric(covariance).vectors;
+    }
+
+    /**
+     * Sum the triangle areas around each vertex (a third per corner)
+     * @returns {Map} vertex index -> area weight
+     */
+    getVertexWeights(triangles) {
+        const weights = new Map();
+        for (const triangle of triangles) {
+            for (const index of triangle.indices) {
+                weights.set(index, (weights.get(index) || 0) + triangle.area / 3);
+            }
+        }
+        return weights;
+    }
+
+    /**
+     * Find the centre of a circular cross-section as the point closest to all 2D normal
+     * lines. Wall normals of a revolved surface pass through the centre; normals of other
+     * features (branches, holes, tangents) are dropped by iterative reweighting.
+     * @param {Array} samples - [{ point: [x, y], normal: [x, y], weight }]
+     * @returns {Object|null} { center: [x, y], radius } where radius is the weighted median
+     *   distance of the inlying samples, or null when the normals do not meet
+     */
+    fitNormalCenter(samples) {
+        const lines = [];
+        for (const { point, normal, weight } of samples) {
+            const length = Math.hypot(normal[0], normal[1]);
+            if (length < 0.3) continue;
+            // Distance to a line along the normal is measured along its perpendicular
+            lines.push({ point, perpendicular: [-normal[1] / length, normal[0] / length], weight });
+        }
+        if (lines.length < 3) return null;
+
+        const residualsAt = (center, subset = lines) => subset.map(({ point, perpendicular }) => Math.abs(
+            (center[0] - point[0]) * perpendicular[0] + (center[1] - point[1]) * perpendicular[1]));
+
+        // Median residuals are estimated on a fixed pseudo-random subset of the lines. A
+        // regular stride would alias with the alternating triangles of quad strips.
+        const random = this.createRandom();
+        const probe = lines.length <= 256 ? lines : Array.from({ length: 256 }, () => lines[Math.floor(random() * lines.length)]);
+
+        let center = this.findMedianCenter(lines, probe, residualsAt, random);
+        if (!center) return null;
+        let weights = null;
+
+        for (let iteration = 0; iteration < 10; iteration++) {
+            const residuals = residualsAt(center);
+            const scale = 6 * GeometryUtils.percentile(residualsAt(center, probe).sort((a, b) => a - b), 0.5) + 1e-6;
+            // Redescending weights: lines well away from the centre stop counting at all
+            weights = lines.map((line, i) => line.weight * Math.max(0, 1 - (residuals[i] / scale) ** 2) ** 2);
+
+            let a11 = 0, a12 = 0, a22 = 0, b1 = 0, b2 = 0;
+            lines.forEach(({ point, perpendicular: [px, py] }, i) => {
+                const w = weights[i];
+                const projection = px * point[0] + py * point[1];
+                a11 += w * px * px;
+                a12 += w * px * py;
+                a22 += w * py * py;
+                b1 += w * px * projection;
+                b2 += w * py * projection;
+            });
+
+            const det = a11 * a22 - a12 * a12;
+            if (!(Math.abs(det) > 1e-12 * (a11 + a22) * (a11 + a22))) break;
+            const previous = center;
+            center = [(b1 * a22 - b2 * a12) / det, (a11 * b2 - a12 * b1) / det];
+            if (Math.hypot(center[0] - previous[0], center[1] - previous[1]) < 1e-7) break;
+        }
+
+        const distances = lines
+            .map(({ point }, i) => ({ distance: Math.hypot(point[0] - center[0], point[1] - center[1]), weight: weights[i] }))
+            .sort((a, b) => a.distance - b.distance);
+        const halfWeight = weights.reduce((sum, weight) => sum + weight, 0) / 2;
+        let cumulative = 0;
+        const median = distances.find(({ weight }) => (cumulative += weight) >= halfWeight);
+
+        return { center, radius: median.distance };
+    }
+
+    /**
+     * Robust starting point for fitNormalCenter: the intersection of two sampled lines that
+     * the most probe lines pass close to (least median of residuals)
+     * @returns {Array|null} [x, y], or null when the lines are (nearly) all parallel
+     */
+    findMedianCenter(lines, probe, residualsAt, random) {
+
+        let best = null;
+        let bestScore = Infinity;
+        for (let trial = 0; trial < 64; trial++) {
+            const a = lines[Math.floor(random() * lines.length)];
+            const b = lines[Math.floor(random() * lines.length)];
+            const [ax, ay] = a.perpendicular;
+            const [bx, by] = b.perpendicular;
+            const det = ax * by - ay * bx;
+            if (Math.abs(det) < 0.05) continue;
+
+            const ra = ax * a.point[0] + ay * a.point[1];
+            const rb = bx * b.point[0] + by * b.point[1];
+            const center = [(ra * by - rb * ay) / det, (ax * rb - bx * ra) / det];
+            const score = GeometryUtils.percentile(residualsAt(center, probe).sort((x, y) => x - y), 0.5);
+            if (score < bestScore) {
+                best = center;
+                bestScore = score;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Seeded pseudo-random generator (Park-Miller) so a part always classifies the same way
+     * @returns {Function} Returns numbers in [0, 1)
+     */
+    createRandom() {
+        let seed = 12345;
+        return () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+    }
+
+    /**
+     * Find the distinct radii that carry a significant share of the surface, e.g. the
+     * outer and inner wall of a tube
+     * @param {Array} samples - [{ distance, weight }]
+     * @param {number} binWidth - Histogram resolution
+     * @returns {Array} [{ radius, weight }] sorted by radius, weight as a fraction of the total
+     */
+    findRings(samples, binWidth) {
+        const bins = new Map();
+        let totalWeight = 0;
+
+        for (const { distance, weight } of samples) {
+            const key = Math.round(distance / binWidth);
+            const bin = bins.get(key) || { weight: 0, sum: 0 };
+            bin.weight += weight;
+            bin.sum += distance * weight;
+            bins.set(key, bin);
+            totalWeight += weight;
+        }
+
+        const rings = [];
+        let current = null;
+        let lastKey = null;
+
+        for (const key of [...bins.keys()].sort((a, b) => a - b)) {
+            const bin = bins.get(key);
+            if (bin.weight < 0.05 * totalWeight) {
+                current = null;
+                continue;
+            }
+
+            if (current && key === lastKey + 1) {
+                current.weight += bin.weight;
+                current.sum += bin.sum;
+            } else {
+                current = { weight: bin.weight, sum: bin.sum };
+                rings.push(current);
+            }
+            lastKey = key;
+        }
+
+        return rings.map(ring => ({ radius: ring.sum / ring.weight, weight: ring.weight / totalWeight }));
+    }
+
+    /**
+     * Index of the ring a triangle lies on, or -1. All corners must be on the ring and the
+     * centroid close to it, which rejects coarse polygons such as box sides whose corners
+     * happen to share a radius.
+     * @param {Function} distanceOf - Maps a normalized point to its distance from the primitive
+     */
+    getTriangleRing(mesh, triangle, rings, tolerance, distanceOf) {
+        const distances = triangle.indices.map(index => distanceOf(mesh.points[index]));
+        const centroidDistance = distanceOf(triangle.centroid);
+        return rings.findIndex(ring =>
+            distances.every(distance => Math.abs(distance - ring.radius) <= tolerance) &&
+            Math.abs(centroidDistance - ring.radius) <= 0.1 * ring.radius);
+    }
+
+    /**
+     * Area fraction of the given triangles lying on each ring
+     * @returns {Array<number>} One fraction per ring
+     */
+    getRingAreaFractions(mesh, triangles, rings, tolerance, distanceOf) {
+        const ringAreas = rings.map(() => 0);
+        let totalArea = 0;
+
+        for (const triangle of triangles) {
+            totalArea += triangle.area;
+            const ringIndex = this.getTriangleRing(mesh, triangle, rings, tolerance, distanceOf);
+            if (ringIndex !== -1) {
+                ringAreas[ringIndex] += triangle.area;
+            }
+        }
+
+        return ringAreas.map(area => (totalArea > 0 ? area / totalArea : 0));
+    }
+
+    /**
+     * Keep the rings that whole wall triangles lie on. Vertices of other features
+     * (branch ends, hole rims) can pile up at one distance without forming a wall.
+     */
+    selectWallRings(mesh, triangles, rings, tolerance, distanceOf) {
+        const fractions = this.getRingAreaFractions(mesh, triangles, rings, tolerance, distanceOf);
+        return rings.filter((ring, i) => fractions[i] >= 0.05);
+    }
+
+    /**
+     * Area fraction of the given triangles that lie on any of the rings
+     */
+    getRingInlierFraction(mesh, triangles, rings, tolerance, distanceOf) {
+        return this.getRingAreaFractions(mesh, triangles, rings, tolerance, distanceOf)
+            .reduce((sum, fraction) => sum + fraction, 0);
+    }
+
+    /**
+     * Fit a straight cylinder (or tube) with a known axis direction to a set of triangles
+     * @returns {Object|null} { axis, point, outerRadius, innerRadius, length, sideFraction,
+     *   inlierFraction, containment, distanceOf } in normalized units
+     */
+    fitCylinder(mesh, triangles, axis) {
+        const totalArea = triangles.reduce((sum, triangle) => sum + triangle.area, 0);
+        const sideTriangles = triangles.filter(triangle => Math.abs(GeometryUtils.dot(triangle.normal, axis)) < 0.3);
+        const sideArea = sideTriangles.reduce((sum, triangle) => sum + triangle.area, 0);
+        if (sideTriangles.length < 3 || sideArea < 0.2 * totalArea) return null;
+
+        const [u, v] = GeometryUtils.perpendicularBasis(axis);
+        const circle = this.fitNormalCenter(sideTriangles.map(({ centroid, normal, area }) => ({
+            point: [GeometryUtils.dot(centroid, u), GeometryUtils.dot(centroid, v)],
+            normal: [GeometryUtils.dot(normal, u), GeometryUtils.dot(normal, v)],
+            weight: area
+        })));
+        if (!circle || !(circle.radius > 0)) return null;
+
+        const axisPoint = GeometryUtils.add(GeometryUtils.scale(u, circle.center[0]), GeometryUtils.scale(v, circle.center[1]));
+        const distanceOf = (point) => {
+            const relative = GeometryUtils.sub(point, axisPoint);
+            const along = GeometryUtils.dot(relative, axis);
+            return GeometryUtils.length(GeometryUtils.sub(relative, GeometryUtils.scale(axis, along)));
+        };
+
+        const sideWeights = this.getVertexWeights(sideTriangles);
+        const sideIndices = [...sideWeights.keys()];
+        const binWidth = 0.01 * circle.radius;
+        const tolerance = 2 * binWidth;
+        const rings = this.selectWallRings(mesh, sideTriangles, this.findRings(
+            sideIndices.map(index => ({ distance: distanceOf(mesh.points[index]), weight: sideWeights.get(index) })),
+            binWidth
+        ), tolerance, distanceOf);
+        if (rings.length === 0) return null;
+
+        const outerRadius = rings[rings.length - 1].radius;
+        const innerRadius = rings[0].radius < outerRadius * 0.97 ? rings[0].radius : null;
+
+        // Parts of the surface that stick out of the cylinder (branches, flanges on a pipe)
+        const limit = outerRadius + tolerance;
+        let containedArea = 0;
+        for (const triangle of triangles) {
+            if (distanceOf(triangle.centroid) <= limit) {
+                containedArea += triangle.area;
+            }
+        }
+        const containedSide = sideTriangles.filter(triangle => distanceOf(triangle.centroid) <= limit);
+
+        let tMin = Infinity, tMax = -Infinity;
+        for (const index of this.getVertexWeights(triangles).keys()) {
+            const t = GeometryUtils.dot(mesh.points[index], axis);
+            tMin = Math.min(tMin, t);
+            tMax = Math.max(tMax, t);
+        }
+
+        return {
+            axis,
+            point: GeometryUtils.add(axisPoint, GeometryUtils.scale(axis, (tMin + tMax) / 2)),
+            outerRadius,
+            innerRadius,
+            length: tMax - tMin,
+            sideFraction: sideArea / totalArea,
+            inlierFraction: this.getRingInlierFraction(mesh, containedSide, rings, tolerance, distanceOf),
+            containment: containedArea / totalArea,
+            distanceOf
+        };
+    }
+
+    /**
+     * Score a straight pipe: long cylinder/tube whose surface is almost all wall
+     */
+    scorePipe(mesh, cylinder) {
+        if (cylinder.length < cylinder.outerRadius) return null;
+
+        const confidence = cylinder.inlierFraction * cylinder.containment * Math.min(1, cylinder.sideFraction / 0.6);
+        return {
+            type: 'Pipe',
+            confidence,
+            fit: {
+                axis: cylinder.axis,
+                center: this.toModelPoint(mesh, cylinder.point),
+                outerDiameter: 2 * cylinder.outerRadius * mesh.scale,
+                innerDiameter: cylinder.innerRadius ? 2 * cylinder.innerRadius * mesh.scale : null,
+                length: cylinder.length * mesh.scale
+            }
+        };
+    }
+
+    /**
+     * Score a flange: short wide annulus, strongly preferred when it has a bolt-hole pattern
+     */
+    scoreFlange(mesh, cylinder) {
+        if (cylinder.length >= cylinder.outerRadius || !cylinder.innerRadius) return null;
+
+        const boltHoles = this.findBoltHoles(mesh, cylinder);
+        const patternScore = boltHoles.count >= 3 ? 0.6 + 0.35 * boltHoles.regularity : 0.45;
+        // Bolt-hole walls are not on the rim or bore, so only part of the wall has to fit
+        const wallScore = Math.min(1, cylinder.inlierFraction / 0.5);
+        return {
+            type: 'Flange',
+            confidence: patternScore * wallScore * cylinder.containment,
+            fit: {
+                axis: cylinder.axis,
+                center: this.toModelPoint(mesh, cylinder.point),
+                outerDiameter: 2 * cylinder.outerRadius * mesh.scale,
+                innerDiameter: 2 * cylinder.innerRadius * mesh.scale,
+                thickness: cylinder.length * mesh.scale,
+                boltHoles: boltHoles.count,
+                boltCircleDiameter: boltHoles.count >= 3 ? 2 * boltHoles.radius * mesh.scale : null
+            }
+        };
+    }
+
+    /**
+     * Find axial holes between the bore and the rim of a flange
+     * @returns {Object} { count, radius, regularity } where regularity is 1 for evenly spaced holes
+     */
+    findBoltHoles(mesh, cylinder) {
+        const { axis, point, innerRadius, outerRadius } = cylinder;
+        const [u, v] = GeometryUtils.perpendicularBasis(axis);
+        const angles = [];
+        let radiusSum = 0;
+
+        for (const triangle of mesh.triangles) {
+            if (Math.abs(GeometryUtils.dot(triangle.normal, axis)) >= 0.3) continue;
+
+            const relative = GeometryUtils.sub(triangle.centroid, point);
+            const radial = GeometryUtils.sub(relative, GeometryUtils.scale(axis, GeometryUtils.dot(relative, axis)));
+            const distance = GeometryUtils.length(radial);
+            if (distance <= innerRadius * 1.03 || distance >= outerRadius * 0.97) continue;
+
+            // Walls of surfaces of revolution (hubs, raised faces) face radially; hole walls do not
+            const tangent = GeometryUtils.cross(axis, GeometryUtils.scale(radial, 1 / distance));
+            if (Math.abs(GeometryUtils.dot(triangle.normal, tangent)) < 0.2) continue;
+
+            angles.push(Math.atan2(GeometryUtils.dot(relative, v), GeometryUtils.dot(relative, u)));
+            radiusSum += distance;
+        }
+
+        if (angles.length < 3) return { count: 0, radius: 0, regularity: 0 };
+
+        // Holes show up as clusters of angles separated by the large gaps between them
+        angles.sort((a, b) => a - b);
+        const gaps = angles.map((angle, i) => (i === 0 ? angle + 2 * Math.PI - angles[angles.length - 1] : angle - angles[i - 1]));
+        const threshold = 0.5 * Math.max(...gaps);
+        const clusterStarts = gaps.map((gap, i) => (gap > threshold ? i : -1)).filter(i => i !== -1);
+        if (clusterStarts.length < 2) return { count: clusterStarts.length, radius: 0, regularity: 0 };
+
+        const clusterAngles = clusterStarts.map((start, c) => {
+            const end = c + 1 < clusterStarts.length ? clusterStarts[c + 1] : clusterStarts[0] + angles.length;
+            let sum = 0;
+            for (let i = start; i < end; i++) {
+                // Unwrap the cluster that straddles -π/π
+                sum += i < angles.length ? angles[i] : angles[i - angles.length] + 2 * Math.PI;
+            }
+            return sum / (end - start);
+        });
+        const spacings = clusterAngles.map((angle, i) =>
+            (i + 1 < clusterAngles.length ? clusterAngles[i + 1] : clusterAngles[0] + 2 * Math.PI) - angle);
+        const meanSpacing = (2 * Math.PI) / spacings.length;
+        const deviation = Math.sqrt(spacings.reduce((sum, spacing) => sum + (spacing - meanSpacing) ** 2, 0) / spacings.length);
+
+        return {
+            count: clusterStarts.length,
+            radius: radiusSum / angles.length,
+            regularity: Math.max(0, 1 - deviation / meanSpacing)
+        };
+    }
+
+    /**
+     * Score an elbow: a torus segment around the best-fitting bend axis, optionally with
+     * straight tangents at its ends
+     */
+    scoreElbow(mesh) {
+        let best = null;
+
+        for (const bendAxis of this.getBendAxes(mesh)) {
+            const torus = this.fitTorus(mesh, bendAxis);
+            if (!torus) continue;
+
+            const tangents = this.findTangents(mesh, torus);
+            const confidence = torus.inlierFraction + tangents.inlierFraction;
+            if (best && confidence <= best.confidence) continue;
+
+            best = {
+                type: 'Elbow',
+                confidence,
+                fit: {
+                    axis: torus.direction,
+                    center: this.toModelPoint(mesh, torus.center),
+                    bendRadius: torus.bendRadius * mesh.scale,
+                    bendAngle: torus.sweep * 180 / Math.PI,
+                    outerDiameter: 2 * torus.outerRadius * mesh.scale,
+                    innerDiameter: torus.innerRadius ? 2 * torus.innerRadius * mesh.scale : null,
+                    tangentLengths: tangents.lengths.map(length => length * mesh.scale)
+                }
+            };
+        }
+
+        return best;
+    }
+
+    /**
+     * Candidate bend axes. A tube with a planar centerline is mirror-symmetric about its
+     * bend plane, so the plane normal is one of the principal axes of the surface. Seen
+     * along that normal, torus wall normals point at the bend centre and tangent wall
+     * normals do not.
+     * @returns {Array} [{ direction, point }] in normalized units
+     */
+    getBendAxes(mesh) {
+        // Unique vertex positions, unweighted: triangle centroids and area weights both
+        // depend on how quads were split, which breaks the mirror symmetry
+        const positions = new Map();
+        for (const triangle of mesh.triangles) {
+            for (const index of triangle.indices) {
+                const point = mesh.points[index];
+                positions.set(point.map(value => value.toFixed(6)).join(','), point);
+            }
+        }
+
+        let mean = [0, 0, 0];
+        for (const point of positions.values()) {
+            mean = GeometryUtils.add(mean, GeometryUtils.scale(point, 1 / positions.size));
+        }
+
+        const covariance = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+        for (const point of positions.values()) {
+            const offset = GeometryUtils.sub(point, mean);
+            for (let j = 0; j < 3; j++) {
+                for (let k = 0; k < 3; k++) {
+                    covariance[j][k] += offset[j] * offset[k];
+                }
+            }
+        }
+
+        const axes = [];
+        for (const direction of GeometryUtils.eigenSymmetric(covariance).vectors) {
+            const [u, v] = GeometryUtils.perpendicularBasis(direction);
+            const bendCenter = this.fitNormalCenter(mesh.triangles.map(({ centroid, normal, area }) => ({
+                point: [GeometryUtils.dot(centroid, u), GeometryUtils.dot(centroid, v)],
+                normal: [GeometryUtils.dot(normal, u), GeometryUtils.dot(normal, v)],
+                weight: area
+            })));
+            if (bendCenter) {
+                axes.push({
+                    direction,
+                    point: GeometryUtils.add(GeometryUtils.scale(u, bendCenter.center[0]), GeometryUtils.scale(v, bendCenter.center[1]))
+                });
+            }
+        }
+
+        return axes;
+    }
+
+    /**
+     * Fit a torus segment around a fixed bend axis
+     * @returns {Object|null} { direction, center, u, v, bendRadius, outerRadius, innerRadius,
+     *   rings, tolerance, distanceOf, startAngle, sweep, onTorus, inlierFraction }
+     */
+    fitTorus(mesh, { direction, point }) {
+        // In the half-plane through the bend axis every tube cross-section is the same circle
+        const meridian = (vertex) => {
+            const relative = GeometryUtils.sub(vertex, point);
+            const height = GeometryUtils.dot(relative, direction);
+            const radial = GeometryUtils.sub(relative, GeometryUtils.scale(direction, height));
+            return [GeometryUtils.length(radial), height];
+        };
+        const tube = this.fitNormalCenter(mesh.triangles.map(({ centroid, normal, area }) => {
+            const relative = GeometryUtils.sub(centroid, point);
+            const radialDirection = GeometryUtils.normalize(
+                GeometryUtils.sub(relative, GeometryUtils.scale(direction, GeometryUtils.dot(relative, direction))));
+            return {
+                point: meridian(centroid),
+                normal: [GeometryUtils.dot(normal, radialDirection), GeometryUtils.dot(normal, direction)],
+                weight: area
+            };
+        }));
+        if (!tube || !(tube.radius > 0)) return null;
+
+        const [bendRadius, bendHeight] = tube.center;
+        const distanceOf = (vertex) => {
+            const [radial, height] = meridian(vertex);
+            return Math.hypot(radial - bendRadius, height - bendHeight);
+        };
+
+        const weights = this.getVertexWeights(mesh.triangles);
+        const binWidth = 0.01 * tube.radius;
+        const tolerance = 2 * binWidth;
+        const rings = this.selectWallRings(mesh, mesh.triangles, this.findRings([...weights.keys()].map(index => ({
+            distance: distanceOf(mesh.points[index]),
+            weight: weights.get(index)
+        })), binWidth), tolerance, distanceOf);
+        if (rings.length === 0) return null;
+
+        const outerRadius = rings[rings.length - 1].radius;
+        const innerRadius = rings[0].radius < outerRadius * 0.97 ? rings[0].radius : null;
+        if (bendRadius <= outerRadius) return null;
+
+        const onTorus = new Set();
+        let inlierArea = 0;
+        mesh.triangles.forEach((triangle, i) => {
+            if (this.getTriangleRing(mesh, triangle, rings, tolerance, distanceOf) !== -1) {
+                onTorus.add(i);
+                inlierArea += triangle.area;
+            }
+        });
+
+        // The bend angle comes from the torus surface only, not from tangents or end faces
+        const [u, v] = GeometryUtils.perpendicularBasis(direction);
+        const angleSamples = [];
+        for (const i of onTorus) {
+            const triangle = mesh.triangles[i];
+            for (const index of triangle.indices) {
+                const relative = GeometryUtils.sub(mesh.points[index], point);
+                angleSamples.push({
+                    angle: Math.atan2(GeometryUtils.dot(relative, v), GeometryUtils.dot(relative, u)),
+                    weight: triangle.area / 3
+                });
+            }
+        }
+        const { start, sweep } = this.getDenseAngularRange(angleSamples);
+        // Nearly straight or closed rings are not bends
+        if (sweep < Math.PI / 36 || sweep > Math.PI * 5 / 3) return null;
+
+        return {
+            direction,
+            center: GeometryUtils.add(point, GeometryUtils.scale(direction, bendHeight)),
+            u,
+            v,
+            bendRadius,
+            outerRadius,
+            innerRadius,
+            rings,
+            tolerance,
+            distanceOf,
+            startAngle: start,
+            sweep,
+            onTorus,
+            inlierFraction: inlierArea / mesh.totalArea
+        };
+    }
+
+    /**
+     * Angular range of weighted samples, ignoring sparse stragglers at either end (a few
+     * tangent triangles close to the bend also lie within tolerance of the torus)
+     * @returns {Object} { start, sweep }
+     */
+    getDenseAngularRange(samples) {
+        const { start, sweep } = GeometryUtils.angularRange(samples.map(sample => sample.angle));
+        if (sweep === 0) return { start, sweep };
+
+        const offsets = samples.map(({ angle }) => (((angle - start) % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI));
+        const binCount = Math.max(1, Math.ceil(sweep / (Math.PI / 180)));
+        const binOf = (offset) => Math.min(binCount - 1, Math.floor(offset / sweep * binCount));
+        const bins = new Array(binCount).fill(0);
+        samples.forEach((sample, i) => {
+            bins[binOf(offsets[i])] += sample.weight;
+        });
+
+        const filled = bins.filter(weight => weight > 0).sort((a, b) => a - b);
+        const threshold = 0.2 * GeometryUtils.percentile(filled, 0.5);
+        const first = bins.findIndex(weight => weight >= threshold);
+        const last = binCount - 1 - bins.slice().reverse().findIndex(weight => weight >= threshold);
+
+        let minOffset = Infinity, maxOffset = -Infinity;
+        offsets.forEach(offset => {
+            const bin = binOf(offset);
+            if (bin >= first && bin <= last) {
+                minOffset = Math.min(minOffset, offset);
+                maxOffset = Math.max(maxOffset, offset);
+            }
+        });
+
+        return { start: start + minOffset, sweep: maxOffset - minOffset };
+    }
+
+    /**
+     * Find straight tangents continuing the tube at either end of a torus segment
+     * @returns {Object} { inlierFraction, lengths } with one length per end (0 without tangent)
+     */
+    findTangents(mesh, torus) {
+        const { direction, center, u, v, bendRadius, rings, tolerance } = torus;
+        const claimed = new Set(torus.onTorus);
+        let inlierArea = 0;
+
+        const lengths = [torus.startAngle, torus.startAngle + torus.sweep].map((angle, end) => {
+            const radial = GeometryUtils.add(GeometryUtils.scale(u, Math.cos(angle)), GeometryUtils.scale(v, Math.sin(angle)));
+            // Angles increase towards the end of the arc, so the start tangent points backwards
+            const tangent = GeometryUtils.scale(GeometryUtils.cross(direction, radial), end === 0 ? -1 : 1);
+            const origin = GeometryUtils.add(center, GeometryUtils.scale(radial, bendRadius));
+            const along = (vertex) => GeometryUtils.dot(GeometryUtils.sub(vertex, origin), tangent);
+            const distanceOf = (vertex) => {
+                const relative = GeometryUtils.sub(vertex, origin);
+                return GeometryUtils.length(GeometryUtils.sub(relative, GeometryUtils.scale(tangent, GeometryUtils.dot(relative, tangent))));
+            };
+
+            let length = 0;
+            mesh.triangles.forEach((triangle, i) => {
+                if (claimed.has(i)) return;
+                const positions = triangle.indices.map(index => along(mesh.points[index]));
+                if (positions.some(position => position < -tolerance)) return;
+                if (this.getTriangleRing(mesh, triangle, rings, tolerance, distanceOf) === -1) return;
+
+                claimed.add(i);
+                inlierArea += triangle.area;
+                length = Math.max(length, ...positions);
+            });
+            return length;
+        });
+
+        return { inlierFraction: inlierArea / mesh.totalArea, lengths };
+    }
+
+    /**
+     * Score a tee: a run cylinder with one branch cylinder leaving it on one side
+     */
+    scoreTee(mesh, runAxis) {
+        const run = this.fitCylinder(mesh, mesh.triangles, runAxis);
+        if (!run || run.containment > 0.95 || run.containment < 0.4) return null;
+
+        const limit = run.outerRadius * 1.05;
+        const outside = mesh.triangles.filter(triangle => run.distanceOf(triangle.centroid) > limit);
+        if (outside.length < 3) return null;
+
+        const branch = this.fitCylinder(mesh, outside, this.getNormalAxes(outside)[0]);
+        if (!branch || Math.abs(GeometryUtils.dot(branch.axis, run.axis)) > 0.9) return null;
+
+        // The branch axis has to meet the run axis
+        const common = GeometryUtils.normalize(GeometryUtils.cross(run.axis, branch.axis));
+        const offset = Math.abs(GeometryUtils.dot(GeometryUtils.sub(branch.point, run.point), common));
+        if (offset > run.outerRadius) return null;
+
+        // Three ports: everything outside the run lies on one side of it
+        let positiveArea = 0, negativeArea = 0;
+        for (const triangle of outside) {
+            const side = GeometryUtils.dot(GeometryUtils.sub(triangle.centroid, run.point), branch.axis);
+            if (side >= 0) positiveArea += triangle.area;
+            else negativeArea += triangle.area;
+        }
+        if (Math.min(positiveArea, negativeArea) > 0.1 * (positiveArea + negativeArea)) return null;
+
+        return {
+            type: 'Tee',
+            confidence: Math.sqrt(run.inlierFraction * branch.inlierFraction) * Math.min(1, (run.sideFraction + branch.sideFraction) / 1.2),
+            fit: {
+                axis: run.axis,
+                branchAxis: branch.axis,
+                center: this.toModelPoint(mesh, run.point),
+                outerDiameter: 2 * run.outerRadius * mesh.scale,
+                innerDiameter: run.innerRadius ? 2 * run.innerRadius * mesh.scale : null,
+                branchOuterDiameter: 2 * branch.outerRadius * mesh.scale,
+                branchInnerDiameter: branch.innerRadius ? 2 * branch.innerRadius * mesh.scale : null,
+                ports: 3
+            }
+        };
+    }
+
+    /**
+     * Map a normalized point back to model coordinates
+     */
+    toModelPoint(mesh, point) {
+        return GeometryUtils.add(GeometryUtils.scale(point, mesh.scale), mesh.origin);
+    }
+}
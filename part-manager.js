@@ -14,18 +14,36 @@ class PartManager {
         this.partMeshes = new Map();
         this.partLabels = new Map();
         this.selectedPart = null;
+        this.selectedParts = new Set(); // Parts selected one by one (click, shift/ctrl-click, box select); selectedPart is the last
         this.visibleParts = new Set();
         this.highlightedParts = new Set();
         this.sectionPlanes = new Map();
         this.sectionHelpers = new Map();
         this.crossSections = new Map();
-        this.sectionedPartId = null; // Track which part is being sectioned
+        this.sectionedPartIds = new Set(); // Parts being sectioned; they share one cutting plane
         this.showCuttingPlane = true; // Track cutting plane visibility
         this.videoSequences = new Map(); // Store video sequences for parts
         this.currentVideo = null; // Current playing video
         this.videoPanel = null; // 3D video panel in scene
+        this.mergeCandidates = new Set(); // Parts ticked in the parts list for merging
+        this.onMergeParts = null; // Callback that builds the merged part: (partIds) => void
+        this.selectedAssembly = null; // Path of the selected sub-assembly, if any
+        this.isolatedAssembly = null; // Path key of the isolated sub-assembly, if any
+        this.collapsedAssemblies = new Set(); // Path keys of sub-assemblies folded in the parts list
+        this.expandedInstances = new Set(); // Definition part numbers whose instances are listed one by one
+        this.connectivityGraph = null; // Which parts connect (ConnectivityGraph); the viewer builds it
+        this.selectedGroup = null; // { partIds, label } of a connected selection (run or path), if any
+        this.runSource = null; // Part the upstream/downstream runs start from; defaults per network
+        this.pathStart = null; // Start of a shortest path while waiting for the click on its end
+        this.jointMarkers = new Map(); // Joint number -> clickable marker sprite (see createJointMarker)
+        this.boxSelection = null; // { x, y, toggle, element } while a selection box is dragged
+        this.suppressClick = false; // The click ending a box drag is not a part click
+        this.pickHandler = null; // While measuring or placing a note, gets the clicks instead of selection: (clickedPart) => void
+        this.notePins = new Map(); // Review note number -> clickable pin sprite (see createNotePin)
+        this.onNoteClick = null; // Callback for a click on a note pin: (note) => void
         
         this.originalMaterials = new Map();
+        this.ownMaterials = new Map(); // Part ID -> material(s) cloned in addPart; shared materials set later belong to the viewer
         this.highlightMaterial = new THREE.MeshBasicMaterial({ 
             color: 0x00ff00, 
             transparent: true, 
@@ -39,12 +57,16 @@ class PartManager {
             transparent: true, 
             opacity: 0.1 
         });
+        this.ghostMaterial = this.hiddenMaterial; // Material for ghosted parts; the viewer shares its own
         
         this.raycaster = new THREE.Raycaster();
         this.mouse = new THREE.Vector2();
         
         this.handleClick = this.handleClick.bind(this);
         this.handleMouseMove = this.handleMouseMove.bind(this);
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
         this.setupEventListeners();
         
         // Initialize video controls to disabled state
@@ -70,7 +92,10 @@ class PartManager {
         this.visibleParts.add(partId);
         
         if (mesh.material) {
-            this.originalMaterials.set(partId, mesh.material.clone());
+            const material = Array.isArray(mesh.material) ?
+                mesh.material.map(material => material.clone()) : mesh.material.clone();
+            this.originalMaterials.set(partId, material);
+            this.ownMaterials.set(partId, material);
         }
         
         this.createPartLabel(partId, partData);
@@ -78,6 +103,80 @@ class PartManager {
         console.log(`✅ Part added to manager: ${partId} (${partData.name})`);
     }
 
+    /**
+     * Remove a part, its mesh and its label from the manager and the scene
+     */
+    removePart(partId) {
+        const part = this.parts.get(partId);
+        if (!part) return;
+
+        if (this.selectedParts.has(partId)) {
+            this.deselectPart(partId);
+            this.selectedParts.delete(partId);
+            if (this.selectedPart === partId) {
+                this.selectedPart = [...this.selectedParts].pop() || null;
+            }
+        }
+        if (this.selectedGroup && this.selectedGroup.partIds.includes(partId)) {
+            this.deselectPartGroup();
+        }
+        if (this.hasSectionPlane(partId)) {
+            this.removeSectionPlane(partId);
+        }
+
+        if (part.mesh.parent) {
+            part.mesh.parent.remove(part.mesh);
+        }
+        part.mesh.geometry.dispose();
+
+        const label = this.partLabels.get(partId);
+        if (label) {
+            this.scene.remove(label);
+            label.material.map.dispose();
+            label.material.dispose();
+        }
+
+        const ownMaterial = this.ownMaterials.get(partId);
+        if (ownMaterial) {
+            [].concat(ownMaterial).forEach(material => material.dispose());
+        }
+
+        this.parts.delete(partId);
+        this.partMeshes.delete(partId);
+        this.partLabels.delete(partId);
+        this.originalMaterials.delete(partId);
+        this.ownMaterials.delete(partId);
+        this.visibleParts.delete(partId);
+        this.highlightedParts.delete(partId);
+        this.mergeCandidates.delete(partId);
+        console.log(`🗑️ Part removed from manager: ${partId}`);
+    }
+
+    /**
+     * Tick or untick a part for merging
+     */
+    toggleMergeCandidate(partId) {
+        if (this.mergeCandidates.has(partId)) {
+            this.mergeCandidates.delete(partId);
+        } else {
+            this.mergeCandidates.add(partId);
+        }
+        this.updatePartsList();
+    }
+
+    /**
+     * Merge the ticked parts into one logical part. Building the merged geometry is left
+     * to onMergeParts, which has access to the analyzed part records.
+     */
+    mergeSelectedParts() {
+        const partIds = Array.from(this.mergeCandidates).filter(partId => this.parts.has(partId));
+        if (partIds.length < 2 || !this.onMergeParts) return;
+
+        this.mergeCandidates.clear();
+        this.onMergeParts(partIds);
+        this.updateUI();
+    }
+
     /**
      * Create a floating part number label
      */
@@ -128,12 +227,152 @@ class PartManager {
         this.partLabels.set(partId, sprite);
     }
 
+    /**
+     * Create a clickable marker for a pipe joint, drawn on top of the parts at the joint location
+     * @param {Object} joint - Joint from JointRegister.build
+     * @param {Object} options - { caption, color, parent, size }: second line of text, CSS background
+     *   colour, object the marker is added to (the joint location is in its coordinates) and width
+     */
+    createJointMarker(joint, { caption, color, parent, size }) {
+        const canvas = document.createElement('canvas');
+        const context = canvas.getContext('2d');
+        canvas.width = 128;
+        canvas.height = 64;
+
+        context.fillStyle = color;
+        context.fillRect(0, 0, canvas.width, canvas.height);
+
+        context.strokeStyle = 'white';
+        context.lineWidth = 2;
+        context.strokeRect(1, 1, canvas.width - 2, canvas.height - 2);
+
+        context.fillStyle = 'white';
+        context.font = 'bold 14px Arial';
+        context.textAlign = 'center';
+        context.fillText(joint.number, canvas.width / 2, 25);
+
+        context.font = '10px Arial';
+        context.fillText(caption, canvas.width / 2, 45);
+
+        const texture = new THREE.CanvasTexture(canvas);
+        const spriteMaterial = new THREE.SpriteMaterial({
+            map: texture,
+            transparent: true,
+            alphaTest: 0.1,
+            depthTest: false
+        });
+
+        const sprite = new THREE.Sprite(spriteMaterial);
+        sprite.scale.set(size, size / 2, 1);
+        sprite.position.set(joint.location.x, joint.location.y, joint.location.z);
+        sprite.renderOrder = 999;
+        sprite.userData = { joint, type: 'joint' };
+        parent.add(sprite);
+
+        this.jointMarkers.set(joint.number, sprite);
+    }
+
+    /**
+     * Remove every joint marker
+     */
+    clearJointMarkers() {
+        for (const sprite of this.jointMarkers.values()) {
+            sprite.parent.remove(sprite);
+            sprite.material.map.dispose();
+            sprite.material.dispose();
+        }
+        this.jointMarkers.clear();
+    }
+
+    /**
+     * Pin a review note to its point: a numbered round pin standing off the surface along its normal,
+     * coloured by status and hidden while its part is hidden
+     * @param {Object} note - Note from ReviewNotes
+     * @param {Object} options
+     * @param {Array} options.point - Surface point in the parent's coordinates
+     * @param {string} options.color - CSS colour of the pin
+     * @param {THREE.Object3D} options.parent - Object the pin is added to (the model group)
+     * @param {number} options.size - Pin height in the parent's units
+     */
+    createNotePin(note, { point, color, parent, size }) {
+        const canvas = document.createElement('canvas');
+        const context = canvas.getContext('2d');
+        canvas.width = 64;
+        canvas.height = 96;
+
+        // Round head with the number, and a point below it that touches the surface
+        context.fillStyle = color;
+        context.strokeStyle = 'white';
+        context.lineWidth = 3;
+        context.beginPath();
+        context.moveTo(32, 94);
+        context.arc(32, 32, 28, Math.PI * 0.85, Math.PI * 0.15);
+        context.closePath();
+        context.fill();
+        context.stroke();
+
+        context.fillStyle = 'white';
+        context.font = 'bold 26px Arial';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(String(note.number), 32, 33, 50);
+
+        const texture = new THREE.CanvasTexture(canvas);
+        const spriteMaterial = new THREE.SpriteMaterial({
+            map: texture,
+            transparent: true,
+            alphaTest: 0.1,
+            depthTest: false
+        });
+
+        // Anchored at the tip, lifted a little off the surface so it is not inside the part
+        const sprite = new THREE.Sprite(spriteMaterial);
+        sprite.center.set(0.5, 0);
+        sprite.scale.set(size * 2 / 3, size, 1);
+        sprite.position.set(...point).addScaledVector(new THREE.Vector3(...note.normal), size * 0.05);
+        sprite.renderOrder = 1000;
+        sprite.userData = { note, type: 'note' };
+
+        const part = this.parts.get(note.partNumber);
+        sprite.visible = !part || !part.isHidden;
+        parent.add(sprite);
+
+        this.notePins.set(note.number, sprite);
+    }
+
+    /**
+     * Show or hide the note pins of a part along with it
+     */
+    setNotePinsVisible(partId, visible) {
+        for (const pin of this.notePins.values()) {
+            if (pin.userData.note.partNumber === partId) {
+                pin.visible = visible;
+            }
+        }
+    }
+
+    /**
+     * Remove every note pin
+     */
+    clearNotePins() {
+        for (const sprite of this.notePins.values()) {
+            sprite.parent.remove(sprite);
+            sprite.material.map.dispose();
+            sprite.material.dispose();
+        }
+        this.notePins.clear();
+    }
+
     /**
      * Setup event listeners for part interaction
      */
     setupEventListeners() {
         this.renderer.domElement.addEventListener('click', this.handleClick);
         this.renderer.domElement.addEventListener('mousemove', this.handleMouseMove);
+        // Captured so a shift/ctrl drag selects instead of reaching the orbit controls, which pan on it
+        this.renderer.domElement.addEventListener('pointerdown', this.handlePointerDown, { capture: true });
+        window.addEventListener('pointermove', this.handlePointerMove);
+        window.addEventListener('pointerup', this.handlePointerUp);
     }
 
     /**
@@ -187,27 +426,147 @@ class PartManager {
      * Handle mouse click events
      */
     handleClick(event) {
+        // While measuring or placing a note, clicks are picks for it, also in sectioning mode
+        if (this.pickHandler) {
+            this.pickHandler(this.getClickedPart(event));
+            return;
+        }
+        
         // If in sectioning mode, do absolutely nothing - don't process any clicks
         if (this.isInSectioningMode()) {
             console.log(`🔒 In sectioning mode - ignoring all clicks`);
             return;
         }
         
+        if (this.suppressClick) {
+            this.suppressClick = false;
+            return;
+        }
+        
         const part = this.getClickedPart(event);
         
-        if (part) {
+        if (part && part.note) {
+            console.log(`🖱️ Clicked on note: ${part.note.number}`);
+            if (this.onNoteClick) {
+                this.onNoteClick(part.note);
+            }
+        } else if (part && part.joint && !this.pathStart) {
+            console.log(`🖱️ Clicked on joint: ${part.joint.number}`);
+            this.selectJoint(part.joint);
+        } else if (part && this.pathStart) {
+            console.log(`🖱️ Clicked on path end: ${part.partId}`);
+            this.selectPath(this.pathStart, part.partId);
+        } else if (part) {
             console.log(`🖱️ Clicked on part: ${part.partId}`);
-            this.selectPart(part.partId);
-        } else {
+            this.selectWithModifiers(part.partId, event);
+        } else if (!event.shiftKey && !event.ctrlKey && !event.metaKey) {
             console.log(`🖱️ Clicked outside - deselecting all parts`);
             this.deselectAllParts();
         }
     }
 
+    /**
+     * Select a clicked part: shift adds it to the selection, ctrl (cmd on Mac) toggles it
+     */
+    selectWithModifiers(partId, event) {
+        if (event.shiftKey) {
+            this.selectParts([partId], { add: true });
+        } else if (event.ctrlKey || event.metaKey) {
+            this.toggleSelection(partId);
+        } else {
+            this.selectPart(partId);
+        }
+    }
+
+    /**
+     * Start a selection box when the left button goes down with shift or ctrl held
+     */
+    handlePointerDown(event) {
+        this.suppressClick = false; // A box drag that ended off the canvas never got its click
+        if (event.button !== 0 || !(event.shiftKey || event.ctrlKey || event.metaKey) || this.isInSectioningMode()) return;
+        event.stopImmediatePropagation();
+
+        const element = document.createElement('div');
+        element.className = 'selection-box';
+        element.style.display = 'none';
+        document.body.appendChild(element);
+        this.boxSelection = { x: event.clientX, y: event.clientY, toggle: !event.shiftKey, element };
+    }
+
+    /**
+     * Stretch the selection box to the pointer
+     */
+    handlePointerMove(event) {
+        if (!this.boxSelection) return;
+
+        const { x, y, element } = this.boxSelection;
+        Object.assign(element.style, {
+            display: 'block',
+            left: `${Math.min(x, event.clientX)}px`,
+            top: `${Math.min(y, event.clientY)}px`,
+            width: `${Math.abs(event.clientX - x)}px`,
+            height: `${Math.abs(event.clientY - y)}px`
+        });
+    }
+
+    /**
+     * Select the parts in the box; a drag of a few pixels is a click and left to handleClick
+     */
+    handlePointerUp(event) {
+        if (!this.boxSelection) return;
+
+        const { x, y, toggle, element } = this.boxSelection;
+        element.remove();
+        this.boxSelection = null;
+        if (Math.abs(event.clientX - x) < 4 && Math.abs(event.clientY - y) < 4) return;
+
+        this.suppressClick = true;
+        const partIds = this.getPartsInRect(
+            { left: Math.min(x, event.clientX), top: Math.min(y, event.clientY), right: Math.max(x, event.clientX), bottom: Math.max(y, event.clientY) });
+        this.selectInBox(partIds, toggle);
+        console.log(`🔲 Box selected ${partIds.length} parts`);
+    }
+
+    /**
+     * Add the parts in a selection box to the selection, or toggle each of them
+     */
+    selectInBox(partIds, toggle) {
+        if (toggle) {
+            partIds.forEach(partId => this.toggleSelection(partId));
+        } else if (partIds.length > 0) {
+            this.selectParts(partIds, { add: true });
+        }
+    }
+
+    /**
+     * Visible parts whose bounding box centre lies inside a rectangle in client (page) pixels
+     */
+    getPartsInRect(rect) {
+        const canvasRect = this.renderer.domElement.getBoundingClientRect();
+        const partIds = [];
+        for (const [partId, mesh] of this.partMeshes) {
+            if (this.parts.get(partId).isHidden) continue;
+
+            const center = new THREE.Box3().setFromObject(mesh).getCenter(new THREE.Vector3()).project(this.camera);
+            if (center.z < -1 || center.z > 1) continue;
+
+            const x = canvasRect.left + (center.x + 1) / 2 * canvasRect.width;
+            const y = canvasRect.top + (1 - center.y) / 2 * canvasRect.height;
+            if (x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom) {
+                partIds.push(partId);
+            }
+        }
+        return partIds;
+    }
+
     /**
      * Handle mouse move events for hover effects
      */
     handleMouseMove(event) {
+        if (this.pickHandler) {
+            this.renderer.domElement.style.cursor = 'crosshair';
+            return;
+        }
         const part = this.getClickedPart(event);
         this.renderer.domElement.style.cursor = part ? 'pointer' : 'default';
     }
@@ -216,7 +575,7 @@ class PartManager {
      * Check if we're currently in sectioning mode
      */
     isInSectioningMode() {
-        return this.sectionedPartId !== null;
+        return this.sectionedPartIds.size > 0;
     }
     
     /**
@@ -224,10 +583,10 @@ class PartManager {
      */
     maintainSectioningIsolation() {
         if (this.isInSectioningMode()) {
-            console.log(`🔒 Maintaining sectioning isolation for part: ${this.sectionedPartId}`);
-            // Hide all parts except the sectioned part
+            console.log(`🔒 Maintaining sectioning isolation for parts: ${[...this.sectionedPartIds].join(', ')}`);
+            // Hide all parts except the sectioned parts
             for (const [id, mesh] of this.partMeshes) {
-                if (id !== this.sectionedPartId) {
+                if (!this.sectionedPartIds.has(id)) {
                     mesh.visible = false;
                     console.log(`   Hiding part: ${id}`);
                 } else {
@@ -237,7 +596,7 @@ class PartManager {
                 }
             }
         } else {
-            console.log(`🔓 Not in sectioning mode, sectionedPartId: ${this.sectionedPartId}`);
+            console.log(`🔓 Not in sectioning mode`);
         }
     }
     
@@ -245,7 +604,7 @@ class PartManager {
      * Force sectioning mode - this should never be lost
      */
     forceSectioningMode(partId) {
-        this.sectionedPartId = partId;
+        this.sectionedPartIds.add(partId);
         console.log(`🔧 FORCED sectioning mode for part: ${partId}`);
         this.maintainSectioningIsolation();
     }
@@ -259,13 +618,7 @@ class PartManager {
         
         // Debug: Log sectioning state every 60 frames (about once per second)
         if (Math.random() < 0.016) { // ~1/60 chance
-            console.log(`🔄 Frame update - sectioning mode: ${this.isInSectioningMode()}, sectionedPartId: ${this.sectionedPartId}`);
-        }
-        
-        // BULLETPROOF: If we have a sectioned part but sectioning mode is false, force it back
-        if (this.sectionedPartId && !this.isInSectioningMode()) {
-            console.log(`🚨 BULLETPROOF: Restoring sectioning mode for part: ${this.sectionedPartId}`);
-            this.forceSectioningMode(this.sectionedPartId);
+            console.log(`🔄 Frame update - sectioning mode: ${this.isInSectioningMode()}, sectioned parts: ${this.sectionedPartIds.size}`);
         }
     }
     
@@ -279,6 +632,19 @@ class PartManager {
         
         this.raycaster.setFromCamera(this.mouse, this.camera);
         
+        // Note pins and joint markers are drawn on top of the parts, so they are hit first; pins of hidden parts are not
+        const pinIntersects = this.raycaster.intersectObjects(Array.from(this.notePins.values()).filter(pin => pin.visible));
+        if (pinIntersects.length > 0) {
+            const note = pinIntersects[0].object.userData.note;
+            return { partId: note.partNumber, mesh: null, note, intersection: pinIntersects[0] };
+        }
+
+        const jointIntersects = this.raycaster.intersectObjects(Array.from(this.jointMarkers.values()));
+        if (jointIntersects.length > 0) {
+            const joint = jointIntersects[0].object.userData.joint;
+            return { partId: joint.partA, mesh: null, joint, intersection: jointIntersects[0] };
+        }
+        
         const partMeshes = Array.from(this.partMeshes.values());
         const intersects = this.raycaster.intersectObjects(partMeshes, true);
         
@@ -306,11 +672,20 @@ class PartManager {
      * Select a part
      */
     selectPart(partId) {
-        if (this.selectedPart && this.selectedPart !== partId) {
-            this.deselectPart(this.selectedPart);
+        if (this.selectedAssembly) {
+            this.deselectAssembly();
         }
+        if (this.selectedGroup) {
+            this.deselectPartGroup();
+        }
+        this.selectedParts.forEach(id => {
+            if (id !== partId) {
+                this.deselectPart(id);
+            }
+        });
         
         this.selectedPart = partId;
+        this.selectedParts = new Set([partId]);
         const part = this.parts.get(partId);
         
         if (part) {
@@ -347,12 +722,88 @@ class PartManager {
         this.maintainSectioningIsolation();
     }
 
+    /**
+     * Select several parts one by one, e.g. from a selection box or by type. A selected
+     * sub-assembly or part group becomes single parts so that parts can be added to it.
+     * @param {Array} partIds - Parts to select; the last becomes the part shown in the info overlay
+     * @param {Object} [options]
+     * @param {boolean} [options.add] - Keep the current selection and add the parts to it
+     */
+    selectParts(partIds, { add = false } = {}) {
+        const keep = add ? this.getSelectedPartIds() : [];
+        if (this.selectedAssembly) {
+            this.deselectAssembly();
+        }
+        if (this.selectedGroup) {
+            this.deselectPartGroup();
+        }
+
+        const selection = new Set([...keep, ...partIds].filter(partId => this.parts.has(partId)));
+        this.selectedParts.forEach(partId => {
+            if (!selection.has(partId)) {
+                this.deselectPart(partId);
+            }
+        });
+        selection.forEach(partId => {
+            this.parts.get(partId).isSelected = true;
+            this.highlightPart(partId);
+        });
+
+        this.selectedParts = selection;
+        this.selectedPart = [...partIds].reverse().find(partId => selection.has(partId)) || [...selection].pop() || null;
+        if (this.selectedPart) {
+            this.showPartInfo(this.parts.get(this.selectedPart));
+        }
+        this.updateUI();
+
+        console.log(`🎯 Parts selected: ${selection.size}`);
+        this.maintainSectioningIsolation();
+    }
+
+    /**
+     * Add a part to the selection, or take it out when it is already selected
+     */
+    toggleSelection(partId) {
+        const selected = this.getSelectedPartIds();
+        if (selected.includes(partId)) {
+            this.selectParts(selected.filter(id => id !== partId));
+        } else {
+            this.selectParts([partId], { add: true });
+        }
+    }
+
+    /**
+     * Select every part of a type (see findPartsByType)
+     */
+    selectPartsByType(type, options) {
+        this.selectParts(this.findPartsByType(type).map(part => part.partNumber), options);
+    }
+
+    /**
+     * Hide every selected part and clear the selection
+     */
+    hideSelectedParts() {
+        const partIds = this.getSelectedPartIds();
+        this.deselectAllParts();
+        partIds.forEach(partId => this.hidePart(partId));
+        this.updateUI();
+        console.log(`🙈 Hid ${partIds.length} parts`);
+    }
+
     /**
      * Deselect all parts
      */
     deselectAllParts() {
-        if (this.selectedPart) {
-            this.deselectPart(this.selectedPart);
+        this.pathStart = null;
+        if (this.selectedAssembly) {
+            this.deselectAssembly();
+        }
+        if (this.selectedGroup) {
+            this.deselectPartGroup();
+        }
+        if (this.selectedParts.size > 0) {
+            this.selectedParts.forEach(partId => this.deselectPart(partId));
+            this.selectedParts.clear();
             this.selectedPart = null;
             this.updateUI();
         }
@@ -387,7 +838,7 @@ class PartManager {
         if (part && mesh && part.isHighlighted) {
             part.isHighlighted = false;
             this.highlightedParts.delete(partId);
-            const originalMaterial = this.originalMaterials.get(partId);
+            const originalMaterial = part.isGhosted ? this.ghostMaterial : this.originalMaterials.get(partId);
             if (originalMaterial) {
                 mesh.material = originalMaterial;
             }
@@ -395,6 +846,20 @@ class PartManager {
         }
     }
 
+    /**
+     * Replace the material a part returns to when it is no longer highlighted
+     */
+    setOriginalMaterial(partId, material) {
+        const part = this.parts.get(partId);
+        const mesh = this.partMeshes.get(partId);
+        if (!part || !mesh) return;
+
+        this.originalMaterials.set(partId, material);
+        if (!part.isHighlighted && !part.isGhosted) {
+            mesh.material = material;
+        }
+    }
+
     /**
      * Create highlight2Material dynamically based on hdpeMaterial
      */
@@ -875,22 +1340,39 @@ class PartManager {
      */
     isolatePart(partId) {
         console.log(`🔍 Isolating part: ${partId}`);
+        this.isolatePartGroup([partId]);
+    }
+
+    /**
+     * Isolate several parts together (hide all others), e.g. the two parts of a clash
+     */
+    isolatePartGroup(partIds) {
+        this.isolateParts(partIds);
+        this.isolatedAssembly = null;
+        this.updatePartInfoOverlayForIsolation();
+        this.updateUI();
+    }
+
+    /**
+     * Hide every part except the given ones, remembering visibility for showAllParts
+     */
+    isolateParts(partIds) {
+        const keep = new Set(partIds);
         
-        this.preIsolationState = new Map();
-        for (const [id, part] of this.parts) {
-            this.preIsolationState.set(id, part.isHidden);
+        if (!this.preIsolationState) {
+            this.preIsolationState = new Map();
+            for (const [id, part] of this.parts) {
+                this.preIsolationState.set(id, part.isHidden);
+            }
         }
         
-        for (const [id, part] of this.parts) {
-            if (id !== partId) {
-                this.hidePart(id);
-            } else {
+        for (const id of this.parts.keys()) {
+            if (keep.has(id)) {
                 this.showPart(id);
+            } else {
+                this.hidePart(id);
             }
         }
-        
-        this.updatePartInfoOverlayForIsolation();
-        this.updateUI();
     }
 
     /**
@@ -920,11 +1402,13 @@ class PartManager {
                     this.showPart(partId);
                 }
             }
+            this.preIsolationState = null;
         } else {
             for (const [partId] of this.parts) {
                 this.showPart(partId);
             }
         }
+        this.isolatedAssembly = null;
         
         const isolateBtn = document.getElementById('isolatePart');
         const showAllBtn = document.getElementById('showAllPartsBtn');
@@ -953,6 +1437,7 @@ class PartManager {
             if (label) {
                 label.visible = false;
             }
+            this.setNotePinsVisible(partId, false);
         }
     }
 
@@ -972,6 +1457,7 @@ class PartManager {
             if (label) {
                 label.visible = true;
             }
+            this.setNotePinsVisible(partId, true);
         }
     }
 
@@ -989,6 +1475,391 @@ class PartManager {
         }
     }
 
+    /**
+     * Ghost or unghost a part; ghosted parts stay visible but see-through
+     */
+    setPartGhosted(partId, ghosted) {
+        const part = this.parts.get(partId);
+        const mesh = this.partMeshes.get(partId);
+        if (!part || !mesh) return;
+
+        part.isGhosted = ghosted;
+        if (!part.isHighlighted) {
+            mesh.material = ghosted ? this.ghostMaterial : this.originalMaterials.get(partId);
+        }
+    }
+
+    /**
+     * Build the sub-assembly tree from the parts' assembly paths
+     * @returns {Object} Root node; every node is { name, path, children, partIds } where
+     *   children are sub-assembly nodes and partIds the parts directly in that node
+     */
+    getAssemblyTree() {
+        const root = { name: null, path: [], children: [], partIds: [] };
+        const nodes = new Map([['', root]]);
+
+        for (const [partId, part] of this.parts) {
+            let node = root;
+            (part.assemblyPath || []).forEach((name, depth) => {
+                const path = part.assemblyPath.slice(0, depth + 1);
+                const key = this.getAssemblyKey(path);
+                if (!nodes.has(key)) {
+                    const child = { name, path, children: [], partIds: [] };
+                    nodes.set(key, child);
+                    node.children.push(child);
+                }
+                node = nodes.get(key);
+            });
+            node.partIds.push(partId);
+        }
+
+        return root;
+    }
+
+    /**
+     * Key identifying a sub-assembly path
+     */
+    getAssemblyKey(path) {
+        return path.join('/');
+    }
+
+    /**
+     * Ids of all parts in a sub-assembly, including nested ones
+     * @param {Array<string>} path - Sub-assembly path, outermost name first
+     */
+    getAssemblyPartIds(path) {
+        const partIds = [];
+        for (const [partId, part] of this.parts) {
+            const assemblyPath = part.assemblyPath || [];
+            if (path.every((name, depth) => assemblyPath[depth] === name)) {
+                partIds.push(partId);
+            }
+        }
+        return partIds;
+    }
+
+    /**
+     * Select every part of a sub-assembly in one go
+     */
+    selectAssembly(path) {
+        this.selectedParts.forEach(partId => this.deselectPart(partId));
+        this.selectedParts.clear();
+        this.selectedPart = null;
+        if (this.selectedAssembly) {
+            this.deselectAssembly();
+        }
+        if (this.selectedGroup) {
+            this.deselectPartGroup();
+        }
+
+        this.selectedAssembly = path;
+        const partIds = this.getAssemblyPartIds(path);
+        partIds.forEach(partId => {
+            this.parts.get(partId).isSelected = true;
+            this.highlightPart(partId);
+        });
+        this.updateUI();
+
+        console.log(`🎯 Sub-assembly selected: ${path.join(' / ')} (${partIds.length} parts)`);
+        this.maintainSectioningIsolation();
+    }
+
+    /**
+     * Clear the sub-assembly selection
+     */
+    deselectAssembly() {
+        if (!this.selectedAssembly) return;
+
+        this.getAssemblyPartIds(this.selectedAssembly).forEach(partId => {
+            this.parts.get(partId).isSelected = false;
+            this.removeHighlight(partId);
+        });
+        this.selectedAssembly = null;
+        this.updateUI();
+    }
+
+    /**
+     * Ids of the selected parts, or of every part in the selected sub-assembly or part group
+     */
+    getSelectedPartIds() {
+        if (this.selectedAssembly) {
+            return this.getAssemblyPartIds(this.selectedAssembly);
+        }
+        if (this.selectedGroup) {
+            return this.selectedGroup.partIds;
+        }
+        return [...this.selectedParts];
+    }
+
+    /**
+     * Select a group of parts in one go, such as a run of connected parts
+     * @param {Array} partIds - Parts to select
+     * @param {string} label - Description shown as the selection
+     */
+    selectPartGroup(partIds, label) {
+        this.selectedParts.forEach(partId => this.deselectPart(partId));
+        this.selectedParts.clear();
+        this.selectedPart = null;
+        if (this.selectedAssembly) {
+            this.deselectAssembly();
+        }
+        if (this.selectedGroup) {
+            this.deselectPartGroup();
+        }
+
+        this.selectedGroup = { partIds, label };
+        partIds.forEach(partId => {
+            this.parts.get(partId).isSelected = true;
+            this.highlightPart(partId);
+        });
+        this.updateUI();
+
+        console.log(`🎯 Parts selected: ${label} (${partIds.length} parts)`);
+        this.maintainSectioningIsolation();
+    }
+
+    /**
+     * Clear the part group selection
+     */
+    deselectPartGroup() {
+        if (!this.selectedGroup) return;
+
+        this.selectedGroup.partIds.forEach(partId => {
+            const part = this.parts.get(partId);
+            if (part) {
+                part.isSelected = false;
+                this.removeHighlight(partId);
+            }
+        });
+        this.selectedGroup = null;
+        this.updateUI();
+    }
+
+    /**
+     * Select the parts of a pipe joint, and the gasket between them
+     */
+    selectJoint(joint) {
+        const partIds = [joint.partA, joint.partB, joint.gasket].filter(partId => partId && this.parts.has(partId));
+        if (partIds.length > 0) {
+            this.selectPartGroup(partIds, `Skjøt ${joint.number}`);
+        }
+    }
+
+    /**
+     * Select every part connected to a part, directly or through other parts
+     */
+    selectConnected(partId) {
+        if (!this.connectivityGraph) return;
+        const partIds = this.connectivityGraph.getConnected(partId).filter(id => this.parts.has(id));
+        this.selectPartGroup(partIds, `Tilkoblet ${partId}`);
+    }
+
+    /**
+     * Select the run from a part towards the source ('upstream') or away from it ('downstream')
+     */
+    selectRun(partId, direction) {
+        if (!this.connectivityGraph) return;
+        const sourceId = this.getRunSource(partId);
+        const partIds = direction === 'upstream'
+            ? this.connectivityGraph.getUpstream(partId, sourceId)
+            : this.connectivityGraph.getDownstream(partId, sourceId);
+        const label = direction === 'upstream' ? `Oppstrøms ${partId}` : `Nedstrøms ${partId}`;
+        this.selectPartGroup(partIds.filter(id => this.parts.has(id)), label);
+    }
+
+    /**
+     * Source of the runs through a part: the chosen source when it is in the same network,
+     * otherwise the network's default source
+     */
+    getRunSource(partId) {
+        const connected = this.connectivityGraph.getConnected(partId);
+        return connected.includes(this.runSource) ? this.runSource : this.connectivityGraph.getDefaultSource(partId);
+    }
+
+    /**
+     * Make a part the source that upstream and downstream runs are measured from
+     */
+    setRunSource(partId) {
+        this.runSource = partId;
+        console.log(`🚰 Run source set to ${partId}`);
+    }
+
+    /**
+     * Start a shortest path at the selected part; the next clicked part ends it
+     */
+    startPathSelection() {
+        if (!this.selectedPart) return;
+        this.pathStart = this.selectedPart;
+        console.log(`🧭 Shortest path from ${this.pathStart}: click the end part`);
+    }
+
+    /**
+     * Select the parts on the shortest path between two parts
+     * @returns {boolean} Whether the parts are connected
+     */
+    selectPath(fromId, toId) {
+        this.pathStart = null;
+        const path = this.connectivityGraph ? this.connectivityGraph.getShortestPath(fromId, toId) : null;
+        if (!path) {
+            console.warn(`⚠️ No connection between ${fromId} and ${toId}`);
+            this.selectPart(toId);
+            return false;
+        }
+        this.selectPartGroup(path.filter(id => this.parts.has(id)), `Vei ${fromId} → ${toId}`);
+        return true;
+    }
+
+    /**
+     * Show only the parts of a sub-assembly
+     */
+    isolateAssembly(path) {
+        console.log(`🔍 Isolating sub-assembly: ${path.join(' / ')}`);
+        this.isolateParts(this.getAssemblyPartIds(path));
+        this.isolatedAssembly = this.getAssemblyKey(path);
+        this.updateUI();
+    }
+
+    /**
+     * Hide every part of a sub-assembly
+     */
+    hideAssembly(path) {
+        this.getAssemblyPartIds(path).forEach(partId => this.hidePart(partId));
+        this.updateUI();
+    }
+
+    /**
+     * Show every part of a sub-assembly
+     */
+    showAssembly(path) {
+        this.getAssemblyPartIds(path).forEach(partId => this.showPart(partId));
+        this.updateUI();
+    }
+
+    /**
+     * Hide a sub-assembly, or show it again when all its parts are hidden
+     */
+    toggleAssemblyVisibility(path) {
+        const partIds = this.getAssemblyPartIds(path);
+        if (partIds.every(partId => this.parts.get(partId).isHidden)) {
+            this.showAssembly(path);
+        } else {
+            this.hideAssembly(path);
+        }
+    }
+
+    /**
+     * Ghost a sub-assembly, or unghost it when all its parts are ghosted
+     */
+    toggleAssemblyGhost(path) {
+        const partIds = this.getAssemblyPartIds(path);
+        const ghosted = !partIds.every(partId => this.parts.get(partId).isGhosted);
+        partIds.forEach(partId => this.setPartGhosted(partId, ghosted));
+        this.updateUI();
+    }
+
+    /**
+     * The state the user has brought the view to, as JSON values for the view history
+     * @returns {Object} { selection: { partIds, primary, assembly, group }, hidden, ghosted,
+     *   isolation: { hidden, assembly } or null, section: { partIds, planeType, position } or null }
+     *   where hidden and ghosted are part numbers and isolation.hidden the parts hidden before isolating
+     */
+    getViewState() {
+        const partIds = [...this.parts.keys()];
+        const sectionPlane = this.sectionPlanes.values().next().value;
+        return {
+            selection: {
+                partIds: [...this.selectedParts],
+                primary: this.selectedPart,
+                assembly: this.selectedAssembly,
+                group: this.selectedGroup
+            },
+            hidden: partIds.filter(partId => this.parts.get(partId).isHidden),
+            ghosted: partIds.filter(partId => this.parts.get(partId).isGhosted),
+            isolation: this.preIsolationState ? {
+                hidden: partIds.filter(partId => this.preIsolationState.get(partId)),
+                assembly: this.isolatedAssembly
+            } : null,
+            section: sectionPlane ? {
+                partIds: [...this.sectionedPartIds],
+                planeType: sectionPlane.userData.planeType,
+                position: sectionPlane.userData.position
+            } : null
+        };
+    }
+
+    /**
+     * Bring the view to a state from getViewState. Keys missing from the state keep their current value;
+     * parts that no longer exist are left out.
+     */
+    setViewState(state) {
+        const current = this.getViewState();
+        const target = { ...current, ...state };
+        const has = partId => this.parts.has(partId);
+
+        if ('selection' in state || 'section' in state) {
+            const section = target.section;
+            const sameSection = section && current.section && section.planeType === current.section.planeType &&
+                section.partIds.join() === current.section.partIds.join();
+            if (sameSection && !('selection' in state)) {
+                this.updateSectionPlanes(section.position);
+            } else {
+                this.removeSectionPlanes();
+                if (section) {
+                    // Sections are made on selected parts, as from the sectioning tools
+                    const partIds = section.partIds.filter(has);
+                    this.selectParts(partIds);
+                    this.createSectionPlanes(partIds, section.planeType, section.position);
+                }
+                this.setSelectionState(target.selection);
+            }
+        }
+
+        // Removing a section shows every mesh, so visibility is always applied
+        const hidden = new Set(target.hidden);
+        const ghosted = new Set(target.ghosted);
+        for (const [partId, part] of this.parts) {
+            if (hidden.has(partId)) {
+                this.hidePart(partId);
+            } else {
+                this.showPart(partId);
+            }
+            if (!!part.isGhosted !== ghosted.has(partId)) {
+                this.setPartGhosted(partId, ghosted.has(partId));
+            }
+        }
+
+        const isolation = target.isolation;
+        const wasHidden = new Set(isolation ? isolation.hidden : []);
+        this.preIsolationState = isolation ? new Map([...this.parts.keys()].map(partId => [partId, wasHidden.has(partId)])) : null;
+        this.isolatedAssembly = isolation ? isolation.assembly : null;
+
+        const isolateBtn = document.getElementById('isolatePart');
+        const showAllBtn = document.getElementById('showAllPartsBtn');
+        if (isolateBtn && showAllBtn) {
+            isolateBtn.style.display = isolation ? 'none' : 'block';
+            showAllBtn.style.display = isolation ? 'block' : 'none';
+        }
+
+        this.updateUI();
+    }
+
+    /**
+     * Select what a view state's selection holds: a sub-assembly, a part group or single parts
+     */
+    setSelectionState(selection) {
+        const partIds = selection.partIds.filter(partId => this.parts.has(partId));
+        if (selection.assembly) {
+            this.selectAssembly(selection.assembly);
+        } else if (selection.group) {
+            this.selectPartGroup(selection.group.partIds.filter(partId => this.parts.has(partId)), selection.group.label);
+        } else if (partIds.length > 0) {
+            // The primary part goes last so that it is the one shown in the info overlay
+            this.selectParts([...partIds.filter(partId => partId !== selection.primary), ...partIds.filter(partId => partId === selection.primary)]);
+        } else {
+            this.deselectAllParts();
+        }
+    }
+
     /**
      * Show part information overlay
      */
@@ -1000,13 +1871,45 @@ class PartManager {
         
         if (overlay && partName && partNumber && partDescription) {
             partName.textContent = part.name || 'Unnamed Part';
-            partNumber.textContent = `Part #: ${part.partNumber}`;
-            partDescription.textContent = `${part.type} - ${part.vertices.length} vertices, ${part.faces.length} faces`;
+            const assemblyPath = part.assemblyPath || [];
+            const numberDetails = [`Part #: ${part.partNumber}`];
+            if (part.instance && part.instance.count > 1) {
+                numberDetails.push(`instance ${part.instance.index + 1} of ${part.instance.count} (${part.instance.definition})`);
+            }
+            if (assemblyPath.length > 0) {
+                numberDetails.push(assemblyPath.join(' / '));
+            }
+            partNumber.textContent = numberDetails.join(' · ');
+            const typeLabel = part.typeConfidence > 0
+                ? `${part.type} (${Math.round(part.typeConfidence * 100)}% from ${part.typeSource})`
+                : part.type;
+            const details = part.dimensions
+                ? this.formatPipeDimensions(part.dimensions)
+                : `${part.vertexCount} vertices, ${part.faceCount} faces`;
+            partDescription.textContent = `${typeLabel} - ${details}`;
             
             overlay.classList.add('visible');
         }
     }
 
+    /**
+     * Format pipe/elbow dimensions for the part info overlay (model units)
+     */
+    formatPipeDimensions(dimensions) {
+        const format = value => parseFloat(value.toFixed(2));
+        const values = [`OD ${format(dimensions.outerDiameter)}`];
+
+        if (dimensions.innerDiameter) {
+            values.push(`ID ${format(dimensions.innerDiameter)}`, `wall ${format(dimensions.wallThickness)}`);
+        }
+        values.push(`length ${format(dimensions.centerlineLength)}`);
+        if (dimensions.bendRadius) {
+            values.push(`bend R${format(dimensions.bendRadius)} × ${format(dimensions.bendAngle)}°`);
+        }
+
+        return values.join(', ');
+    }
+
     /**
      * Hide part information overlay
      */
@@ -1030,7 +1933,13 @@ class PartManager {
         }
         
         if (selectedPart) {
-            selectedPart.textContent = this.selectedPart || 'None';
+            if (this.selectedParts.size > 1) {
+                selectedPart.textContent = `${this.selectedParts.size} deler`;
+            } else {
+                selectedPart.textContent = this.selectedPart ||
+                    (this.selectedAssembly ? `${this.selectedAssembly.join(' / ')} (${this.getAssemblyPartIds(this.selectedAssembly).length})` : null) ||
+                    (this.selectedGroup ? `${this.selectedGroup.label} (${this.selectedGroup.partIds.length})` : 'Ingen');
+            }
         }
         
         if (visibleParts) {
@@ -1048,30 +1957,191 @@ class PartManager {
         if (!partsList) return;
         
         partsList.innerHTML = '';
+
+        if (this.mergeCandidates.size >= 2) {
+            const mergeButton = document.createElement('button');
+            mergeButton.className = 'merge-parts-btn';
+            mergeButton.textContent = `Slå sammen ${this.mergeCandidates.size} deler`;
+            mergeButton.addEventListener('click', () => this.mergeSelectedParts());
+            partsList.appendChild(mergeButton);
+        }
         
-        for (const [partId, part] of this.parts) {
-            const partItem = document.createElement('div');
-            partItem.className = 'part-item';
-            
-            if (part.isSelected) {
-                partItem.classList.add('selected');
+        const tree = this.getAssemblyTree();
+        tree.children.forEach(node => this.appendAssemblyItem(partsList, node));
+        this.appendPartItems(partsList, tree.partIds);
+    }
+
+    /**
+     * Add a collapsible sub-assembly entry with its nested sub-assemblies and parts
+     */
+    appendAssemblyItem(container, node) {
+        const key = this.getAssemblyKey(node.path);
+        const partIds = this.getAssemblyPartIds(node.path);
+        const collapsed = this.collapsedAssemblies.has(key);
+
+        const assemblyItem = document.createElement('div');
+        assemblyItem.className = 'assembly-item';
+
+        const header = document.createElement('div');
+        header.className = 'assembly-header';
+        if (this.selectedAssembly && this.getAssemblyKey(this.selectedAssembly) === key) {
+            header.classList.add('selected');
+        }
+        if (partIds.every(partId => this.parts.get(partId).isHidden)) {
+            header.classList.add('hidden');
+        }
+        header.innerHTML = `
+            <span class="assembly-toggle">${collapsed ? '▸' : '▾'}</span>
+            <div class="part-name"></div>
+            <div class="part-number">${partIds.length} deler</div>
+            <div class="assembly-actions">
+                <button data-action="isolate" title="${this.isolatedAssembly === key ? 'Vis alle deler' : 'Isoler'}">⊙</button>
+                <button data-action="ghost" title="Spøkelsesmodus">◐</button>
+                <button data-action="visibility" title="Skjul/vis">👁</button>
+            </div>
+        `;
+        header.querySelector('.part-name').textContent = node.name;
+
+        header.querySelector('.assembly-toggle').addEventListener('click', (event) => {
+            event.stopPropagation();
+            if (collapsed) {
+                this.collapsedAssemblies.delete(key);
+            } else {
+                this.collapsedAssemblies.add(key);
             }
-            
-            if (part.isHidden) {
-                partItem.classList.add('hidden');
+            this.updatePartsList();
+        });
+
+        header.querySelectorAll('.assembly-actions button').forEach(button => {
+            button.addEventListener('click', (event) => {
+                event.stopPropagation();
+                switch (button.dataset.action) {
+                    case 'isolate':
+                        if (this.isolatedAssembly === key) {
+                            this.showAllParts();
+                        } else {
+                            this.isolateAssembly(node.path);
+                        }
+                        break;
+                    case 'ghost':
+                        this.toggleAssemblyGhost(node.path);
+                        break;
+                    case 'visibility':
+                        this.toggleAssemblyVisibility(node.path);
+                        break;
+                }
+            });
+        });
+
+        header.addEventListener('click', () => {
+            this.selectAssembly(node.path);
+        });
+
+        assemblyItem.appendChild(header);
+
+        if (!collapsed) {
+            const children = document.createElement('div');
+            children.className = 'assembly-children';
+            node.children.forEach(child => this.appendAssemblyItem(children, child));
+            this.appendPartItems(children, node.partIds);
+            assemblyItem.appendChild(children);
+        }
+
+        container.appendChild(assemblyItem);
+    }
+
+    /**
+     * Add parts list entries, with identical parts folded into one "name ×count" entry
+     */
+    appendPartItems(container, partIds) {
+        const instanceGroups = new Map();
+        for (const partId of partIds) {
+            const instance = this.parts.get(partId).instance;
+            const key = instance && instance.count > 1 ? instance.definition : partId;
+            if (!instanceGroups.has(key)) {
+                instanceGroups.set(key, []);
             }
-            
-            partItem.innerHTML = `
-                <div class="part-name">${part.name}</div>
-                <div class="part-number">${part.partNumber}</div>
+            instanceGroups.get(key).push(partId);
+        }
+
+        for (const [definition, groupPartIds] of instanceGroups) {
+            if (groupPartIds.length === 1) {
+                container.appendChild(this.createPartItem(groupPartIds[0]));
+                continue;
+            }
+
+            const expanded = this.expandedInstances.has(definition);
+            const groupItem = document.createElement('div');
+            groupItem.className = 'part-item instance-group';
+            if (groupPartIds.some(partId => this.parts.get(partId).isSelected)) {
+                groupItem.classList.add('selected');
+            }
+            if (groupPartIds.every(partId => this.parts.get(partId).isHidden)) {
+                groupItem.classList.add('hidden');
+            }
+            groupItem.innerHTML = `
+                <span class="assembly-toggle">${expanded ? '▾' : '▸'}</span>
+                <div class="part-name"></div>
+                <div class="part-number"></div>
             `;
-            
-            partItem.addEventListener('click', () => {
-                this.selectPart(partId);
+            groupItem.querySelector('.part-name').textContent =
+                `${this.parts.get(groupPartIds[0]).instance.name} ×${groupPartIds.length}`;
+            groupItem.querySelector('.part-number').textContent = definition;
+            groupItem.addEventListener('click', () => {
+                if (expanded) {
+                    this.expandedInstances.delete(definition);
+                } else {
+                    this.expandedInstances.add(definition);
+                }
+                this.updatePartsList();
             });
-            
-            partsList.appendChild(partItem);
+            container.appendChild(groupItem);
+
+            if (expanded) {
+                const children = document.createElement('div');
+                children.className = 'assembly-children';
+                groupPartIds.forEach(partId => children.appendChild(this.createPartItem(partId)));
+                container.appendChild(children);
+            }
+        }
+    }
+
+    /**
+     * Create the parts list entry for a single part
+     */
+    createPartItem(partId) {
+        const part = this.parts.get(partId);
+        const partItem = document.createElement('div');
+        partItem.className = 'part-item';
+        
+        if (part.isSelected) {
+            partItem.classList.add('selected');
         }
+        
+        if (part.isHidden) {
+            partItem.classList.add('hidden');
+        }
+        
+        partItem.innerHTML = `
+            <input type="checkbox" class="part-merge-toggle" title="Merk for sammenslåing">
+            <div class="part-name"></div>
+            <div class="part-number"></div>
+        `;
+        partItem.querySelector('.part-name').textContent = part.name;
+        partItem.querySelector('.part-number').textContent = part.partNumber;
+
+        const mergeToggle = partItem.querySelector('.part-merge-toggle');
+        mergeToggle.checked = this.mergeCandidates.has(partId);
+        mergeToggle.addEventListener('click', (event) => {
+            event.stopPropagation();
+            this.toggleMergeCandidate(partId);
+        });
+        
+        partItem.addEventListener('click', (event) => {
+            this.selectWithModifiers(partId, event);
+        });
+        
+        return partItem;
     }
 
     /**
@@ -1127,9 +2197,12 @@ class PartManager {
     dispose() {
         this.renderer.domElement.removeEventListener('click', this.handleClick);
         this.renderer.domElement.removeEventListener('mousemove', this.handleMouseMove);
+        this.renderer.domElement.removeEventListener('pointerdown', this.handlePointerDown, { capture: true });
+        window.removeEventListener('pointermove', this.handlePointerMove);
+        window.removeEventListener('pointerup', this.handlePointerUp);
         
-        for (const material of this.originalMaterials.values()) {
-            material.dispose();
+        for (const material of this.ownMaterials.values()) {
+            [].concat(material).forEach(m => m.dispose());
         }
         
         this.highlightMaterial.dispose();
@@ -1146,17 +2219,32 @@ class PartManager {
             this.cuttingPlaneVisuals.clear();
         }
         
+        this.clearJointMarkers();
+        this.clearNotePins();
         this.parts.clear();
         this.partMeshes.clear();
         this.partLabels.clear();
         this.originalMaterials.clear();
+        this.ownMaterials.clear();
         this.visibleParts.clear();
         this.highlightedParts.clear();
+        this.mergeCandidates.clear();
+        this.collapsedAssemblies.clear();
+        this.expandedInstances.clear();
+        this.selectedAssembly = null;
+        this.isolatedAssembly = null;
+        this.preIsolationState = null;
+        this.selectedGroup = null;
+        this.selectedParts.clear();
+        this.selectedPart = null;
+        this.sectionedPartIds.clear();
+        this.runSource = null;
+        this.pathStart = null;
     }
     /**
-     * Create a section plane for the selected part
+     * Create a section plane for a part
      */
-    createSectionPlane(partId, planeType = 'XY', position = 0) {
+    createSectionPlane(partId, planeType = 'XY', position = 0, bounds = null, showPlane = true) {
         const part = this.parts.get(partId);
         const mesh = this.partMeshes.get(partId);
         
@@ -1165,26 +2253,22 @@ class PartManager {
         // Remove existing section plane for this part
         this.removeSectionPlane(partId);
         
-        // Hide all other parts during sectioning (only show the selected part)
-        for (const [id, otherMesh] of this.partMeshes) {
-            if (id !== partId) {
-                otherMesh.visible = false;
-            }
-        }
-        
-        // Force sectioning mode - this should never be lost
+        // Force sectioning mode - this should never be lost; all other parts are hidden meanwhile
         this.forceSectioningMode(partId);
         
-        // Get part bounding box to size the plane appropriately
-        const box = new THREE.Box3().setFromObject(mesh);
-        const size = box.getSize(new THREE.Vector3());
-        
-        // Create invisible section plane for positioning calculations only
+        // Create invisible section plane for positioning calculations only; the plane spans
+        // the given bounds (shared by every part of a group section) or the part's own
         const sectionPlane = new THREE.Object3D();
-        sectionPlane.userData = { type: 'sectionPlane', partId: partId, planeType: planeType };
+        sectionPlane.userData = {
+            type: 'sectionPlane',
+            partId: partId,
+            planeType: planeType,
+            position: position,
+            bounds: bounds || new THREE.Box3().setFromObject(mesh)
+        };
         
         // Position the plane based on type
-        this.positionSectionPlane(sectionPlane, planeType, position, mesh);
+        this.positionSectionPlane(sectionPlane, planeType, position, sectionPlane.userData.bounds);
         
         // Store the section plane (invisible, no visual clutter)
         this.sectionPlanes.set(partId, sectionPlane);
@@ -1193,17 +2277,43 @@ class PartManager {
         this.switchToOrangeHighlight(partId);
         
         // Add clipping plane to the material AFTER switching to orange
-        this.addClippingPlane(mesh, sectionPlane);
+        this.addClippingPlane(mesh, sectionPlane, showPlane);
         
         return sectionPlane;
     }
+
+    /**
+     * Section several parts with one plane across their combined bounding box, replacing any
+     * earlier sections. Only the first part draws the cutting plane.
+     */
+    createSectionPlanes(partIds, planeType = 'XY', position = 0) {
+        this.removeSectionPlanes();
+        const meshes = partIds.map(partId => this.partMeshes.get(partId)).filter(Boolean);
+        if (meshes.length === 0) return;
+
+        const bounds = new THREE.Box3();
+        meshes.forEach(mesh => bounds.union(new THREE.Box3().setFromObject(mesh)));
+        partIds.forEach((partId, index) => this.createSectionPlane(partId, planeType, position, bounds, index === 0));
+    }
+
+    /**
+     * Move the plane of every sectioned part
+     */
+    updateSectionPlanes(position) {
+        this.sectionedPartIds.forEach(partId => this.updateSectionPlane(partId, position));
+    }
+
+    /**
+     * Remove every section
+     */
+    removeSectionPlanes() {
+        [...this.sectionPlanes.keys()].forEach(partId => this.removeSectionPlane(partId));
+    }
     
     /**
      * Position section plane based on type and position relative to part's local origin
      */
-    positionSectionPlane(plane, planeType, position, mesh) {
-        // Get the part's local bounding box
-        const box = new THREE.Box3().setFromObject(mesh);
+    positionSectionPlane(plane, planeType, position, box) {
         const center = box.getCenter(new THREE.Vector3());
         const size = box.getSize(new THREE.Vector3());
         
@@ -1245,18 +2355,15 @@ class PartManager {
     /**
      * Add clipping plane to mesh material
      */
-    addClippingPlane(mesh, sectionPlane) {
-        if (!mesh.material.clippingPlanes) {
-            mesh.material.clippingPlanes = [];
-        }
-        
+    addClippingPlane(mesh, sectionPlane, showPlane = true) {
         const clippingPlane = new THREE.Plane();
         const normal = new THREE.Vector3();
         sectionPlane.getWorldQuaternion(new THREE.Quaternion()).multiplyVector3(normal.set(0, 0, 1));
         const point = sectionPlane.getWorldPosition(new THREE.Vector3());
         clippingPlane.setFromNormalAndCoplanarPoint(normal, point);
         
-        mesh.material.clippingPlanes.push(clippingPlane);
+        // Sectioned parts share the highlight material, so the plane replaces rather than adds to its planes
+        mesh.material.clippingPlanes = [clippingPlane];
         mesh.material.clipIntersection = false; // Show the part that's NOT clipped
         mesh.material.needsUpdate = true;
         
@@ -1267,17 +2374,17 @@ class PartManager {
         this.createCrossSectionMaterial(mesh, sectionPlane);
         
         // Create visual helper for the cutting plane
-        this.createCuttingPlaneVisualization(sectionPlane, mesh);
+        if (showPlane) {
+            this.createCuttingPlaneVisualization(sectionPlane, mesh);
+        }
     }
     
     /**
      * Create visual representation of the cutting plane
      */
     createCuttingPlaneVisualization(sectionPlane, mesh) {
-        // Get part bounding box to size the plane appropriately
-        const box = new THREE.Box3().setFromObject(mesh);
-        const size = box.getSize(new THREE.Vector3());
-        const center = box.getCenter(new THREE.Vector3());
+        // Size the plane to the sectioned bounds
+        const size = sectionPlane.userData.bounds.getSize(new THREE.Vector3());
         
         // Create a semi-transparent plane to show the cutting position
         // Size the plane based on the part dimensions
@@ -1452,17 +2559,17 @@ class PartManager {
             this.cuttingPlaneVisuals.delete(partId);
         }
         
-        // Restore visibility of all parts when sectioning is removed
-        for (const [id, otherMesh] of this.partMeshes) {
-            otherMesh.visible = true;
+        // Restore visibility of all parts when the last section is removed
+        this.sectionedPartIds.delete(partId);
+        if (this.sectionedPartIds.size === 0) {
+            for (const [id, otherMesh] of this.partMeshes) {
+                otherMesh.visible = true;
+            }
         }
-        
-        // Clear sectioned part ID
-        this.sectionedPartId = null;
-        console.log(`🗑️ Removed section plane for part: ${partId}, sectionedPartId: ${this.sectionedPartId}`);
+        console.log(`🗑️ Removed section plane for part: ${partId}, ${this.sectionedPartIds.size} sectioned parts left`);
         
         // Switch back to green highlight if part is selected
-        if (this.selectedPart === partId) {
+        if (this.parts.has(partId) && this.parts.get(partId).isSelected) {
             this.switchToGreenHighlight(partId);
         }
     }
@@ -1479,7 +2586,8 @@ class PartManager {
         if (sectionPlane && mesh) {
             console.log(`🔧 Updating section plane for part ${partId} to position ${position}`);
             const planeType = sectionPlane.userData.planeType;
-            this.positionSectionPlane(sectionPlane, planeType, position, mesh);
+            sectionPlane.userData.position = position;
+            this.positionSectionPlane(sectionPlane, planeType, position, sectionPlane.userData.bounds);
             
             // Update visual plane position
             if (visualPlane) {
@@ -0,0 +1,283 @@
+/**
+ * Review Notes - Comments reviewers pin to points on part surfaces
+ * A note belongs to a part (by part number) and a point on its surface, and carries an author, timestamps,
+ * a status and optionally a screenshot of the view. Points are kept in mm in model coordinates, so notes
+ * keep their place across reloads and travel with the model as JSON. The viewer places and draws the pins.
+ */
+
+// Statuses a note can have, and their names in the list and the editor
+const REVIEW_NOTE_STATUSES = {
+    'open': 'Åpen',
+    'in-progress': 'Under arbeid',
+    'resolved': 'Løst'
+};
+
+// Format name and version written to exported JSON and expected on import
+const REVIEW_NOTES_FORMAT = 'review-notes';
+const REVIEW_NOTES_VERSION = 1;
+
+// Screenshots accepted from storage and imported files: base64 PNG or JPEG data URLs, nothing that could
+// carry markup into the page
+const REVIEW_NOTE_SCREENSHOT_PATTERN = /^data:image\/(png|jpeg);base64,[A-Za-z0-9+/=]+$/;
+
+// Decimals (mm) surface points are kept with; points that round the same are the same point
+const REVIEW_NOTE_POINT_DECIMALS = 2;
+
+class ReviewNotes {
+    /**
+     * @param {PartAnalyzer} partAnalyzer - For the model's unit
+     * @param {string} storageKey - localStorage key the notes are kept under
+     */
+    constructor(partAnalyzer, storageKey) {
+        this.partAnalyzer = partAnalyzer;
+        this.storageKey = storageKey;
+        this.notes = new Map(); // Key of part number and point (see getKey) -> note
+        this.load();
+    }
+
+    /**
+     * Read the saved notes
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            if (saved && Array.isArray(saved.notes)) {
+                for (const note of saved.notes.map(saved => this.normalize(saved)).filter(Boolean)) {
+                    note.number = note.number || this.getNextNumber();
+                    this.notes.set(this.getKey(note.partNumber, note.point), note);
+                }
+            }
+        } catch (error) {
+            console.warn('⚠️ Ignoring unreadable review notes:', error);
+        }
+    }
+
+    /**
+     * Keep the notes in localStorage
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ notes: this.getNotes() }));
+        } catch (error) {
+            // Screenshots can fill the storage; the notes are still there until the page is left
+            console.warn('⚠️ Could not save review notes:', error);
+        }
+    }
+
+    /**
+     * Key a note is stored under: its part number and surface point (mm)
+     */
+    getKey(partNumber, point) {
+        return `${partNumber}@${point.map(value => value.toFixed(REVIEW_NOTE_POINT_DECIMALS)).join(',')}`;
+    }
+
+    /**
+     * Every note, by number
+     */
+    getNotes() {
+        return [...this.notes.values()].sort((a, b) => a.number - b.number);
+    }
+
+    /**
+     * Note by number, or null
+     */
+    getNote(number) {
+        return this.getNotes().find(note => note.number === number) || null;
+    }
+
+    /**
+     * Note at a point on a part, or null
+     * @param {string} partNumber
+     * @param {Array} point - Surface point in model coordinates
+     */
+    getNoteAt(partNumber, point) {
+        return this.notes.get(this.getKey(partNumber, this.toMM(point))) || null;
+    }
+
+    /**
+     * Pin a new note to a point on a part
+     * @param {Object} fields
+     * @param {string} fields.partNumber - Part the note is pinned to
+     * @param {Array} fields.point - Surface point in model coordinates
+     * @param {Array} fields.normal - Unit surface normal at the point, for placing the pin off the surface
+     * @param {string} fields.author - Reviewer's name
+     * @param {string} fields.text - The comment
+     * @param {string} [fields.status] - Key of REVIEW_NOTE_STATUSES
+     * @param {string|null} [fields.screenshot] - Image of the view as a data URL
+     * @returns {Object} Note { number, partNumber, point, normal, author, text, status, screenshot, createdAt, updatedAt },
+     *   point in mm and timestamps as ISO strings
+     */
+    add({ partNumber, point, normal, author, text, status = 'open', screenshot = null }) {
+        const now = new Date().toISOString();
+        const note = this.normalize({
+            number: this.getNextNumber(),
+            partNumber,
+            point: this.toMM(point),
+            normal,
+            author,
+            text,
+            status,
+            screenshot,
+            createdAt: now,
+            updatedAt: now
+        });
+        this.notes.set(this.getKey(note.partNumber, note.point), note);
+        this.save();
+        console.log(`📌 Note ${note.number} added on ${note.partNumber} by ${note.author}`);
+        return note;
+    }
+
+    /**
+     * Change the author, text, status or screenshot of a note
+     * @returns {Object|null} The updated note, or null when there is no such note
+     */
+    update(number, changes) {
+        const note = this.getNote(number);
+        if (!note) return null;
+
+        ['author', 'text', 'status', 'screenshot']
+            .filter(field => field in changes)
+            .forEach(field => { note[field] = changes[field]; });
+        if (!REVIEW_NOTE_STATUSES[note.status]) {
+            note.status = 'open';
+        }
+        if (note.screenshot && !REVIEW_NOTE_SCREENSHOT_PATTERN.test(note.screenshot)) {
+            note.screenshot = null;
+        }
+        note.updatedAt = new Date().toISOString();
+        this.save();
+        return note;
+    }
+
+    /**
+     * Remove a note
+     */
+    remove(number) {
+        const note = this.getNote(number);
+        if (!note) return;
+        this.notes.delete(this.getKey(note.partNumber, note.point));
+        this.save();
+    }
+
+    /**
+     * Number for the next note
+     */
+    getNextNumber() {
+        return Math.max(0, ...[...this.notes.values()].map(note => note.number)) + 1;
+    }
+
+    /**
+     * Check and tidy a note read from storage or a file
+     * @returns {Object|null} The note, or null when it lacks a part or a point
+     */
+    normalize(note) {
+        if (!note || typeof note.partNumber !== 'string' || !Array.isArray(note.point) || note.point.length !== 3 ||
+            !note.point.every(Number.isFinite)) {
+            return null;
+        }
+        const normal = Array.isArray(note.normal) && note.normal.length === 3 && note.normal.every(Number.isFinite)
+            ? note.normal : [0, 0, 1];
+        const createdAt = typeof note.createdAt === 'string' ? note.createdAt : new Date().toISOString();
+        return {
+            number: Number.isInteger(note.number) && note.number > 0 ? note.number : null,
+            partNumber: note.partNumber,
+            point: note.point.map(value => parseFloat(value.toFixed(REVIEW_NOTE_POINT_DECIMALS))),
+            normal,
+            author: typeof note.author === 'string' ? note.author : '',
+            text: typeof note.text === 'string' ? note.text : '',
+            status: REVIEW_NOTE_STATUSES[note.status] ? note.status : 'open',
+            screenshot: typeof note.screenshot === 'string' && REVIEW_NOTE_SCREENSHOT_PATTERN.test(note.screenshot) ? note.screenshot : null,
+            createdAt,
+            updatedAt: typeof note.updatedAt === 'string' ? note.updatedAt : createdAt
+        };
+    }
+
+    /**
+     * The notes as JSON for exchange with other reviewers
+     * @param {string} modelName - Model the notes belong to, for the reader
+     */
+    toJSON(modelName) {
+        return JSON.stringify({
+            format: REVIEW_NOTES_FORMAT,
+            version: REVIEW_NOTES_VERSION,
+            model: modelName,
+            exportedAt: new Date().toISOString(),
+            notes: this.getNotes()
+        }, null, 2);
+    }
+
+    /**
+     * Add the notes of exported JSON. A note at the same point on the same part as one already here
+     * replaces it when it was changed later; new notes keep their number unless it is taken.
+     * @param {string} json - Text of a file written by toJSON
+     * @returns {Object} { added, updated, skipped } note counts
+     * @throws {Error} When the text is not review notes JSON
+     */
+    import(json) {
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch (error) {
+            throw new Error('Filen er ikke gyldig JSON');
+        }
+        if (!data || data.format !== REVIEW_NOTES_FORMAT || !Array.isArray(data.notes)) {
+            throw new Error('Filen inneholder ikke kommentarer');
+        }
+        if (data.version > REVIEW_NOTES_VERSION) {
+            throw new Error(`Kommentarfilen har en nyere versjon (${data.version}) enn denne visningen støtter`);
+        }
+
+        const counts = { added: 0, updated: 0, skipped: 0 };
+        for (const imported of data.notes) {
+            const note = this.normalize(imported);
+            if (!note) {
+                counts.skipped++;
+                continue;
+            }
+
+            const key = this.getKey(note.partNumber, note.point);
+            const existing = this.notes.get(key);
+            if (existing) {
+                if (note.updatedAt > existing.updatedAt) {
+                    this.notes.set(key, { ...note, number: existing.number });
+                    counts.updated++;
+                } else {
+                    counts.skipped++;
+                }
+            } else {
+                if (note.number === null || this.getNote(note.number)) {
+                    note.number = this.getNextNumber();
+                }
+                this.notes.set(key, note);
+                counts.added++;
+            }
+        }
+
+        this.save();
+        console.log(`📌 Imported review notes: ${counts.added} added, ${counts.updated} updated, ${counts.skipped} skipped`);
+        return counts;
+    }
+
+    /**
+     * Point in model coordinates in mm, rounded as notes keep it
+     */
+    toMM(point) {
+        const scale = this.partAnalyzer.metersPerUnit * 1000;
+        return point.map(value => parseFloat((value * scale).toFixed(REVIEW_NOTE_POINT_DECIMALS)));
+    }
+
+    /**
+     * Point of a note in model coordinates
+     */
+    toModelPoint(note) {
+        const scale = this.partAnalyzer.metersPerUnit * 1000;
+        return note.point.map(value => value / scale);
+    }
+
+    /**
+     * Name of a status
+     */
+    getStatusLabel(status) {
+        return REVIEW_NOTE_STATUSES[status] || status;
+    }
+}
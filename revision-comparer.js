@@ -0,0 +1,169 @@
+/**
+ * Revision Comparer - Matches the parts of two model revisions and classifies the changes
+ * Parts are paired by name and shape fingerprint (see PartAnalyzer.getGeometryFingerprint);
+ * paired parts with the same shape are unchanged or moved, the rest are modified, added or removed
+ */
+
+// Parts whose position changed less than this fraction of their size have not moved
+const MOVE_TOLERANCE = 1e-4;
+
+// Rotations below this angle (degrees) are numerical noise
+const MOVE_ANGLE_TOLERANCE = 0.01;
+
+class RevisionComparer {
+    constructor(partAnalyzer) {
+        this.partAnalyzer = partAnalyzer;
+    }
+
+    /**
+     * Compare two revisions
+     * @param {Array} baseParts - Analyzed parts of the earlier revision
+     * @param {Array} currentParts - Analyzed parts of the revision being viewed
+     * @returns {Array} Changes { status, name, partNumber, basePartNumber, translation, distance, rotationAngle }
+     *   with status 'unchanged', 'moved', 'modified', 'added' or 'removed'. partNumber is null for removed
+     *   parts and basePartNumber null for added ones; translation ({x,y,z}, model units) and rotationAngle
+     *   (degrees, null when the vertices cannot be matched) describe moves
+     */
+    compare(baseParts, currentParts) {
+        const changes = [];
+        const baseByName = this.groupByName(baseParts);
+        const currentByName = this.groupByName(currentParts);
+
+        for (const [name, currentGroup] of currentByName) {
+            const baseGroup = baseByName.get(name) || [];
+            baseByName.delete(name);
+
+            // Same shape first, then whatever is left under the same name counts as modified
+            const sameShape = this.pairNearest(baseGroup, currentGroup, (base, current) =>
+                this.getShapeKey(base) === this.getShapeKey(current));
+            sameShape.forEach(({ base, current }) => changes.push(this.describeMove(base, current)));
+
+            const reshaped = this.pairNearest(baseGroup, currentGroup, () => true);
+            reshaped.forEach(({ base, current }) => changes.push({
+                ...this.describeMove(base, current),
+                status: 'modified'
+            }));
+
+            currentGroup.forEach(current => changes.push(this.createChange('added', null, current)));
+            baseGroup.forEach(base => changes.push(this.createChange('removed', base, null)));
+        }
+
+        for (const baseGroup of baseByName.values()) {
+            baseGroup.forEach(base => changes.push(this.createChange('removed', base, null)));
+        }
+
+        const counts = changes.reduce((sum, change) => ({ ...sum, [change.status]: (sum[change.status] || 0) + 1 }), {});
+        console.log('🔀 Revision comparison:', counts);
+        return changes;
+    }
+
+    /**
+     * Parts by name, in part order
+     */
+    groupByName(parts) {
+        const groups = new Map();
+        for (const part of parts) {
+            if (!groups.has(part.name)) {
+                groups.set(part.name, []);
+            }
+            groups.get(part.name).push(part);
+        }
+        return groups;
+    }
+
+    /**
+     * Shape part of the geometry fingerprint; position and orientation do not change it
+     */
+    getShapeKey(part) {
+        return this.partAnalyzer.getGeometryFingerprint(part);
+    }
+
+    /**
+     * Greedily pair base and current parts that satisfy the predicate, closest centres first.
+     * Paired parts are removed from both arrays.
+     * @returns {Array} Pairs { base, current }
+     */
+    pairNearest(baseGroup, currentGroup, predicate) {
+        const candidates = [];
+        baseGroup.forEach(base => currentGroup.forEach(current => {
+            if (predicate(base, current)) {
+                candidates.push({ base, current, distance: this.getCenterOffset(base, current).length });
+            }
+        }));
+        candidates.sort((a, b) => a.distance - b.distance);
+
+        const pairs = [];
+        const used = new Set();
+        for (const candidate of candidates) {
+            if (used.has(candidate.base) || used.has(candidate.current)) continue;
+            used.add(candidate.base);
+            used.add(candidate.current);
+            pairs.push(candidate);
+        }
+
+        pairs.forEach(({ base, current }) => {
+            baseGroup.splice(baseGroup.indexOf(base), 1);
+            currentGroup.splice(currentGroup.indexOf(current), 1);
+        });
+        return pairs;
+    }
+
+    /**
+     * Offset between the bounding box centres of two parts
+     */
+    getCenterOffset(base, current) {
+        const offset = [current.center.x - base.center.x, current.center.y - base.center.y, current.center.z - base.center.z];
+        return { offset, length: GeometryUtils.length(offset) };
+    }
+
+    /**
+     * Unchanged or moved change for two parts with the same shape. With matching vertex order the
+     * move is the rigid fit between them, otherwise the offset of their centres.
+     */
+    describeMove(base, current) {
+        const baseBuffers = this.partAnalyzer.getGeometryBuffers(base);
+        const currentBuffers = this.partAnalyzer.getGeometryBuffers(current);
+        const size = GeometryUtils.length([current.size.x, current.size.y, current.size.z]);
+        const tolerance = MOVE_TOLERANCE * size;
+
+        let translation = this.getCenterOffset(base, current).offset;
+        let rotationAngle = null;
+
+        if (baseBuffers.positions.length === currentBuffers.positions.length &&
+            baseBuffers.indices.length === currentBuffers.indices.length &&
+            this.partAnalyzer.indicesMatch(baseBuffers.indices, currentBuffers.indices)) {
+            const transform = this.partAnalyzer.fitRigidTransform(baseBuffers.positions, currentBuffers.positions, Math.max(tolerance, size * 1e-3));
+            if (transform) {
+                const trace = transform[0] + transform[5] + transform[10];
+                rotationAngle = Math.acos(Math.min(1, Math.max(-1, (trace - 1) / 2))) * 180 / Math.PI;
+            }
+        }
+
+        const moved = GeometryUtils.length(translation) > tolerance || (rotationAngle !== null && rotationAngle > MOVE_ANGLE_TOLERANCE);
+        if (!moved) {
+            translation = [0, 0, 0];
+        }
+
+        return {
+            ...this.createChange(moved ? 'moved' : 'unchanged', base, current),
+            translation: { x: translation[0], y: translation[1], z: translation[2] },
+            distance: GeometryUtils.length(translation),
+            rotationAngle: moved ? rotationAngle : 0
+        };
+    }
+
+    /**
+     * Change record without move details
+     */
+    createChange(status, base, current) {
+        return {
+            status,
+            name: (current || base).name,
+            partNumber: current ? current.partNumber : null,
+            basePartNumber: base ? base.partNumber : null,
+            translation: null,
+            distance: 0,
+            rotationAngle: null
+        };
+    }
+}
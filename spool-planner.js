@@ -0,0 +1,347 @@
+/**
+ * Spool Planner - Splits the pipework into fabrication spools and plans the pipe cuts
+ * A spool is the pipes and fittings welded together in the shop: the butt fusion and electrofusion
+ * joints of the JointRegister hold it together, flanged and bolted joints and field joints break it.
+ * Straight pipes give each spool's cut list, and the cuts of each pipe size are packed into stock
+ * lengths first fit decreasing, each stick then shortened to the shortest stock length that holds its cuts.
+ */
+
+// Joint kinds made in the shop; every other joint is a break between spools
+const SPOOL_WELD_KINDS = ['butt-fusion', 'electrofusion'];
+
+class SpoolPlanner {
+    constructor(partAnalyzer, jointRegister) {
+        this.partAnalyzer = partAnalyzer;
+        this.jointRegister = jointRegister;
+    }
+
+    /**
+     * Group the parts into spools, list their cuts and pack the cuts into stock lengths
+     * @param {Array} parts - Analyzed parts, in part order
+     * @param {Array} joints - Joints from JointRegister.build over the same parts
+     * @param {Object} [options]
+     * @param {Set} [options.fieldJoints] - Keys (see getJointKey) of welded joints made on site instead
+     * @param {Array} [options.stockLengths] - Stock pipe lengths in model units
+     * @param {number} [options.kerf] - Material lost between two cuts (model units)
+     * @returns {Object} { spools, sticks } - spools { number, partIds, joints, breaks, cuts } where joints are the
+     *   numbers of the welds inside the spool and breaks { joint, kind, field, spool } its joints to other spools;
+     *   sticks from packCuts
+     */
+    plan(parts, joints, { fieldJoints = new Set(), stockLengths = [], kerf = 0 } = {}) {
+        const spools = this.groupSpools(parts, joints, fieldJoints);
+        const sticks = this.packCuts(spools.flatMap(spool => spool.cuts), stockLengths, kerf);
+
+        console.log(`🧰 Spools: ${spools.length} spools, ${sticks.length} stock lengths`);
+        return { spools, sticks };
+    }
+
+    /**
+     * Key of a joint that does not change when the register is renumbered
+     */
+    getJointKey(joint) {
+        return `${joint.partA}|${joint.partB}`;
+    }
+
+    /**
+     * Spools: pipes, elbows, tees, flanges and couplers connected through shop welds
+     */
+    groupSpools(parts, joints, fieldJoints) {
+        const spoolParts = parts.filter(part =>
+            JOINT_PART_TYPES.includes(part.type) || this.jointRegister.getRole(part) === 'Coupler');
+        const partsById = new Map(spoolParts.map(part => [part.partNumber, part]));
+        const partOrder = new Map(parts.map((part, index) => [part.partNumber, index]));
+
+        const welds = new Map(spoolParts.map(part => [part.partNumber, []]));
+        const isWeld = joint => SPOOL_WELD_KINDS.includes(joint.kind) && !fieldJoints.has(this.getJointKey(joint));
+        for (const joint of joints.filter(isWeld)) {
+            if (welds.has(joint.partA) && welds.has(joint.partB)) {
+                welds.get(joint.partA).push(joint.partB);
+                welds.get(joint.partB).push(joint.partA);
+            }
+        }
+
+        const spools = [];
+        const spoolOf = new Map(); // partNumber -> spool
+        for (const part of spoolParts) {
+            if (spoolOf.has(part.partNumber)) continue;
+
+            const spool = { number: `S-${(spools.length + 1).toString().padStart(3, '0')}`, partIds: [part.partNumber], joints: [], breaks: [], cuts: [] };
+            spoolOf.set(part.partNumber, spool);
+            for (let i = 0; i < spool.partIds.length; i++) {
+                for (const neighbor of welds.get(spool.partIds[i])) {
+                    if (!spoolOf.has(neighbor)) {
+                        spoolOf.set(neighbor, spool);
+                        spool.partIds.push(neighbor);
+                    }
+                }
+            }
+            spool.partIds.sort((a, b) => partOrder.get(a) - partOrder.get(b));
+            spool.cuts = this.getCutList(spool.partIds.map(partId => partsById.get(partId)));
+            spools.push(spool);
+        }
+
+        for (const joint of joints) {
+            const spoolA = spoolOf.get(joint.partA);
+            const spoolB = spoolOf.get(joint.partB);
+            if (spoolA && spoolA === spoolB) {
+                spoolA.joints.push(joint.number);
+                continue;
+            }
+
+            const field = fieldJoints.has(this.getJointKey(joint));
+            if (spoolA) {
+                spoolA.breaks.push({ joint: joint.number, kind: joint.kind, field, spool: spoolB ? spoolB.number : null });
+            }
+            if (spoolB) {
+                spoolB.breaks.push({ joint: joint.number, kind: joint.kind, field, spool: spoolA ? spoolA.number : null });
+            }
+        }
+        return spools;
+    }
+
+    /**
+     * Straight pipe lengths of a spool, by size and then longest first
+     * @returns {Array} Cuts { partNumber, name, length, outerDiameter, wallThickness, sdr, size } in model units;
+     *   size names the stock the cut is taken from, e.g. "Ø110 SDR 11"
+     */
+    getCutList(parts) {
+        const toMM = this.partAnalyzer.metersPerUnit * 1000;
+        return parts.filter(part => part.type === 'Pipe' && this.jointRegister.getRole(part) !== 'Coupler').map(part => {
+            const { outerDiameter, wallThickness } = this.getPipeSize(part);
+            const sdr = wallThickness ? outerDiameter / wallThickness : null;
+            const diameter = outerDiameter ? `Ø${parseFloat((outerDiameter * toMM).toFixed(1))}` : 'Ø?';
+            return {
+                partNumber: part.partNumber,
+                name: part.name,
+                length: this.getPipeLength(part),
+                outerDiameter,
+                wallThickness,
+                sdr,
+                size: sdr ? `${diameter} SDR ${parseFloat(sdr.toFixed(1))}` : diameter
+            };
+        }).sort((a, b) => a.size.localeCompare(b.size) || b.length - a.length);
+    }
+
+    /**
+     * Outer diameter and wall thickness of a pipe from its fitted dimensions, else its widest end
+     */
+    getPipeSize(part) {
+        if (part.dimensions) {
+            return { outerDiameter: part.dimensions.outerDiameter, wallThickness: part.dimensions.wallThickness };
+        }
+        const port = (part.ports || []).reduce((widest, candidate) => (!widest || candidate.radius > widest.radius ? candidate : widest), null);
+        return port
+            ? { outerDiameter: port.radius * 2, wallThickness: port.innerRadius > 0 ? port.radius - port.innerRadius : null }
+            : { outerDiameter: null, wallThickness: null };
+    }
+
+    /**
+     * Cut length of a straight pipe: its fitted length, else the distance between its two ends,
+     * else the longest side of its bounding box
+     */
+    getPipeLength(part) {
+        if (part.dimensions) {
+            return part.dimensions.centerlineLength;
+        }
+        const ends = (part.ports || []).map(port => [port.center.x, port.center.y, port.center.z]);
+        let length = 0;
+        ends.forEach((a, i) => ends.slice(i + 1).forEach(b => {
+            length = Math.max(length, GeometryUtils.distance(a, b));
+        }));
+        return length || Math.max(part.size.x, part.size.y, part.size.z);
+    }
+
+    /**
+     * Pack cuts into stock lengths, one pipe size at a time. Cuts longer than the longest stock
+     * length are made from several sticks welded together: whole sticks plus the remainder.
+     * @param {Array} cuts - Cuts from getCutList
+     * @param {Array} stockLengths - Stock lengths in model units
+     * @param {number} kerf - Material lost between two cuts on one stick
+     * @returns {Array} Sticks { size, stockLength, cuts: [{ partNumber, length, piece, pieces }], used, waste }
+     */
+    packCuts(cuts, stockLengths, kerf) {
+        const lengths = stockLengths.filter(length => length > 0).sort((a, b) => a - b);
+        if (lengths.length === 0) return [];
+        const longest = lengths[lengths.length - 1];
+
+        const sticks = [];
+        const bySize = new Map();
+        cuts.forEach(cut => {
+            if (!bySize.has(cut.size)) {
+                bySize.set(cut.size, []);
+            }
+            bySize.get(cut.size).push(cut);
+        });
+
+        for (const [size, sizeCuts] of bySize) {
+            const pieces = [];
+            for (const cut of sizeCuts) {
+                const count = Math.ceil(cut.length / longest - 1e-9);
+                for (let piece = 1; piece <= count; piece++) {
+                    const length = piece < count ? longest : cut.length - longest * (count - 1);
+                    pieces.push({ partNumber: cut.partNumber, length, piece, pieces: count });
+                }
+            }
+            pieces.sort((a, b) => b.length - a.length);
+
+            // Filling every stock length in turn and keeping the least waste beats always starting long sticks
+            const plans = lengths.map(length => this.fillSticks(size, pieces, length, lengths, kerf));
+            const waste = plan => plan.reduce((sum, stick) => sum + stick.waste, 0);
+            sticks.push(...plans.reduce((best, plan) =>
+                (waste(plan) < waste(best) - 1e-9 || (Math.abs(waste(plan) - waste(best)) <= 1e-9 && plan.length < best.length) ? plan : best)));
+        }
+        return sticks;
+    }
+
+    /**
+     * First fit decreasing: each piece goes on the first stick with room, new sticks are the fill length
+     * (the longest stock length for pieces that do not fit it), then shortened to the shortest stock length
+     * that holds their pieces
+     * @param {Array} pieces - Pieces of one size, longest first
+     */
+    fillSticks(size, pieces, fillLength, lengths, kerf) {
+        const sticks = [];
+        for (const piece of pieces) {
+            let stick = sticks.find(candidate => candidate.used + kerf + piece.length <= candidate.stockLength + 1e-9);
+            if (!stick) {
+                const stockLength = piece.length <= fillLength + 1e-9 ? fillLength : lengths[lengths.length - 1];
+                stick = { size, stockLength, cuts: [], used: -kerf, waste: 0 };
+                sticks.push(stick);
+            }
+            stick.cuts.push(piece);
+            stick.used += kerf + piece.length;
+        }
+
+        sticks.forEach(stick => {
+            stick.stockLength = lengths.find(length => length >= stick.used - 1e-9);
+            stick.waste = stick.stockLength - stick.used;
+        });
+        return sticks;
+    }
+
+    /**
+     * Stock needed per pipe size
+     * @returns {Array} { size, counts: Map(stockLength -> sticks), cutLength, waste } in model units
+     */
+    summarizeSticks(sticks) {
+        const sizes = new Map();
+        for (const stick of sticks) {
+            if (!sizes.has(stick.size)) {
+                sizes.set(stick.size, { size: stick.size, counts: new Map(), cutLength: 0, waste: 0 });
+            }
+            const summary = sizes.get(stick.size);
+            summary.counts.set(stick.stockLength, (summary.counts.get(stick.stockLength) || 0) + 1);
+            summary.cutLength += stick.cuts.reduce((sum, cut) => sum + cut.length, 0);
+            summary.waste += stick.waste;
+        }
+        return [...sizes.values()];
+    }
+
+    /**
+     * Printable HTML document with one sheet per spool (picture, parts, joints and cuts) and a
+     * last sheet with the stock lengths to order and how to cut them
+     * @param {Object} plan - From plan()
+     * @param {Object} options - { title, parts: Map(partNumber -> part), joints, images: Map(spool number -> image URL) }
+     */
+    toSheetsHTML(plan, { title, parts, joints, images }) {
+        const escape = value => String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        const toMM = this.partAnalyzer.metersPerUnit * 1000;
+        const mm = (value, digits = 0) => (value === null || value === undefined ? '-' : (value * toMM).toFixed(digits));
+        const table = (headings, rows) => rows.length === 0 ? '<p>Ingen</p>' :
+            `<table><tr>${headings.map(heading => `<th>${escape(heading)}</th>`).join('')}</tr>` +
+            rows.map(row => `<tr>${row.map(cell => `<td>${escape(cell)}</td>`).join('')}</tr>`).join('') + '</table>';
+        const jointsByNumber = new Map(joints.map(joint => [joint.number, joint]));
+        const date = new Date().toLocaleDateString('nb-NO');
+
+        const sheets = plan.spools.map(spool => {
+            const partRows = spool.partIds.map(partId => {
+                const part = parts.get(partId);
+                return [partId, part.name, part.type, part.dimensions ? this.formatSize(part) : ''];
+            });
+            const jointRows = spool.joints.map(number => {
+                const joint = jointsByNumber.get(number);
+                return [number, this.jointRegister.getKindLabel(joint.kind), `${joint.partA} ↔ ${joint.partB}`];
+            });
+            const breakRows = spool.breaks.map(entry => [
+                entry.joint,
+                entry.field ? `Feltskjøt (${this.jointRegister.getKindLabel(entry.kind)})` : this.jointRegister.getKindLabel(entry.kind),
+                entry.spool || '-'
+            ]);
+            const cutRows = spool.cuts.map((cut, index) => [index + 1, cut.partNumber, cut.name, cut.size, mm(cut.length)]);
+            const image = images.get(spool.number);
+
+            return `<section class="sheet">
+<h1>Spole ${escape(spool.number)}</h1>
+<p class="meta">${escape(title)} · ${escape(date)} · ${spool.partIds.length} deler</p>
+${image ? `<img src="${escape(image)}" alt="Spole ${escape(spool.number)}">` : ''}
+<h2>Deler</h2>
+${table(['Delenummer', 'Navn', 'Type', 'Dimensjoner'], partRows)}
+<h2>Sveiser</h2>
+${table(['Nr', 'Skjøtetype', 'Deler'], jointRows)}
+<h2>Tilkoblinger</h2>
+${table(['Nr', 'Skjøtetype', 'Til spole'], breakRows)}
+<h2>Kappliste</h2>
+${table(['Pos', 'Delenummer', 'Navn', 'Dimensjon', 'Lengde (mm)'], cutRows)}
+</section>`;
+        });
+
+        const stickRows = plan.sticks.map((stick, index) => [
+            index + 1,
+            stick.size,
+            mm(stick.stockLength),
+            stick.cuts.map(cut => `${cut.partNumber}${cut.pieces > 1 ? ` (${cut.piece}/${cut.pieces})` : ''}: ${mm(cut.length)}`).join(', '),
+            mm(stick.waste)
+        ]);
+        const summaryRows = this.summarizeSticks(plan.sticks).map(summary => [
+            summary.size,
+            [...summary.counts].sort((a, b) => a[0] - b[0]).map(([length, count]) => `${count} × ${mm(length)} mm`).join(', '),
+            mm(summary.cutLength),
+            mm(summary.waste)
+        ]);
+        sheets.push(`<section class="sheet">
+<h1>Lagerlengder</h1>
+<p class="meta">${escape(title)} · ${escape(date)}</p>
+${table(['Dimensjon', 'Lengder', 'Kappet (mm)', 'Svinn (mm)'], summaryRows)}
+<h2>Kappeplan</h2>
+${table(['Lengde', 'Dimensjon', 'Lagerlengde (mm)', 'Kapp (mm)', 'Svinn (mm)'], stickRows)}
+</section>`);
+
+        return `<!DOCTYPE html>
+<html lang="no">
+<head>
+<meta charset="UTF-8">
+<title>${escape(title)} - spoler</title>
+<style>
+body { font-family: Arial, sans-serif; font-size: 12px; color: #000; }
+.sheet { page-break-after: always; }
+.sheet:last-child { page-break-after: auto; }
+h1 { font-size: 20px; margin-bottom: 2px; }
+h2 { font-size: 14px; margin: 14px 0 4px; }
+.meta { color: #555; margin-top: 0; }
+img { max-width: 100%; max-height: 90mm; border: 1px solid #ccc; }
+table { border-collapse: collapse; width: 100%; }
+th, td { border: 1px solid #999; padding: 3px 6px; text-align: left; }
+th { background: #eee; }
+</style>
+</head>
+<body>
+${sheets.join('\n')}
+</body>
+</html>`;
+    }
+
+    /**
+     * Pipe dimensions of a part in mm for the sheets
+     */
+    formatSize(part) {
+        const toMM = this.partAnalyzer.metersPerUnit * 1000;
+        const { outerDiameter, wallThickness } = part.dimensions;
+        const values = [`Ø${parseFloat((outerDiameter * toMM).toFixed(1))}`];
+        if (wallThickness) {
+            values.push(`e ${parseFloat((wallThickness * toMM).toFixed(1))}`);
+        }
+        values.push(`L ${Math.round(part.dimensions.centerlineLength * toMM)}`);
+        return values.join(' × ');
+    }
+}
@@ -0,0 +1,202 @@
+/**
+ * View History - Undo and redo of the viewer's state changes
+ * Every change (selecting, hiding, isolating, sectioning, colouring) is recorded as a command holding
+ * the parts of the view state it changed, before and after. Undo applies the before state, redo the after.
+ * Commands are plain data, so the history is kept in localStorage and survives a page reload.
+ */
+
+// Commands kept; the oldest are dropped beyond this
+const VIEW_HISTORY_LIMIT = 100;
+
+// Mergeable changes with the same label this close together (ms) become one command, e.g. a slider drag
+const VIEW_HISTORY_MERGE_TIME = 1000;
+
+class ViewHistory {
+    /**
+     * @param {Object} options
+     * @param {Function} options.getState - Current view state: () => Object of JSON values
+     * @param {Function} options.setState - Apply the keys present in a (partial) view state: (state) => void
+     * @param {string} options.storageKey - localStorage key the history is kept under
+     */
+    constructor({ getState, setState, storageKey }) {
+        this.getState = getState;
+        this.setState = setState;
+        this.storageKey = storageKey;
+        this.commands = []; // { label, before, after, merge, time }
+        this.index = 0; // Commands before the index are done, the ones from it on undone
+        this.depth = 0; // Nesting of record calls; only the outermost one makes a command
+        this.applying = false; // Set while undoing or redoing, so the changes made are not recorded
+        this.onChange = null; // Called when the history changes: () => void
+        this.load();
+    }
+
+    /**
+     * Read the saved history; the view is brought to its state by restore once the model is shown
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            if (saved && Array.isArray(saved.commands)) {
+                this.commands = saved.commands;
+                this.index = Math.max(0, Math.min(this.commands.length, Number(saved.index) || 0));
+            }
+        } catch (error) {
+            console.warn('⚠️ Ignoring unreadable view history:', error);
+        }
+    }
+
+    /**
+     * Run a state change and record it. Changes made inside another recorded change belong to that one.
+     * @param {string} label - Name of the change for the undo and redo buttons
+     * @param {Function} action - Makes the change; its return value is passed on
+     * @param {Object} [options]
+     * @param {boolean} [options.merge] - Merge into the last command when that is the same change made just before
+     */
+    record(label, action, { merge = false } = {}) {
+        if (this.applying || this.depth > 0) {
+            return action();
+        }
+
+        const before = this.getState();
+        this.depth++;
+        let result;
+        try {
+            result = action();
+        } finally {
+            this.depth--;
+        }
+        this.push(label, before, this.getState(), merge);
+        return result;
+    }
+
+    /**
+     * Add a command for the keys that differ between two states; undone commands are dropped
+     */
+    push(label, before, after, merge) {
+        const changed = Object.keys(after).filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+        if (changed.length === 0) return;
+
+        const pick = state => Object.fromEntries(changed.map(key => [key, state[key]]));
+        const last = this.index === this.commands.length ? this.commands[this.index - 1] : null;
+        const time = Date.now();
+        this.commands.splice(this.index);
+
+        if (merge && last && last.merge && last.label === label && time - last.time < VIEW_HISTORY_MERGE_TIME) {
+            // The merged command starts from the earliest state of every key either change touched
+            last.before = { ...pick(before), ...last.before };
+            last.after = { ...last.after, ...pick(after) };
+            last.time = time;
+        } else {
+            this.commands.push({ label, before: pick(before), after: pick(after), merge, time });
+            if (this.commands.length > VIEW_HISTORY_LIMIT) {
+                this.commands.splice(0, this.commands.length - VIEW_HISTORY_LIMIT);
+            }
+        }
+        this.index = this.commands.length;
+        this.changed();
+    }
+
+    /**
+     * Whether there is a change to undo
+     */
+    canUndo() {
+        return this.index > 0;
+    }
+
+    /**
+     * Whether there is an undone change to redo
+     */
+    canRedo() {
+        return this.index < this.commands.length;
+    }
+
+    /**
+     * Label of the change undo would take back, or null
+     */
+    getUndoLabel() {
+        return this.canUndo() ? this.commands[this.index - 1].label : null;
+    }
+
+    /**
+     * Label of the change redo would make again, or null
+     */
+    getRedoLabel() {
+        return this.canRedo() ? this.commands[this.index].label : null;
+    }
+
+    /**
+     * Take back the last change
+     * @returns {string|null} Label of the undone change
+     */
+    undo() {
+        if (!this.canUndo()) return null;
+        const command = this.commands[--this.index];
+        this.apply(command.before);
+        console.log(`↶ Undo: ${command.label}`);
+        return command.label;
+    }
+
+    /**
+     * Make the last undone change again
+     * @returns {string|null} Label of the redone change
+     */
+    redo() {
+        if (!this.canRedo()) return null;
+        const command = this.commands[this.index++];
+        this.apply(command.after);
+        console.log(`↷ Redo: ${command.label}`);
+        return command.label;
+    }
+
+    /**
+     * Apply a state without recording it
+     */
+    apply(state) {
+        this.applying = true;
+        try {
+            this.setState(state);
+        } finally {
+            this.applying = false;
+        }
+        this.changed();
+    }
+
+    /**
+     * Bring the view to the state the saved history had reached, e.g. after a reload.
+     * Keys no done command changed keep the state the viewer starts in.
+     */
+    restore() {
+        if (this.index > 0) {
+            this.apply(Object.assign({}, ...this.commands.slice(0, this.index).map(command => command.after)));
+            console.log(`🕘 Restored view history: ${this.index} of ${this.commands.length} changes done`);
+        } else if (this.onChange) {
+            this.onChange();
+        }
+    }
+
+    /**
+     * Forget every change, e.g. when the part numbers the states refer to change
+     */
+    clear() {
+        this.commands = [];
+        this.index = 0;
+        localStorage.removeItem(this.storageKey);
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+
+    /**
+     * Save the history and tell the listener
+     */
+    changed() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ commands: this.commands, index: this.index }));
+        } catch (error) {
+            console.warn('⚠️ Could not save view history:', error);
+        }
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+}
@@ -0,0 +1,260 @@
+/**
+ * XLSX Writer - Builds minimal Office Open XML workbooks in the browser
+ * Sheets hold plain rows of strings and numbers; the workbook is packed into an
+ * uncompressed (stored) ZIP archive, which Excel, LibreOffice and Numbers all open
+ */
+
+// CRC-32 lookup table for the ZIP entries (polynomial 0xEDB88320)
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+class XlsxWriter {
+    constructor() {
+        this.sheets = [];
+    }
+
+    /**
+     * Add a worksheet
+     * @param {string} name - Sheet name (Excel allows at most 31 characters)
+     * @param {Array<Array>} rows - Rows of cells; numbers stay numeric, null/undefined cells are left empty
+     * @param {Object} [options] - { headerRows } number of leading rows to set in bold
+     */
+    addSheet(name, rows, { headerRows = 0 } = {}) {
+        const safeName = String(name).replace(/[\\/?*[\]:]/g, ' ').slice(0, 31) || `Sheet${this.sheets.length + 1}`;
+        this.sheets.push({ name: safeName, rows, headerRows });
+    }
+
+    /**
+     * Build the .xlsx file
+     * @returns {Uint8Array} The ZIP archive bytes
+     */
+    toUint8Array() {
+        const sheetEntries = this.sheets.map((sheet, index) => ({
+            name: `xl/worksheets/sheet${index + 1}.xml`,
+            content: this.createSheetXml(sheet)
+        }));
+
+        return this.createZip([
+            { name: '[Content_Types].xml', content: this.createContentTypesXml() },
+            { name: '_rels/.rels', content: this.createRootRelsXml() },
+            { name: 'xl/workbook.xml', content: this.createWorkbookXml() },
+            { name: 'xl/_rels/workbook.xml.rels', content: this.createWorkbookRelsXml() },
+            { name: 'xl/styles.xml', content: this.createStylesXml() },
+            ...sheetEntries
+        ]);
+    }
+
+    /**
+     * Escape text for XML content and attributes, dropping characters XML cannot hold
+     */
+    escapeXml(value) {
+        return String(value)
+            .replace(/[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Column letters for a zero-based column index (0 -> A, 26 -> AA)
+     */
+    getColumnName(index) {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+        }
+        return name;
+    }
+
+    /**
+     * Worksheet XML with inline strings, so no shared string table is needed
+     */
+    createSheetXml(sheet) {
+        const rows = sheet.rows.map((row, rowIndex) => {
+            const style = rowIndex < sheet.headerRows ? ' s="1"' : '';
+            const cells = row.map((value, columnIndex) => {
+                if (value === null || value === undefined || value === '') return '';
+                const reference = `${this.getColumnName(columnIndex)}${rowIndex + 1}`;
+                if (typeof value === 'number' && Number.isFinite(value)) {
+                    return `<c r="${reference}"${style}><v>${value}</v></c>`;
+                }
+                return `<c r="${reference}" t="inlineStr"${style}><is><t xml:space="preserve">${this.escapeXml(value)}</t></is></c>`;
+            }).join('');
+            return `<row r="${rowIndex + 1}">${cells}</row>`;
+        }).join('');
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            `<sheetData>${rows}</sheetData></worksheet>`;
+    }
+
+    /**
+     * [Content_Types].xml listing every part of the package
+     */
+    createContentTypesXml() {
+        const sheets = this.sheets.map((sheet, index) =>
+            `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+        ).join('');
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' +
+            '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+            '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+            `${sheets}</Types>`;
+    }
+
+    /**
+     * Package relationships pointing at the workbook
+     */
+    createRootRelsXml() {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+            '</Relationships>';
+    }
+
+    /**
+     * Workbook XML listing the sheets
+     */
+    createWorkbookXml() {
+        const sheets = this.sheets.map((sheet, index) =>
+            `<sheet name="${this.escapeXml(sheet.name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`
+        ).join('');
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+            'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+            `<sheets>${sheets}</sheets></workbook>`;
+    }
+
+    /**
+     * Workbook relationships to the sheets and styles
+     */
+    createWorkbookRelsXml() {
+        const sheets = this.sheets.map((sheet, index) =>
+            `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`
+        ).join('');
+        const stylesId = this.sheets.length + 1;
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            `${sheets}<Relationship Id="rId${stylesId}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+            '</Relationships>';
+    }
+
+    /**
+     * Styles: index 0 is the default cell format, index 1 bold (header rows)
+     */
+    createStylesXml() {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+            '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+            '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+            '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+            '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+            '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+            '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+            '</styleSheet>';
+    }
+
+    /**
+     * CRC-32 of a byte array, as stored in ZIP headers
+     */
+    crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Pack files into a ZIP archive without compression
+     * @param {Array} files - { name, content } with string content, written as UTF-8
+     * @returns {Uint8Array} The archive bytes
+     */
+    createZip(files) {
+        const encoder = new TextEncoder();
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+        const entries = files.map(file => {
+            const name = encoder.encode(file.name);
+            const data = encoder.encode(file.content);
+            return { name, data, crc: this.crc32(data) };
+        });
+
+        const localSize = entries.reduce((sum, entry) => sum + 30 + entry.name.length + entry.data.length, 0);
+        const centralSize = entries.reduce((sum, entry) => sum + 46 + entry.name.length, 0);
+        const bytes = new Uint8Array(localSize + centralSize + 22);
+        const view = new DataView(bytes.buffer);
+        let offset = 0;
+
+        // Fields shared by the local and central headers: version, UTF-8 flag, stored, time, date, CRC, sizes, name length
+        const writeCommon = (entry) => {
+            view.setUint16(offset, 20, true);
+            view.setUint16(offset + 2, 0x0800, true);
+            view.setUint16(offset + 4, 0, true);
+            view.setUint16(offset + 6, dosTime, true);
+            view.setUint16(offset + 8, dosDate, true);
+            view.setUint32(offset + 10, entry.crc, true);
+            view.setUint32(offset + 14, entry.data.length, true);
+            view.setUint32(offset + 18, entry.data.length, true);
+            view.setUint16(offset + 22, entry.name.length, true);
+            view.setUint16(offset + 24, 0, true);
+            offset += 26;
+        };
+
+        for (const entry of entries) {
+            entry.offset = offset;
+            view.setUint32(offset, 0x04034B50, true);
+            offset += 4;
+            writeCommon(entry);
+            bytes.set(entry.name, offset);
+            offset += entry.name.length;
+            bytes.set(entry.data, offset);
+            offset += entry.data.length;
+        }
+
+        const centralStart = offset;
+        for (const entry of entries) {
+            view.setUint32(offset, 0x02014B50, true);
+            view.setUint16(offset + 4, 20, true);
+            offset += 6;
+            writeCommon(entry);
+            view.setUint16(offset, 0, true); // comment length
+            view.setUint16(offset + 2, 0, true); // disk number
+            view.setUint16(offset + 4, 0, true); // internal attributes
+            view.setUint32(offset + 6, 0, true); // external attributes
+            view.setUint32(offset + 10, entry.offset, true);
+            offset += 14;
+            bytes.set(entry.name, offset);
+            offset += entry.name.length;
+        }
+
+        view.setUint32(offset, 0x06054B50, true);
+        view.setUint16(offset + 4, 0, true);
+        view.setUint16(offset + 6, 0, true);
+        view.setUint16(offset + 8, entries.length, true);
+        view.setUint16(offset + 10, entries.length, true);
+        view.setUint32(offset + 12, offset - centralStart, true);
+        view.setUint32(offset + 16, centralStart, true);
+        view.setUint16(offset + 20, 0, true);
+
+        return bytes;
+    }
+}